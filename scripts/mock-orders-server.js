@@ -0,0 +1,40 @@
+import http from "node:http";
+import { makeDummyOrders } from "../src/engine/demo.js";
+
+/***********************************
+ * Local mock API for the HTTP data source
+ *   npm run mock:api            → http://localhost:4010/api/orders (PORT=0 picks a free port, printed on start)
+ * - Auth: "Authorization: Bearer demo-token" (override with MOCK_TOKEN, disable with MOCK_TOKEN=)
+ * - Paging: ?page=&pageSize= (1-based), ?offset=&limit=, or follow the `next` link in each response
+ * - Rows sit at $.data.items
+ ***********************************/
+
+const PORT = Number(process.env.PORT || 4010);
+const TOKEN = process.env.MOCK_TOKEN ?? "demo-token";
+const ROWS = makeDummyOrders(Number(process.env.MOCK_ROWS || 250));
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Accept, Content-Type",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === "OPTIONS") return send(res, 204, {});
+  if (url.pathname !== "/api/orders") return send(res, 404, { error: "Not found" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Missing or invalid bearer token" });
+
+  const q = url.searchParams;
+  const size = Math.max(1, Number(q.get("pageSize") || q.get("limit") || 50));
+  const start = q.has("offset") ? Number(q.get("offset")) : (Math.max(1, Number(q.get("page") || 1)) - 1) * size;
+  const items = ROWS.slice(start, start + size);
+  const nextPage = Math.floor(start / size) + 2;
+  const next = start + size < ROWS.length ? `/api/orders?page=${nextPage}&pageSize=${size}` : null;
+  send(res, 200, { data: { items }, total: ROWS.length, next });
+});
+
+server.listen(PORT, () => console.log(`Mock orders API on http://localhost:${server.address().port}/api/orders (${ROWS.length} rows)`));
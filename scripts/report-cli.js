@@ -0,0 +1,164 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DEFAULT_CALENDAR, mergeHolidays, readHolidayFile } from "../src/engine/calendar.js";
+import { BASE_FIELDS } from "../src/engine/demo.js";
+import { TEXT_EXPORTS, tableToPDF, tableToTemplate, tableToXLSX } from "../src/engine/exporters.js";
+import { buildImport, readTable, suggestMapping } from "../src/engine/importer.js";
+import { buildReport, describeRowFilter, reportInfo, workbookTables } from "../src/engine/pipeline.js";
+import { parseReportFile } from "../src/engine/reports.js";
+import { extractRows, inferSchema } from "../src/engine/sources.js";
+
+/***********************************
+ * Headless report generation
+ *   npm run report -- --report buyers.report.json --data orders.csv --format csv,xlsx,pdf --out reports/
+ * - --report: a file saved with "⬇ JSON" / "⬇ Export All" in the report library (its user fields and formats included)
+ * - --data: CSV / TSV / XLSX (columns matched to fields by key or label) or JSON (--rows-path picks the row array)
+ * - Every report in the file is generated unless --name picks some; output files are named by each report's File Name
+ * - PDFs hold the table only (no charts or logo): those need a browser to be drawn
+ ***********************************/
+
+const USAGE = `Usage: npm run report -- --report <file.json> --data <file> [options]
+
+Options:
+  --report <file>      report definitions (.report.json from the report library)
+  --data <file>        rows to report on: .csv, .tsv, .txt, .xlsx, .xls or .json
+  --rows-path <path>   JSONPath to the rows in a JSON data file (default: $)
+  --date-order <dmy|mdy>  how to read ambiguous dates like 03/04/2026 in CSV / XLSX (default: guessed per column)
+  --name <name>        only generate the report with this name or id (repeatable)
+  --format <list>      comma-separated: csv, tsv, json, ndjson, html, xlsx, pdf (default: csv,xlsx,pdf)
+  --out <dir>          output directory (default: current directory)
+  --stamp              append today's date (yyyy-mm-dd) to file names
+  --template <file>    fill this .xlsx template instead of building a workbook
+  --range <name>       named range of the template to fill (default: the one saved with each report)
+  --holidays <file>    CSV / XLSX of holidays for the working-day functions
+  --weekend <days>     weekend days for the working-day functions, 0 = Sunday (default: 0)
+  --help               show this help`;
+
+const FORMATS = {
+  ...Object.fromEntries(Object.entries(TEXT_EXPORTS).map(([ext, { build }]) => [ext, (table, { report }) => build(table, report.export)])),
+  xlsx: (table, { report, rows, fields, template, source }) => {
+    if (template) {
+      const range = template.range || report.export.templateRange;
+      if (!range) throw new CliError(`${report.name}: no named range to fill; pass --range or save one with the report`);
+      const { data, truncated } = tableToTemplate(table, template.data, { range, headers: report.export.templateHeaders });
+      if (truncated) console.warn(`${report.name}: ${truncated} row${truncated === 1 ? "" : "s"} did not fit in template range ${range}`);
+      return data;
+    }
+    const { data, summary } = workbookTables(rows, report, fields);
+    const info = reportInfo(report, fields, { rows, source });
+    return tableToXLSX(data, { summary, info, charts: report.charts, chartRows: rows, fields });
+  },
+  pdf: (table, { report, fields }) => tableToPDF(table, { ...report.export, filters: describeRowFilter(report, fields) }),
+};
+
+class CliError extends Error {}
+
+const readArgs = (argv) => {
+  try {
+    return parseArgs({
+      args: argv,
+      options: {
+        report: { type: "string" },
+        data: { type: "string" },
+        "rows-path": { type: "string", default: "$" },
+        "date-order": { type: "string" },
+        name: { type: "string", multiple: true },
+        format: { type: "string", default: "csv,xlsx,pdf" },
+        out: { type: "string", default: "." },
+        stamp: { type: "boolean", default: false },
+        template: { type: "string" },
+        range: { type: "string" },
+        holidays: { type: "string" },
+        weekend: { type: "string" },
+        help: { type: "boolean", default: false },
+      },
+    }).values;
+  } catch (err) {
+    throw new CliError(err.message);
+  }
+};
+
+// CSV / XLSX columns are matched to the known fields like the browser import does; unparseable cells are left blank.
+const loadData = async (file, { rowsPath, dateOrder, knownFields }) => {
+  const bytes = await readFile(file);
+  if (/\.json$/i.test(file)) {
+    let data;
+    try {
+      data = JSON.parse(bytes.toString("utf8"));
+    } catch (err) {
+      throw new CliError(`${file} is not valid JSON: ${err.message}`);
+    }
+    return { ...inferSchema(extractRows(data, rowsPath), knownFields), errors: [] };
+  }
+  const table = readTable(new Uint8Array(bytes), path.basename(file));
+  const mapping = suggestMapping(table, knownFields).map((m) => (dateOrder ? { ...m, dateOrder } : m));
+  const { rows, fields, errors } = buildImport(table, mapping, { keepFailed: true });
+  return { rows, fields, errors: errors.map((e) => `Row ${e.row}, ${e.column}: ${e.message}`) };
+};
+
+const loadCalendar = async ({ holidays, weekend }) => {
+  const calendar = { ...DEFAULT_CALENDAR };
+  if (weekend !== undefined) {
+    const days = weekend.split(",").filter((d) => d.trim() !== "").map(Number);
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6) || days.length > 6) throw new CliError(`--weekend takes 0-6 day numbers (0 = Sunday), got "${weekend}"`);
+    calendar.weekend = days;
+  }
+  if (holidays) {
+    const { holidays: list, errors } = readHolidayFile(new Uint8Array(await readFile(holidays)), path.basename(holidays));
+    errors.forEach((e) => console.warn(`${holidays}: ${e}`));
+    calendar.holidays = mergeHolidays([], list);
+  }
+  return calendar;
+};
+
+const safeName = (name) => String(name || "report").replace(/[^\w.-]+/g, "_");
+
+const main = async (argv) => {
+  const args = readArgs(argv);
+  if (args.help) return console.log(USAGE);
+  if (!args.report || !args.data) throw new CliError(`--report and --data are required\n\n${USAGE}`);
+  const formats = args.format.split(",").map((f) => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter((f) => !FORMATS[f]);
+  if (unknown.length || !formats.length) throw new CliError(`Unknown format ${unknown.join(", ") || "(none)"}; use ${Object.keys(FORMATS).join(", ")}`);
+  if (args["date-order"] && !["dmy", "mdy"].includes(args["date-order"])) throw new CliError("--date-order must be dmy or mdy");
+
+  const bundle = parseReportFile(await readFile(args.report, "utf8"));
+  const reports = args.name ? bundle.reports.filter((r) => args.name.includes(r.name) || args.name.includes(r.id)) : bundle.reports;
+  if (!reports.length) throw new CliError(args.name ? `No report named ${args.name.join(", ")} in ${args.report}` : `${args.report} has no reports`);
+
+  const knownFields = [...BASE_FIELDS, ...bundle.fields.filter((f) => f.kind === "raw" && !BASE_FIELDS.some((b) => b.key === f.key))];
+  const data = await loadData(args.data, { rowsPath: args["rows-path"], dateOrder: args["date-order"], knownFields });
+  data.errors.slice(0, 20).forEach((e) => console.warn(`${args.data}: ${e}`));
+  if (data.errors.length > 20) console.warn(`${args.data}: … and ${data.errors.length - 20} more cell errors`);
+  const calendars = [await loadCalendar(args)];
+  const template = args.template ? { data: new Uint8Array(await readFile(args.template)), range: args.range } : null;
+
+  await mkdir(args.out, { recursive: true });
+  const stamp = args.stamp ? `_${new Date().toISOString().slice(0, 10)}` : "";
+  const used = new Set();
+  for (const report of reports) {
+    const { fields, rows, table } = buildReport(report, { rows: data.rows, sourceFields: data.fields, userFields: bundle.fields, formats: bundle.formats, calendars });
+    const missing = report.columns.filter((k) => !fields.some((f) => f.key === k));
+    if (missing.length) console.warn(`${report.name}: no data for column${missing.length === 1 ? "" : "s"} ${missing.join(", ")}`);
+    const flagged = rows.filter((r) => r.__flags).length;
+    if (flagged) console.warn(`${report.name}: ${flagged} row${flagged === 1 ? "" : "s"} with flagged values (${Object.values(rows.find((r) => r.__flags).__flags)[0]})`);
+
+    let base = `${safeName(report.export.fileName)}${stamp}`;
+    for (let i = 2; used.has(base); i++) base = `${safeName(report.export.fileName)}${stamp}_${i}`;
+    used.add(base);
+    const written = [];
+    for (const format of formats) {
+      const file = path.join(args.out, `${base}.${format}`);
+      await writeFile(file, FORMATS[format](table, { report, rows, fields, template, source: path.basename(args.data) }));
+      written.push(file);
+    }
+    console.log(`${report.name}: ${table.rows.length} rows → ${written.join(", ")}`);
+  }
+};
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err.code === "ENOENT") console.error(`Error: file not found: ${err.path}`);
+  else console.error(err instanceof CliError || ["ReportError", "TemplateError"].includes(err.name) ? `Error: ${err.message}` : err);
+  process.exitCode = 1;
+});
@@ -1,189 +1,453 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { saveAs } from "file-saver";
-import * as XLSX from "xlsx";
-import jsPDF from "jspdf";
-import "jspdf-autotable";
+import { conditionalStyles } from "./engine/conditional.js";
+import { DEFAULT_CALENDAR, normalizeCalendar } from "./engine/calendar.js";
+import { FUNCTIONS, evaluateFormula } from "./engine/formula.js";
+import { FIELD_PROPS, checkFieldFormula, coerceValue, dependentsOf, fieldDeps, readStoredFields, renameInFields, reviseField, validateField } from "./engine/fields.js";
+import { opsFor, toggleSort } from "./engine/query.js";
+import { AGG_FNS } from "./engine/grouping.js";
+import { newId } from "./engine/ids.js";
+import { layoutColumns, moveKey } from "./engine/layout.js";
+import { describeRowFilter, reportFields, rowId, withFieldValues, reportInfo, reportRows, reportTable as buildTable, workbookTables } from "./engine/pipeline.js";
+import { TEXT_EXPORTS } from "./engine/exporters.js";
+import { chartTitle } from "./engine/charts.js";
+import { readTable } from "./engine/importer.js";
+import { BASE_FIELDS } from "./engine/demo.js";
+import { DEMO_SOURCE, loadSource } from "./engine/sources.js";
+import { newReport, normalizeReport, parseReportFile, renameReportField, serializeReports, uniqueName } from "./engine/reports.js";
+import { Section, Field, FieldGroup, Pill, TextInput, Select, IconButton } from "./components/ui.jsx";
+import ChartsPanel from "./components/ChartsPanel.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import SourcePanel from "./components/SourcePanel.jsx";
+import CalendarPanel from "./components/CalendarPanel.jsx";
+import ReportLibrary from "./components/ReportLibrary.jsx";
+import FieldHistory from "./components/FieldHistory.jsx";
+import ColumnLayoutEditor from "./components/ColumnLayoutEditor.jsx";
+import ConditionalFormatEditor from "./components/ConditionalFormatEditor.jsx";
+import PdfOptions from "./components/PdfOptions.jsx";
+import ExcelTemplate from "./components/ExcelTemplate.jsx";
+import CsvOptions from "./components/CsvOptions.jsx";
+import PreviewTable from "./components/PreviewTable.jsx";
+import EditBar from "./components/EditBar.jsx";
+import { useDragReorder } from "./components/useDragReorder.js";
+import { useFieldValues } from "./components/useFieldValues.js";
+import { useDialog } from "./components/dialogContext.js";
+import { chartNodeToPng } from "./components/chartImage.js";
+import { calculateRows, runExport } from "./components/reportWorker.js";
 
 /***********************************
  * Dynamic Report Builder (UI Revamp + Calculated Fields)
- * - Preserves full functionality: RAW + CALCULATED (DATE_DIFF, ARITH, CONCAT)
+ * - RAW + CALCULATED fields; calculated fields are free-text formulas (see engine/formula.js)
  * - Adds polished UI (Tailwind), sticky headers, nicer buttons (no external icon pkg)
  ***********************************/
 
-/************ Utilities ************/
-const toDate = (v) => (v instanceof Date ? v : v ? new Date(v) : null);
-const fmtDate = (v) => {
-  if (!v) return "";
-  const d = toDate(v);
-  if (!d || isNaN(d.getTime())) return "";
-  return d.toISOString().slice(0, 10);
-};
-const dateDiff = (a, b, unit = "days") => {
-  const d1 = toDate(a);
-  const d2 = toDate(b);
-  if (!d1 || !d2 || isNaN(d1) || isNaN(d2)) return null;
-  const ms = d2 - d1;
-  if (unit === "hours") return Math.round(ms / (1000 * 60 * 60));
-  return Math.round(ms / (1000 * 60 * 60 * 24));
-};
-
-/************ Demo dataset ************/
-const BASE_FIELDS = [
-  { key: "orderId", label: "Order ID", dataType: "string", source: "system" },
-  { key: "buyerName", label: "Buyer Name", dataType: "string", source: "system" },
-  { key: "orderDate", label: "Order Date", dataType: "date", source: "system" },
-  { key: "dispatchDate", label: "Dispatch Date", dataType: "date", source: "system" },
-  { key: "leadTimeDays", label: "Lead Time (days)", dataType: "number", source: "system" },
-  { key: "status", label: "Status", dataType: "string", source: "system" },
-  { key: "awbNumber", label: "AWB Number", dataType: "string", source: "system" },
-  { key: "exFactory", label: "Ex-Factory", dataType: "date", source: "system" },
-  { key: "style", label: "Style", dataType: "string", source: "system" },
-];
-
-const BUYERS = ["Zara", "Ann Taylor", "H&M", "Uniqlo", "Gap", "Target"];
-const STATUSES = ["Open", "In Production", "Ready", "Dispatched", "Closed"];
-const randFrom = (arr) => arr[Math.floor(Math.random() * arr.length)];
-const addDays = (d, n) => { const x = new Date(d); x.setDate(x.getDate() + n); return x; };
-
-const makeDummyOrders = (n = 28) => {
-  const base = new Date();
-  const rows = [];
-  for (let i = 0; i < n; i++) {
-    const orderDate = addDays(base, -Math.floor(Math.random() * 60));
-    const lead = Math.floor(Math.random() * 30) + 1;
-    const dispatchDate = addDays(orderDate, lead);
-    const exFactory = addDays(orderDate, Math.floor(Math.random() * 20));
-    rows.push({
-      orderId: `ORD-${String(1000 + i)}`,
-      buyerName: randFrom(BUYERS),
-      orderDate: fmtDate(orderDate),
-      dispatchDate: fmtDate(dispatchDate),
-      leadTimeDays: lead,
-      status: randFrom(STATUSES),
-      awbNumber: Math.random() > 0.6 ? `AWB${100000 + i}` : "",
-      exFactory: fmtDate(exFactory),
-      style: `STY-${String(10 + (i % 7))}`,
-    });
-  }
-  return rows;
-};
-
 /************ Local storage ************/
 const STORAGE_KEY = "report_builder_user_fields_v2";
+// Fields saved with the old structured `calc` shape are migrated to formula source on load; damaged entries are
+// dropped or repaired and reported as { fields, problems }.
 const loadUserFields = () => {
-  try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]"); } catch { return []; }
+  try { return readStoredFields(JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]")); } catch { return { fields: [], problems: ["Saved fields could not be read and were ignored"] }; }
 };
 const saveUserFields = (fields) => localStorage.setItem(STORAGE_KEY, JSON.stringify(fields));
 
-/************ Calculated engine ************/
-const computeValue = (row, def) => {
-  if (def.kind !== "calculated") return undefined;
-  const { calc } = def;
-  switch (calc.op) {
-    case "DATE_DIFF":
-      return dateDiff(row[calc.fromField], row[calc.toField], calc.unit || "days");
-    case "ARITH": {
-      const val = (node) => node?.type === "field" ? Number(row[node.value]) : Number(node?.value);
-      const left = val(calc.left);
-      const right = val(calc.right);
-      if ([left, right].some((v) => v === null || Number.isNaN(v))) return null;
-      switch (calc.operator) {
-        case "+": return left + right;
-        case "-": return left - right;
-        case "*": return left * right;
-        case "/": return right === 0 ? null : left / right;
-        default: return null;
-      }
-    }
-    case "CONCAT":
-      return (calc.parts || []).map((p) => (p.type === "field" ? (row[p.value] ?? "") : (p.value ?? ""))).join("");
-    default:
-      return undefined;
+// Display formats by field key; they apply to source and user fields alike, in every report.
+const FORMATS_KEY = "report_builder_field_formats_v1";
+const loadFormats = () => {
+  try { return JSON.parse(localStorage.getItem(FORMATS_KEY) || "{}"); } catch { return {}; }
+};
+const saveFormats = (formats) => localStorage.setItem(FORMATS_KEY, JSON.stringify(formats));
+const setFormat = (formats, key, format) => {
+  const { [key]: _old, ...rest } = formats;
+  return format ? { ...rest, [key]: format } : rest;
+};
+const renameFormat = (formats, from, to) => setFormat(setFormat(formats, from, null), to, formats[from]);
+
+// File sources hold their rows in memory only, so just the demo + HTTP sources are persisted.
+// Auth values stay out of localStorage unless the source opts in (config.rememberAuth); otherwise they live in
+// sessionStorage (source ID → value) and are gone once the tab closes.
+const SOURCES_KEY = "report_builder_sources_v1";
+const SOURCE_AUTH_KEY = "report_builder_source_auth_v1";
+const loadSessionAuth = () => {
+  try { return JSON.parse(sessionStorage.getItem(SOURCE_AUTH_KEY) || "{}"); } catch { return {}; }
+};
+const loadSources = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SOURCES_KEY) || "{}");
+    const auth = loadSessionAuth();
+    const http = (saved.list || []).filter((s) => s.type === "http")
+      .map((s) => (!s.config?.authValue && auth[s.id] ? { ...s, config: { ...s.config, authValue: auth[s.id] } } : s));
+    return { list: [DEMO_SOURCE, ...http], activeId: saved.activeId || DEMO_SOURCE.id };
+  } catch {
+    return { list: [DEMO_SOURCE], activeId: DEMO_SOURCE.id };
   }
 };
+const saveSources = ({ list, activeId }) => {
+  const http = list.filter((s) => s.type === "http");
+  localStorage.setItem(SOURCES_KEY, JSON.stringify({
+    list: http.map((s) => (s.config.rememberAuth ? s : { ...s, config: { ...s.config, authValue: "" } })),
+    activeId: list.find((s) => s.id === activeId)?.type === "file" ? DEMO_SOURCE.id : activeId,
+  }));
+  sessionStorage.setItem(SOURCE_AUTH_KEY, JSON.stringify(Object.fromEntries(
+    http.filter((s) => !s.config.rememberAuth && s.config.authValue).map((s) => [s.id, s.config.authValue]),
+  )));
+};
+
+// Business calendars for the working-day formula functions; the default one comes first when evaluating.
+const CALENDARS_KEY = "report_builder_calendars_v1";
+const loadCalendars = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CALENDARS_KEY) || "{}");
+    const list = (saved.list || []).map(normalizeCalendar);
+    if (list.length) return { list, defaultId: list.some((c) => c.id === saved.defaultId) ? saved.defaultId : list[0].id };
+  } catch { /* fall through to the built-in calendar */ }
+  return { list: [DEFAULT_CALENDAR], defaultId: DEFAULT_CALENDAR.id };
+};
+const saveCalendars = (calendars) => localStorage.setItem(CALENDARS_KEY, JSON.stringify(calendars));
 
-const buildPreviewRows = (rows, fieldsAll) => rows.map((r) => {
-  const out = { ...r };
-  for (const f of fieldsAll) {
-    if (f.kind === "calculated") out[f.key] = computeValue(r, f);
-    else if (f.kind === "raw" && !(f.key in out)) out[f.key] = f.defaultValue ?? null;
+// Company logo for PDF headers, shared by every report.
+const BRANDING_KEY = "report_builder_branding_v1";
+const loadBranding = () => {
+  try { return { logo: null, ...JSON.parse(localStorage.getItem(BRANDING_KEY) || "{}") }; } catch { return { logo: null }; }
+};
+const saveBranding = (branding) => localStorage.setItem(BRANDING_KEY, JSON.stringify(branding));
+
+// Values entered in the preview for raw user fields: field key → { order ID → value }, shared by every report.
+const FIELD_VALUES_KEY = "report_builder_field_values_v1";
+const loadFieldValues = () => {
+  try {
+    const values = JSON.parse(localStorage.getItem(FIELD_VALUES_KEY) || "{}");
+    return values && typeof values === "object" && !Array.isArray(values) ? values : {};
+  } catch {
+    return {};
   }
-  return out;
-});
-
-/************ Small UI helpers ************/
-const Section = ({ title, children, right }) => (
-  <div className="bg-white rounded-2xl shadow-md p-5 border border-gray-200 flex flex-col">
-    <div className="flex items-center justify-between mb-4">
-      <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
-      {right}
-    </div>
-    <div className="flex-1">{children}</div>
-  </div>
-);
+};
+const saveFieldValues = (values) => localStorage.setItem(FIELD_VALUES_KEY, JSON.stringify(values));
+
+// Charts used to be stored on their own; the first library adopts them into its starting report.
+const REPORTS_KEY = "report_builder_reports_v1";
+const LEGACY_CHARTS_KEY = "report_builder_charts_v1";
+const loadReports = (sourceId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REPORTS_KEY) || "{}");
+    if (saved.list?.length) {
+      const list = saved.list.map(normalizeReport);
+      return { list, activeId: list.some((r) => r.id === saved.activeId) ? saved.activeId : list[0].id };
+    }
+  } catch { /* start a fresh library */ }
+  let charts = [];
+  try { charts = JSON.parse(localStorage.getItem(LEGACY_CHARTS_KEY) || "[]"); } catch { charts = []; }
+  const report = newReport({ sourceId, columns: BASE_FIELDS.map((f) => f.key), charts });
+  return { list: [report], activeId: report.id };
+};
+const saveReports = (library) => {
+  localStorage.setItem(REPORTS_KEY, JSON.stringify(library));
+  localStorage.removeItem(LEGACY_CHARTS_KEY);
+};
 
-const Pill = ({ children, color = "gray" }) => (
-  <span className={`inline-flex items-center text-xs font-medium px-2 py-0.5 rounded-full bg-${color}-100 text-${color}-700 border border-${color}-200`}>{children}</span>
-);
+// The open report decides which source is active; `restored` is false when that source no longer exists.
+const loadWorkspace = () => {
+  const sources = loadSources();
+  const library = loadReports(sources.activeId);
+  const report = library.list.find((r) => r.id === library.activeId);
+  const restored = sources.list.some((s) => s.id === report.sourceId);
+  return { sources: restored ? { ...sources, activeId: report.sourceId } : sources, library, report, restored };
+};
 
-const Label = ({ children }) => (
-  <label className="text-xs font-medium text-gray-600 uppercase tracking-wide">{children}</label>
-);
+// The open report's working state is kept in App; it differs from the stored copy only after an edit.
+const REPORT_STATE_KEYS = ["sourceId", "columns", "layout", "filter", "sort", "grouping", "conditionalFormats", "charts", "export"];
+const withReportState = (report, state) => (REPORT_STATE_KEYS.every((k) => JSON.stringify(report[k]) === JSON.stringify(state[k]))
+  ? report
+  : { ...report, ...state, updatedAt: new Date().toISOString() });
+
+const NEW_FIELD_FORM = {
+  key: "",
+  label: "",
+  kind: "calculated", // "raw" | "calculated"
+  dataType: "number", // string | number | date
+  defaultValue: "",
+  formula: 'DATEDIFF("days", orderDate, dispatchDate)',
+};
 
-const TextInput = (props) => (
-  <input {...props} className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-400 focus:border-blue-400 transition ${props.className||""}`} />
-);
+/************ Filter builder ************/
+const FilterRuleEditor = ({ rule, fields, onChange, onRemove }) => {
+  const field = fields.find((f) => f.key === rule.field) || fields[0];
+  const ops = opsFor(field?.dataType);
+  const spec = ops.find((o) => o.op === rule.op) || ops[0];
+  const inputType = field?.dataType === "number" ? "number" : field?.dataType === "date" ? "date" : "text";
+  const changeField = (key) => {
+    const f = fields.find((x) => x.key === key);
+    onChange({ ...rule, field: key, op: opsFor(f?.dataType)[0].op, value: "", value2: "" });
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Select value={rule.field} onChange={(e) => changeField(e.target.value)} className="w-48" aria-label="Filter field">
+        {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+      </Select>
+      <Select value={spec.op} onChange={(e) => onChange({ ...rule, op: e.target.value })} className="w-36" aria-label="Condition">
+        {ops.map((o) => <option key={o.op} value={o.op}>{o.label}</option>)}
+      </Select>
+      {!spec.noValue && (
+        <TextInput type={inputType} value={rule.value ?? ""} onChange={(e) => onChange({ ...rule, value: e.target.value })} aria-label={spec.range ? "From" : "Value"}
+          placeholder={spec.op === "in" ? "value1, value2, …" : spec.range ? "from" : "value"} className="w-44" />
+      )}
+      {spec.range && (
+        <>
+          <span className="text-xs text-gray-500">and</span>
+          <TextInput type={inputType} value={rule.value2 ?? ""} onChange={(e) => onChange({ ...rule, value2: e.target.value })} placeholder="to" className="w-44" aria-label="To" />
+        </>
+      )}
+      <IconButton onClick={onRemove} className="text-red-600 border-red-200" label="Remove filter">🗑</IconButton>
+    </div>
+  );
+};
 
-const Select = (props) => (
-  <select {...props} className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-400 focus:border-blue-400 transition ${props.className||""}`} />
-);
+const FilterBuilder = ({ filter, fields, onChange }) => {
+  const updateRule = (id, next) => onChange({ ...filter, rules: filter.rules.map((r) => (r.id === id ? next : r)) });
+  const addRule = () => {
+    const f = fields[0];
+    onChange({ ...filter, rules: [...filter.rules, { id: newId(), field: f.key, op: opsFor(f.dataType)[0].op, value: "", value2: "" }] });
+  };
+  return (
+    <div className="space-y-3">
+      {filter.rules.length > 1 && (
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <span>Match</span>
+          <Select value={filter.combinator} onChange={(e) => onChange({ ...filter, combinator: e.target.value })} className="w-24" aria-label="Match">
+            <option value="AND">all</option>
+            <option value="OR">any</option>
+          </Select>
+          <span>of the following rules</span>
+        </div>
+      )}
+      <div className="flex flex-col gap-2">
+        {filter.rules.map((r) => (
+          <FilterRuleEditor key={r.id} rule={r} fields={fields} onChange={(next) => updateRule(r.id, next)}
+            onRemove={() => onChange({ ...filter, rules: filter.rules.filter((x) => x.id !== r.id) })} />
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <IconButton onClick={addRule}>➕ Add Filter</IconButton>
+        {filter.rules.length > 0 && <IconButton onClick={() => onChange({ ...filter, rules: [] })}>✖ Clear</IconButton>}
+      </div>
+    </div>
+  );
+};
 
-const IconButton = ({ onClick, children, className }) => (
-  <button onClick={onClick} className={`px-2 py-1 rounded-md border hover:bg-gray-50 ${className||""}`}>{children}</button>
-);
+/************ Grouping editor ************/
+const GroupingEditor = ({ grouping, fields, onChange }) => {
+  const unusedGroupFields = fields.filter((f) => !grouping.groupBy.includes(f.key));
+  const updateAgg = (id, patch) => onChange({ ...grouping, aggregates: grouping.aggregates.map((a) => (a.id === id ? { ...a, ...patch } : a)) });
+  const eligibleFields = (fn) => fields.filter((f) => !AGG_FNS.find((x) => x.fn === fn)?.numeric || f.dataType === "number");
+  const changeFn = (a, fn) => {
+    const options = eligibleFields(fn);
+    const keep = fn === "count" || options.some((f) => f.key === a.field);
+    updateAgg(a.id, { fn, field: keep ? a.field : options[0]?.key || "" });
+  };
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-4 text-sm">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={grouping.enabled} onChange={(e) => onChange({ ...grouping, enabled: e.target.checked })} />
+          <span className="font-medium">Group rows</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={grouping.subtotals} onChange={(e) => onChange({ ...grouping, subtotals: e.target.checked })} />
+          <span>Show subtotals</span>
+        </label>
+      </div>
+
+      <FieldGroup label="Group By">
+        <div className="flex flex-wrap items-center gap-2">
+          {grouping.groupBy.map((key, i) => (
+            <span key={key} className="inline-flex items-center gap-1 text-sm px-2 py-1 rounded-lg bg-indigo-50 border border-indigo-200 text-indigo-800">
+              {i > 0 && <span className="text-indigo-400">›</span>}
+              {fields.find((f) => f.key === key)?.label || key}
+              <button type="button" onClick={() => onChange({ ...grouping, groupBy: grouping.groupBy.filter((k) => k !== key) })}
+                aria-label={`Remove ${fields.find((f) => f.key === key)?.label || key} from group by`} className="ml-1 text-indigo-500 hover:text-red-600">✖</button>
+            </span>
+          ))}
+          {unusedGroupFields.length > 0 && (
+            <Select value="" onChange={(e) => e.target.value && onChange({ ...grouping, groupBy: [...grouping.groupBy, e.target.value] })} className="w-48" aria-label="Add group-by field">
+              <option value="">Add group-by field…</option>
+              {unusedGroupFields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </Select>
+          )}
+        </div>
+      </FieldGroup>
+
+      <FieldGroup label="Aggregates">
+        <div className="flex flex-col gap-2">
+          {grouping.aggregates.map((a) => (
+            <div key={a.id} className="flex items-center gap-2">
+              <Select value={a.fn} onChange={(e) => changeFn(a, e.target.value)} className="w-40" aria-label="Aggregate function">
+                {AGG_FNS.map((x) => <option key={x.fn} value={x.fn}>{x.label}</option>)}
+              </Select>
+              <Select value={a.field} onChange={(e) => updateAgg(a.id, { field: e.target.value })} aria-label="Aggregate field">
+                {a.fn === "count" && <option value="">(rows)</option>}
+                {eligibleFields(a.fn).map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </Select>
+              <IconButton onClick={() => onChange({ ...grouping, aggregates: grouping.aggregates.filter((x) => x.id !== a.id) })} className="text-red-600 border-red-200" label="Remove aggregate">🗑</IconButton>
+            </div>
+          ))}
+        </div>
+        <IconButton onClick={() => onChange({ ...grouping, aggregates: [...grouping.aggregates, { id: newId(), fn: "count", field: "" }] })}>➕ Add Aggregate</IconButton>
+      </FieldGroup>
+    </div>
+  );
+};
 
 /************ Main Component ************/
 export default function App() {
-  const [orders] = useState(() => makeDummyOrders());
-  const [userFields, setUserFields] = useState(loadUserFields());
-  const [selectedKeys, setSelectedKeys] = useState(() => BASE_FIELDS.map((f) => f.key));
-
-  // Form for creating fields
-  const [form, setForm] = useState({
-    key: "",
-    label: "",
-    kind: "calculated", // "raw" | "calculated"
-    dataType: "string", // string | number | date
-    defaultValue: "",
-    calc: {
-      op: "DATE_DIFF", // DATE_DIFF | ARITH | CONCAT
-      fromField: "orderDate",
-      toField: "dispatchDate",
-      unit: "days",
-      left: { type: "field", value: "leadTimeDays" },
-      operator: "+",
-      right: { type: "const", value: 0 },
-      parts: [ { type: "field", value: "buyerName" }, { type: "const", value: " - " }, { type: "field", value: "style" } ],
-    },
-  });
-
-  const allFields = useMemo(() => [
-    ...BASE_FIELDS.map((f) => ({ ...f, kind: "raw" })),
-    ...userFields,
-  ], [userFields]);
-
-  const previewRows = useMemo(() => buildPreviewRows(orders, allFields), [orders, allFields]);
-  const visibleFields = useMemo(() => allFields.filter((f) => selectedKeys.includes(f.key)), [allFields, selectedKeys]);
+  const [workspace] = useState(loadWorkspace);
+  const [sources, setSources] = useState(workspace.sources);
+  const [dataset, setDataset] = useState({ fields: BASE_FIELDS, rows: [] });
+  const [sourceStatus, setSourceStatus] = useState({ state: "loading", error: null });
+  const [reloadToken, setReloadToken] = useState(0);
+  const [showSources, setShowSources] = useState(false);
+  const [calendars, setCalendars] = useState(loadCalendars);
+  const [showCalendars, setShowCalendars] = useState(false);
+  const [branding, setBranding] = useState(loadBranding);
+  // A restored report already has its columns, so its source's first load must not reset the selection.
+  const loadedSource = useRef({ id: workspace.restored ? workspace.report.sourceId : null, keys: BASE_FIELDS.map((f) => f.key) });
+  const [pendingImport, setPendingImport] = useState(null); // { table, fileName } while mapping an upload
+  const [storedFields] = useState(loadUserFields);
+  const [userFields, setUserFields] = useState(storedFields.fields);
+  const [storedFieldProblems, setStoredFieldProblems] = useState(storedFields.problems);
+  const fieldValues = useFieldValues(loadFieldValues);
+  const dialog = useDialog();
+  const [selectedRows, setSelectedRows] = useState(() => new Set()); // order IDs ticked for bulk fill
+  const [formats, setFormats] = useState(loadFormats);
+  const [library, setLibrary] = useState(workspace.library);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [selectedKeys, setSelectedKeys] = useState(workspace.report.columns);
+  const [layout, setLayout] = useState(workspace.report.layout);
+  const [filter, setFilter] = useState(workspace.report.filter);
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState(workspace.report.sort);
+  const [grouping, setGrouping] = useState(workspace.report.grouping);
+  const [conditionalFormats, setConditionalFormats] = useState(workspace.report.conditionalFormats);
+  const [charts, setCharts] = useState(workspace.report.charts);
+  const [exportSettings, setExportSettings] = useState(workspace.report.export);
+  const [xlsxTemplate, setXlsxTemplate] = useState(null); // { name, data, ranges } for the session only
+  const chartNodes = useRef(new Map());
+
+  // Form for creating fields; `editingKey` is set while it holds an existing user field
+  const [form, setForm] = useState(NEW_FIELD_FORM);
+  const [showFieldErrors, setShowFieldErrors] = useState(false); // after a save attempt, empty inputs are flagged too
+  const [editingKey, setEditingKey] = useState(null);
+  const [historyKey, setHistoryKey] = useState(null);
+
+  const editingField = userFields.find((f) => f.key === editingKey);
+  const historyField = userFields.find((f) => f.key === historyKey);
+  const activeSource = sources.list.find((s) => s.id === sources.activeId) || DEMO_SOURCE;
+  const orders = dataset.rows;
+
+  // The active source supplies the raw schema; user fields whose key the source already provides are hidden.
+  const allFields = useMemo(() => reportFields(dataset.fields, userFields, formats), [dataset.fields, userFields, formats]);
+
+  const evalCalendars = useMemo(() => [
+    ...calendars.list.filter((c) => c.id === calendars.defaultId),
+    ...calendars.list.filter((c) => c.id !== calendars.defaultId),
+  ], [calendars]);
+  // Calculated fields are filled in off the main thread for large sources; only fields whose definition (or, for raw
+  // fields, entered values) changed are recalculated.
+  const calcFields = useMemo(() => withFieldValues(allFields, fieldValues.values), [allFields, fieldValues.values]);
+  const [previewRows, setPreviewRows] = useState([]);
+  const [calculating, setCalculating] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
+    setCalculating(true);
+    calculateRows(orders, calcFields, evalCalendars)
+      .then((rows) => { if (!cancelled) setPreviewRows(rows); })
+      .catch((err) => { if (!cancelled) setSourceStatus({ state: "error", error: `Could not calculate fields: ${err.message}` }); })
+      .finally(() => { if (!cancelled) setCalculating(false); });
+    return () => { cancelled = true; };
+  }, [orders, calcFields, evalCalendars]);
+  // Rows whose calculated value was flagged, per field key: { count, message } (message of the first one).
+  const fieldFlags = useMemo(() => {
+    const out = {};
+    for (const r of previewRows) {
+      for (const [key, message] of Object.entries(r.__flags || {})) {
+        out[key] ||= { count: 0, message };
+        out[key].count++;
+      }
+    }
+    return out;
+  }, [previewRows]);
+  // Columns appear in the order they were selected, which is the order the report stores.
+  const visibleFields = useMemo(() => selectedKeys.map((k) => allFields.find((f) => f.key === k)).filter(Boolean), [allFields, selectedKeys]);
+  // Filtered + sorted rows; the preview and every exporter read from this.
+  const displayRows = useMemo(() => reportRows(previewRows, { columns: selectedKeys, filter, sort }, allFields, search), [previewRows, selectedKeys, filter, sort, allFields, search]);
+  // What the preview and exports lay out: either the row listing or the grouped summary.
+  // Header overrides, widths and pinning from the report layout are applied to the columns of either.
+  const reportTable = useMemo(() => (
+    buildTable(displayRows, { columns: selectedKeys, layout, grouping }, allFields, { styles: false })
+  ), [grouping, displayRows, allFields, selectedKeys, layout]);
+  // Conditional formatting for each cell of reportTable; shared by the preview, PDF and XLSX.
+  const cellStyles = useMemo(() => conditionalStyles(reportTable.rows, reportTable.columns, conditionalFormats, allFields), [reportTable, conditionalFormats, allFields]);
+  // Rules can test any report column (aggregates included) or a field that is not shown.
+  const ruleFields = useMemo(() => [
+    ...reportTable.columns,
+    ...allFields.filter((f) => !reportTable.columns.some((c) => c.key === f.key)),
+  ], [reportTable.columns, allFields]);
+  // Selected fields in report order (pinned first), then the rest in definition order.
+  const fieldList = useMemo(() => [
+    ...layoutColumns(visibleFields, layout).map((c) => allFields.find((f) => f.key === c.key)),
+    ...allFields.filter((f) => !selectedKeys.includes(f.key)),
+  ], [allFields, visibleFields, selectedKeys, layout]);
+  const fieldOrder = fieldList.filter((f) => selectedKeys.includes(f.key)).map((f) => f.key);
+
+  // The library with the open report's current settings folded in; this is what gets saved, duplicated and exported.
+  const reports = useMemo(() => {
+    const state = { sourceId: sources.activeId, columns: selectedKeys, layout, filter, sort, grouping, conditionalFormats, charts, export: exportSettings };
+    return library.list.map((r) => (r.id === library.activeId ? withReportState(r, state) : r));
+  }, [library, sources.activeId, selectedKeys, layout, filter, sort, grouping, conditionalFormats, charts, exportSettings]);
+  const activeReport = reports.find((r) => r.id === library.activeId);
 
   useEffect(() => { saveUserFields(userFields); }, [userFields]);
+  useEffect(() => { saveFormats(formats); }, [formats]);
+  useEffect(() => { saveSources(sources); }, [sources]);
+  useEffect(() => { saveCalendars(calendars); }, [calendars]);
+  useEffect(() => { saveBranding(branding); }, [branding]);
+  useEffect(() => { saveFieldValues(fieldValues.values); }, [fieldValues.values]);
+  useEffect(() => { saveReports({ list: reports, activeId: library.activeId }); }, [reports, library.activeId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSourceStatus({ state: "loading", error: null });
+    loadSource(activeSource)
+      .then(({ fields, rows }) => {
+        if (cancelled) return;
+        // A different source starts with all of its columns selected (plus selected user fields); a reload keeps the selection.
+        const previous = loadedSource.current;
+        if (previous.id !== activeSource.id) {
+          const oldKeys = new Set(previous.keys);
+          setSelectedKeys((keys) => [...fields.map((f) => f.key), ...keys.filter((k) => !oldKeys.has(k) && !fields.some((f) => f.key === k))]);
+        }
+        loadedSource.current = { id: activeSource.id, keys: fields.map((f) => f.key) };
+        setDataset({ fields, rows });
+        setSourceStatus({ state: "ready", error: null });
+      })
+      .catch((err) => { if (!cancelled) setSourceStatus({ state: "error", error: err.message }); });
+    return () => { cancelled = true; };
+  }, [activeSource, reloadToken]);
 
   const toggleSelect = (key) => setSelectedKeys((prev) => prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]);
-
-  const handleCreate = () => {
-    if (!form.key || !form.label) return alert("Please provide key and label");
-    if (allFields.find((f) => f.key === form.key)) return alert("Field key already exists");
-    const cleaned = JSON.parse(JSON.stringify(form));
-    setUserFields((prev) => [...prev, { ...cleaned, source: "user" }]);
+  const moveColumn = (key, target) => setSelectedKeys((prev) => moveKey(prev, key, target));
+  const changeFormat = (key, format) => setFormats((prev) => setFormat(prev, key, format));
+  const fieldDrag = useDragReorder(moveColumn);
+  const headerDrag = useDragReorder(moveColumn);
+
+  const handleSaveField = async () => {
+    if (Object.keys(fieldCheck.errors).length) return setShowFieldErrors(true);
+    setShowFieldErrors(false);
+    const { formula, ...rest } = fieldCheck.field;
+    const cleaned = rest.kind === "calculated" ? { ...rest, formula: formula.trim() } : rest;
+    if (editingKey) {
+      if (await updateUserField(editingKey, cleaned)) closeEditor();
+      return;
+    }
+    setUserFields((prev) => [...prev, { ...cleaned, source: "user", version: 1, updatedAt: new Date().toISOString() }]);
     setForm((f) => ({
       ...f,
       key: "",
@@ -191,78 +455,302 @@ export default function App() {
     }));
   };
 
-  const removeUserField = (key) => {
-    if (!window.confirm(`Delete field ${key}?`)) return;
+  const startEdit = (field) => {
+    setEditingKey(field.key);
+    setShowFieldErrors(false);
+    setForm({ ...NEW_FIELD_FORM, ...Object.fromEntries(FIELD_PROPS.map((p) => [p, field[p] ?? ""])) });
+  };
+
+  const closeEditor = () => {
+    setEditingKey(null);
+    setShowFieldErrors(false);
+    setForm(NEW_FIELD_FORM);
+  };
+
+  // Saves `def` as a new version. A key change rewrites the formulas that reference the old key and every saved report using it.
+  const updateUserField = async (oldKey, def, note) => {
+    const renamed = def.key !== oldKey;
+    if (renamed) {
+      const users = allFields.filter((f) => fieldDeps(f).includes(oldKey));
+      const message = `Renaming ${oldKey} to ${def.key} also updates the formula of ${users.map((f) => f.label || f.key).join(", ")}. Continue?`;
+      if (users.length && !(await dialog.confirm(message, { title: "Rename field", confirmLabel: "Rename" }))) return false;
+    }
+    setUserFields((prev) => {
+      const rewritten = renameInFields(prev, oldKey, def.key);
+      return prev.map((f, i) => {
+        if (f.key === oldKey) return reviseField(f, def, note);
+        return rewritten[i] === f ? f : reviseField(f, { formula: rewritten[i].formula }, `Follows rename of ${oldKey} to ${def.key}`);
+      });
+    });
+    if (renamed) {
+      setFormats((prev) => (prev[oldKey] ? renameFormat(prev, oldKey, def.key) : prev));
+      fieldValues.renameField(oldKey, def.key);
+      const list = reports.map((r) => renameReportField(r, oldKey, def.key));
+      setLibrary({ list, activeId: library.activeId });
+      setReportState(list.find((r) => r.id === library.activeId));
+      if (historyKey === oldKey) setHistoryKey(def.key);
+    }
+    return true;
+  };
+
+  // Restoring runs the same checks as an edit: the old key must be free and the old formula must still resolve.
+  const restoreFieldVersion = async (field, version) => {
+    const def = Object.fromEntries(FIELD_PROPS.map((p) => [p, version[p]]));
+    if (def.key !== field.key && allFields.some((f) => f.key === def.key)) return dialog.alert(`Cannot restore v${version.version}: key ${def.key} is used by another field`);
+    const error = checkFieldFormula(def, allFields, field.key);
+    if (error) return dialog.alert(`Cannot restore v${version.version}: ${error.message}`);
+    if (!(await dialog.confirm(`Restore ${field.label || field.key} to v${version.version}?`, { confirmLabel: "Restore" }))) return;
+    if (editingKey === field.key) closeEditor();
+    await updateUserField(field.key, def, `Restored v${version.version}`);
+  };
+
+  const removeUserField = async (key) => {
+    const dependents = dependentsOf(key, allFields);
+    if (dependents.length) return dialog.alert(`Cannot delete ${key}: it is used by ${dependents.map((f) => f.label || f.key).join(", ")}`);
+    if (!(await dialog.confirm(`Delete field ${key}?`, { confirmLabel: "Delete", danger: true }))) return;
+    if (editingKey === key) closeEditor();
+    if (historyKey === key) setHistoryKey(null);
     setUserFields((prev) => prev.filter((f) => f.key !== key));
+    fieldValues.renameField(key, null);
+    setFormats((prev) => setFormat(prev, key, null));
     setSelectedKeys((prev) => prev.filter((k) => k !== key));
+    setLayout((prev) => ({ ...prev, pinned: prev.pinned.filter((k) => k !== key) }));
+    setSort((prev) => prev.filter((s) => s.key !== key));
+    setFilter((prev) => ({ ...prev, rules: prev.rules.filter((r) => r.field !== key) }));
+    setGrouping((prev) => ({ ...prev, groupBy: prev.groupBy.filter((k) => k !== key), aggregates: prev.aggregates.filter((a) => a.field !== key) }));
+    setConditionalFormats((prev) => prev.filter((r) => r.field !== key));
+    setCharts((prev) => prev.filter((c) => c.xField !== key && c.seriesField !== key && c.measure.field !== key));
   };
 
-  /************ Export ************/
-  const exportRows = useMemo(() => previewRows.map((r) => Object.fromEntries(visibleFields.map((f) => [f.label || f.key, r[f.key] ?? ""]))), [previewRows, visibleFields]);
+  /************ Import ************/
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const table = readTable(new Uint8Array(await file.arrayBuffer()), file.name);
+      if (!table.rows.length) return dialog.alert(`${file.name} has no data rows`);
+      setPendingImport({ table, fileName: file.name });
+    } catch (err) {
+      dialog.alert(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
 
-  const exportCSV = () => {
-    const headers = Object.keys(exportRows[0] || {});
-    const csv = [headers.join(",")].concat(exportRows.map((row) => headers.map((h) => JSON.stringify(row[h] ?? "")).join(","))).join("\n");
-    saveAs(new Blob([csv], { type: "text/csv;charset=utf-8;" }), `orders_${Date.now()}.csv`);
+  const loadImport = ({ rows, fields }) => {
+    const source = { id: newId(), type: "file", name: pendingImport.fileName, config: { fields, rows } };
+    setSources((prev) => ({ list: [...prev.list, source], activeId: source.id }));
+    setPendingImport(null);
   };
 
-  const exportXLSX = () => {
-    const ws = XLSX.utils.json_to_sheet(exportRows);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Orders");
-    const out = XLSX.write(wb, { bookType: "xlsx", type: "array" });
-    saveAs(new Blob([out], { type: "application/octet-stream" }), `orders_${Date.now()}.xlsx`);
+  /************ Data sources ************/
+  const selectSource = (id) => setSources((prev) => ({ ...prev, activeId: id }));
+  const saveHttpSource = (source) => setSources((prev) => ({
+    list: prev.list.some((s) => s.id === source.id) ? prev.list.map((s) => (s.id === source.id ? source : s)) : [...prev.list, source],
+    activeId: source.id,
+  }));
+  const removeSource = async (id) => {
+    const source = sources.list.find((s) => s.id === id);
+    if (!(await dialog.confirm(`Remove data source "${source?.name}"?`, { confirmLabel: "Remove", danger: true }))) return;
+    setSources((prev) => ({ list: prev.list.filter((s) => s.id !== id), activeId: prev.activeId === id ? DEMO_SOURCE.id : prev.activeId }));
   };
 
-  const exportPDF = () => {
-    const doc = new jsPDF({ orientation: "landscape" });
-    doc.text("Orders Report", 14, 12);
-    const head = [visibleFields.map((f) => f.label || f.key)];
-    const body = previewRows.map((r) => visibleFields.map((f) => String(r[f.key] ?? "")));
-    doc.autoTable({ head, body, startY: 16, styles: { fontSize: 8 } });
-    doc.save(`orders_${Date.now()}.pdf`);
+  /************ Report library ************/
+  // Loads a report's settings into the editor. A report whose source is gone stays on the current source.
+  const setReportState = (report) => {
+    setSelectedKeys(report.columns);
+    setLayout(report.layout);
+    setFilter(report.filter);
+    setSort(report.sort);
+    setGrouping(report.grouping);
+    setConditionalFormats(report.conditionalFormats);
+    setCharts(report.charts);
+    setExportSettings(report.export);
   };
 
-  /************ Formula summary ************/
-  const formulaSummary = useMemo(() => {
-    if (form.kind !== "calculated") return "Raw field";
-    const c = form.calc || {};
-    if (c.op === "DATE_DIFF") {
-      return `DATEDIFF(${c.unit || "days"}, ${c.fromField || "?"}, ${c.toField || "?"})`;
+  const applyReport = (report) => {
+    if (report.sourceId !== activeSource.id && sources.list.some((s) => s.id === report.sourceId)) {
+      loadedSource.current = { ...loadedSource.current, id: report.sourceId };
+      setSources((prev) => ({ ...prev, activeId: report.sourceId }));
     }
-    if (c.op === "ARITH") {
-      const fmt = (n) => n?.type === "field" ? `FIELD:${n.value || "?"}` : (typeof n?.value === "number" ? n.value : Number(n?.value||0));
-      return `ARITH(${fmt(c.left)} ${c.operator || "+"} ${fmt(c.right)})`;
+    setReportState(report);
+    setSearch("");
+  };
+
+  const openReport = (id) => {
+    if (id === library.activeId) return;
+    setLibrary({ list: reports, activeId: id });
+    applyReport(reports.find((r) => r.id === id));
+  };
+
+  const addReport = (report) => {
+    setLibrary({ list: [...reports, report], activeId: report.id });
+    applyReport(report);
+  };
+
+  const createReport = () => addReport(newReport({
+    name: uniqueName("Untitled report", reports.map((r) => r.name)),
+    sourceId: activeSource.id,
+    columns: dataset.fields.map((f) => f.key),
+  }));
+
+  const duplicateReport = (id) => {
+    const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...settings } = reports.find((r) => r.id === id);
+    addReport(newReport({ ...structuredClone(settings), name: uniqueName(`${settings.name} copy`, reports.map((r) => r.name)) }));
+  };
+
+  const renameReport = (id, name) => setLibrary({
+    list: reports.map((r) => (r.id === id ? { ...r, name, updatedAt: new Date().toISOString() } : r)),
+    activeId: library.activeId,
+  });
+
+  const deleteReport = async (id) => {
+    const report = reports.find((r) => r.id === id);
+    if (!(await dialog.confirm(`Delete report "${report.name}"?`, { confirmLabel: "Delete", danger: true }))) return;
+    const rest = reports.filter((r) => r.id !== id);
+    if (!rest.length) return addReport(newReport({ sourceId: activeSource.id, columns: dataset.fields.map((f) => f.key) }));
+    if (id !== library.activeId) return setLibrary({ list: rest, activeId: library.activeId });
+    setLibrary({ list: rest, activeId: rest[0].id });
+    applyReport(rest[0]);
+  };
+
+  const exportReports = (ids) => {
+    const chosen = reports.filter((r) => ids.includes(r.id));
+    const name = chosen.length === 1 ? chosen[0].name.replace(/[^\w.-]+/g, "_") : `reports_${Date.now()}`;
+    saveAs(new Blob([serializeReports(chosen, userFields, formats)], { type: "application/json" }), `${name}.report.json`);
+  };
+
+  // Imported reports always get new ids; their bundled user fields and formats are added unless that key already has one.
+  const importReports = async (file) => {
+    let parsed;
+    try {
+      parsed = parseReportFile(await file.text());
+    } catch (err) {
+      return dialog.alert(`Could not import ${file.name}: ${err.message}`);
     }
-    if (c.op === "CONCAT") {
-      return `CONCAT(${(c.parts||[]).map((p) => p.type === "field" ? `FIELD:${p.value}` : JSON.stringify(p.value||"" )).join(", ")})`;
+    const taken = reports.map((r) => r.name);
+    const imported = parsed.reports.map((r) => {
+      const copy = { ...r, id: newId(), name: uniqueName(r.name, taken) };
+      taken.push(copy.name);
+      return copy;
+    });
+    const existingKeys = new Set(allFields.map((f) => f.key));
+    const added = parsed.fields.filter((f) => !existingKeys.has(f.key));
+    const clashes = parsed.fields.filter((f) => {
+      const mine = userFields.find((u) => u.key === f.key);
+      return mine && (mine.kind !== f.kind || mine.dataType !== f.dataType || (mine.formula || "") !== (f.formula || ""));
+    });
+    if (added.length) setUserFields((prev) => [...prev, ...added]);
+    setFormats((prev) => ({ ...parsed.formats, ...prev }));
+    setLibrary({ list: [...reports, ...imported], activeId: library.activeId });
+    dialog.alert([
+      `Imported ${imported.length} report${imported.length === 1 ? "" : "s"}${added.length ? ` and ${added.length} field${added.length === 1 ? "" : "s"}` : ""}.`,
+      ...clashes.map((f) => `Field "${f.key}" already exists with a different definition; the existing one was kept.`),
+    ].join("\n"));
+  };
+
+  /************ Data entry ************/
+  // Raw user fields shown in the row listing can be edited per row; grouped summaries are read-only.
+  const editableFields = useMemo(() => (grouping.enabled ? [] : visibleFields.filter((f) => f.source === "user" && f.kind === "raw")), [grouping.enabled, visibleFields]);
+  const editableKeys = useMemo(() => new Set(editableFields.map((f) => f.key)), [editableFields]);
+
+  // Sets `key` on the given rows from the typed text; empty text goes back to the default. Returns an error message or null.
+  const setCellValues = (key, ids, text) => {
+    const field = allFields.find((f) => f.key === key);
+    const { value, error } = coerceValue(text, field.dataType);
+    if (error) return error;
+    const next = value === "" ? undefined : value;
+    const changed = ids.filter((id) => fieldValues.values[key]?.[id] !== next);
+    if (changed.length) fieldValues.change(key, Object.fromEntries(changed.map((id) => [id, next])));
+    return null;
+  };
+  const editCell = (key, id, text) => setCellValues(key, [id], text);
+  // Only ticked rows that are still listed are filled, so a filter or search narrows the fill too.
+  const fillSelectedRows = (key, text) => {
+    const ids = displayRows.map(rowId).filter((id) => id !== null && selectedRows.has(id));
+    return ids.length ? setCellValues(key, ids, text) : "None of the selected rows are listed; clear the search or filter.";
+  };
+  const selectRows = (ids, on) => setSelectedRows((prev) => {
+    const next = new Set(prev);
+    for (const id of ids) on ? next.add(id) : next.delete(id);
+    return next;
+  });
+
+  /************ Export ************/
+  const exportFileName = (ext) => `${(exportSettings.fileName || "report").replace(/[^\w.-]+/g, "_")}_${Date.now()}.${ext}`;
+  const styledTable = { ...reportTable, styles: cellStyles };
+
+  const exportText = async (ext) => {
+    try {
+      const out = await runExport("text", ext, styledTable, exportSettings);
+      saveAs(new Blob([out], { type: TEXT_EXPORTS[ext].mime }), exportFileName(ext));
+    } catch (err) {
+      dialog.alert(`Could not build the ${ext.toUpperCase()} file: ${err.message}`);
     }
-    return "Calculated";
-  }, [form]);
-
-  /************ Sub-forms for calculated ops ************/
-  const FieldSelect = ({ value, onChange, includeUser = true }) => (
-    <Select value={value} onChange={(e) => onChange(e.target.value)}>
-      {[...BASE_FIELDS, ...(includeUser ? userFields : [])].map((f) => (
-        <option key={f.key} value={f.key}>{f.label}</option>
-      ))}
-    </Select>
-  );
+  };
 
-  const ConcatPartEditor = ({ part, onChange, onRemove }) => (
-    <div className="flex items-center gap-2">
-      <Select value={part.type} onChange={(e) => onChange({ ...part, type: e.target.value })} className="w-28">
-        <option value="field">Field</option>
-        <option value="const">Text</option>
-      </Select>
-      {part.type === "field" ? (
-        <FieldSelect value={part.value || BASE_FIELDS[0].key} onChange={(v) => onChange({ ...part, value: v })} />
-      ) : (
-        <TextInput value={part.value || ""} onChange={(e) => onChange({ ...part, value: e.target.value })} placeholder="Text" />
-      )}
-      <IconButton onClick={onRemove} className="text-red-600 border-red-200">🗑</IconButton>
-    </div>
-  );
+  const exportXLSX = async () => {
+    if (xlsxTemplate) {
+      try {
+        const { data, truncated } = await runExport("tableToTemplate", styledTable, xlsxTemplate.data, { range: exportSettings.templateRange, headers: exportSettings.templateHeaders });
+        saveAs(new Blob([data], { type: "application/octet-stream" }), exportFileName("xlsx"));
+        if (truncated) dialog.alert(`${truncated} row${truncated === 1 ? "" : "s"} did not fit in the template range ${exportSettings.templateRange} and were left out.`);
+      } catch (err) {
+        dialog.alert(`Could not fill the template: ${err.message}`);
+      }
+      return;
+    }
+    const { data, summary } = workbookTables(displayRows, activeReport, allFields);
+    const info = reportInfo(activeReport, allFields, { rows: displayRows, search, source: activeSource.name });
+    try {
+      const out = await runExport("tableToXLSX", data, { summary, info, charts, chartRows: displayRows, fields: allFields });
+      saveAs(new Blob([out], { type: "application/octet-stream" }), exportFileName("xlsx"));
+    } catch (err) {
+      dialog.alert(`Could not build the Excel file: ${err.message}`);
+    }
+  };
+
+  const exportPDF = async () => {
+    const images = [];
+    for (const c of charts) {
+      const img = await chartNodeToPng(chartNodes.current.get(c.id)).catch(() => null);
+      if (img) images.push({ ...img, title: chartTitle(c, allFields) });
+    }
+    const { title, subtitle, pageSize, orientation, totals } = exportSettings;
+    const filters = describeRowFilter(activeReport, allFields, search);
+    try {
+      const out = await runExport("tableToPDF", styledTable, { title, subtitle, logo: branding.logo, filters, pageSize, orientation, totals, images });
+      saveAs(new Blob([out], { type: "application/pdf" }), exportFileName("pdf"));
+    } catch (err) {
+      dialog.alert(`Could not build the PDF: ${err.message}`);
+    }
+  };
+
+  /************ Field checking ************/
+  const fieldCheck = useMemo(() => validateField(form, allFields, editingKey ?? form.key), [form, allFields, editingKey]);
+  // Key and label errors wait until the input has been filled in or a save was attempted.
+  const formError = (prop) => ((showFieldErrors || String(form[prop] ?? "") !== "") ? fieldCheck.errors[prop] : undefined);
+  // User fields whose saved definition no longer validates against the current source, by key.
+  const fieldProblems = useMemo(() => {
+    if (sourceStatus.state !== "ready") return {};
+    const out = {};
+    for (const f of allFields.filter((x) => x.source === "user")) {
+      const messages = Object.values(validateField(f, allFields).errors);
+      if (messages.length) out[f.key] = messages;
+    }
+    return out;
+  }, [allFields, sourceStatus.state]);
+
+  const formulaCheck = useMemo(() => {
+    if (form.kind !== "calculated") return { error: null, sample: undefined };
+    const error = fieldCheck.errors.formula;
+    if (error) return { error, sample: undefined };
+    if (!previewRows[0]) return { error: null, sample: undefined };
+    let warning = null;
+    const sample = evaluateFormula(form.formula, previewRows[0], { calendars: evalCalendars, warn: (m) => { warning ??= m; } });
+    return { error: null, sample, warning };
+  }, [form, fieldCheck, previewRows, evalCalendars]);
+
+  const insertIntoFormula = (text) => setForm((f) => ({ ...f, formula: `${f.formula}${f.formula && !/\s$/.test(f.formula) ? " " : ""}${text}` }));
 
   /************ Render ************/
   return (
@@ -271,160 +759,144 @@ export default function App() {
         {/* Header */}
         <header className="flex items-center justify-between">
           <h1 className="text-3xl font-bold text-gray-900 tracking-tight">Dynamic Report Builder</h1>
-          <div className="flex gap-2 text-sm text-gray-500"><span>Orders dataset</span><span>•</span><span>{BASE_FIELDS.length + userFields.length} fields</span></div>
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <Select value={library.activeId} onChange={(e) => openReport(e.target.value)} className="w-56 py-1" aria-label="Report">
+              {reports.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </Select>
+            <IconButton onClick={() => setShowLibrary((v) => !v)}>📁 Reports</IconButton>
+            <span>•</span>
+            <Select value={activeSource.id} onChange={(e) => selectSource(e.target.value)} className="w-56 py-1" aria-label="Data source">
+              {sources.list.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </Select>
+            <IconButton onClick={() => setShowSources((v) => !v)}>⚙ Sources</IconButton>
+            <IconButton onClick={() => setShowCalendars((v) => !v)}>📅 Calendars</IconButton>
+            <span>•</span>
+            <span>{sourceStatus.state === "loading" ? "Loading…" : sourceStatus.state === "error" ? "Failed to load" : `${orders.length} rows`}</span>
+            <span>•</span><span>{allFields.length} fields</span>
+          </div>
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Create Field */}
-          <Section title="Create a New Field" right={<Pill color="blue">Custom</Pill>}>
+          <Section title={editingKey ? "Edit Field" : "Create a New Field"}
+            right={editingKey ? <Pill color="yellow">Editing {editingKey} · v{editingField?.version || 1}</Pill> : <Pill color="blue">Custom</Pill>}>
             <div className="space-y-4">
               <div className="grid grid-cols-2 gap-3">
-                <div className="space-y-1">
-                  <Label>Key</Label>
-                  <TextInput placeholder="unique_key" value={form.key} onChange={(e) => setForm({ ...form, key: e.target.value })} />
-                </div>
-                <div className="space-y-1">
-                  <Label>Label</Label>
-                  <TextInput placeholder="Display label" value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} />
-                </div>
+                <Field label="Key" error={formError("key")}>
+                  <TextInput placeholder="unique_key" value={form.key} onChange={(e) => setForm({ ...form, key: e.target.value })} className={formError("key") ? "border-red-400" : ""} />
+                </Field>
+                <Field label="Label" error={formError("label")}>
+                  <TextInput placeholder="Display label" value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} className={formError("label") ? "border-red-400" : ""} />
+                </Field>
               </div>
 
               <div className="grid grid-cols-3 gap-3">
-                <div className="space-y-1">
-                  <Label>Type</Label>
+                <Field label="Type">
                   <Select value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })}>
                     <option value="raw">Raw</option>
                     <option value="calculated">Calculated</option>
                   </Select>
-                </div>
-                <div className="space-y-1">
-                  <Label>Data Type</Label>
-                  <Select value={form.dataType} onChange={(e) => setForm({ ...form, dataType: e.target.value })}>
+                </Field>
+                <Field label="Data Type" error={fieldCheck.errors.dataType}>
+                  <Select value={form.dataType} onChange={(e) => setForm({ ...form, dataType: e.target.value })} className={fieldCheck.errors.dataType ? "border-red-400" : ""}>
                     <option value="string">String</option>
                     <option value="number">Number</option>
                     <option value="date">Date</option>
                   </Select>
-                </div>
-                <div className="space-y-1">
-                  <Label>Default (for Raw)</Label>
-                  <TextInput value={form.defaultValue} onChange={(e) => setForm({ ...form, defaultValue: e.target.value })} placeholder="optional" />
-                </div>
+                </Field>
+                <Field label="Default (for Raw)" error={form.kind === "raw" ? fieldCheck.errors.defaultValue : undefined}>
+                  <TextInput value={form.defaultValue} onChange={(e) => setForm({ ...form, defaultValue: e.target.value })} placeholder="optional"
+                    disabled={form.kind === "calculated"} className={form.kind === "raw" && fieldCheck.errors.defaultValue ? "border-red-400" : "disabled:bg-gray-50"} />
+                </Field>
               </div>
 
               {form.kind === "calculated" && (
                 <div className="space-y-3 rounded-xl border border-blue-100 bg-blue-50/50 p-3">
-                  <div className="space-y-1">
-                    <Label>Operation</Label>
-                    <Select value={form.calc.op} onChange={(e) => setForm({ ...form, calc: { ...form.calc, op: e.target.value } })}>
-                      <option value="DATE_DIFF">Date Difference</option>
-                      <option value="ARITH">Arithmetic</option>
-                      <option value="CONCAT">Concatenate</option>
+                  <Field label="Formula">
+                    <textarea
+                      value={form.formula}
+                      onChange={(e) => setForm({ ...form, formula: e.target.value })}
+                      rows={3}
+                      spellCheck={false}
+                      placeholder='IF(status = "Dispatched", 1, 0)'
+                      className={`w-full border rounded-lg px-3 py-2 font-mono text-sm focus:ring-2 focus:ring-blue-400 focus:border-blue-400 transition ${formulaCheck.error ? "border-red-400" : ""}`}
+                    />
+                  </Field>
+                  <div className="grid grid-cols-2 gap-3">
+                    <Select value="" onChange={(e) => e.target.value && insertIntoFormula(e.target.value)} aria-label="Insert field">
+                      <option value="">Insert field…</option>
+                      {allFields.map((f) => (
+                        <option key={f.key} value={/^[A-Za-z_][A-Za-z0-9_]*$/.test(f.key) ? f.key : `[${f.key}]`}>{f.label}</option>
+                      ))}
+                    </Select>
+                    <Select value="" onChange={(e) => e.target.value && insertIntoFormula(`${e.target.value}(`)} aria-label="Insert function">
+                      <option value="">Insert function…</option>
+                      {Object.keys(FUNCTIONS).map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
                     </Select>
                   </div>
-
-                  {form.calc.op === "DATE_DIFF" && (
-                    <div className="grid grid-cols-3 gap-3">
-                      <div className="space-y-1">
-                        <Label>From Field</Label>
-                        <FieldSelect value={form.calc.fromField} onChange={(v) => setForm({ ...form, calc: { ...form.calc, fromField: v } })} />
-                      </div>
-                      <div className="space-y-1">
-                        <Label>To Field</Label>
-                        <FieldSelect value={form.calc.toField} onChange={(v) => setForm({ ...form, calc: { ...form.calc, toField: v } })} />
-                      </div>
-                      <div className="space-y-1">
-                        <Label>Unit</Label>
-                        <Select value={form.calc.unit} onChange={(e) => setForm({ ...form, calc: { ...form.calc, unit: e.target.value } })}>
-                          <option value="days">Days</option>
-                          <option value="hours">Hours</option>
-                        </Select>
-                      </div>
-                    </div>
-                  )}
-
-                  {form.calc.op === "ARITH" && (
-                    <div className="grid grid-cols-3 gap-3">
-                      <div className="space-y-1">
-                        <Label>Left Operand</Label>
-                        <div className="flex gap-2">
-                          <Select value={form.calc.left?.type} onChange={(e) => setForm({ ...form, calc: { ...form.calc, left: { ...form.calc.left, type: e.target.value } } })} className="w-28">
-                            <option value="field">Field</option>
-                            <option value="const">Const</option>
-                          </Select>
-                          {form.calc.left?.type === "field" ? (
-                            <FieldSelect value={form.calc.left?.value} onChange={(v) => setForm({ ...form, calc: { ...form.calc, left: { type: "field", value: v } } })} />
-                          ) : (
-                            <TextInput type="number" value={form.calc.left?.value ?? 0} onChange={(e) => setForm({ ...form, calc: { ...form.calc, left: { type: "const", value: Number(e.target.value) } } })} />
-                          )}
-                        </div>
-                      </div>
-                      <div className="space-y-1">
-                        <Label>Operator</Label>
-                        <Select value={form.calc.operator} onChange={(e) => setForm({ ...form, calc: { ...form.calc, operator: e.target.value } })}>
-                          <option value="+">+</option>
-                          <option value="-">-</option>
-                          <option value="*">*</option>
-                          <option value="/">/</option>
-                        </Select>
-                      </div>
-                      <div className="space-y-1">
-                        <Label>Right Operand</Label>
-                        <div className="flex gap-2">
-                          <Select value={form.calc.right?.type} onChange={(e) => setForm({ ...form, calc: { ...form.calc, right: { ...form.calc.right, type: e.target.value } } })} className="w-28">
-                            <option value="field">Field</option>
-                            <option value="const">Const</option>
-                          </Select>
-                          {form.calc.right?.type === "field" ? (
-                            <FieldSelect value={form.calc.right?.value} onChange={(v) => setForm({ ...form, calc: { ...form.calc, right: { type: "field", value: v } } })} />
-                          ) : (
-                            <TextInput type="number" value={form.calc.right?.value ?? 0} onChange={(e) => setForm({ ...form, calc: { ...form.calc, right: { type: "const", value: Number(e.target.value) } } })} />
-                          )}
-                        </div>
+                  <div aria-live="polite">
+                    {formulaCheck.error ? (
+                      <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md px-2 py-1">{formulaCheck.error}</div>
+                    ) : (
+                      <div className="text-xs text-blue-700 bg-blue-100/70 border border-blue-200 rounded-md px-2 py-1">
+                        Formula OK{formulaCheck.sample !== undefined && <> · first row: <span className="font-mono">{formulaCheck.sample === null ? "(empty)" : String(formulaCheck.sample)}</span></>}
+                        {formulaCheck.warning && <span className="text-amber-700"> · ⚠ {formulaCheck.warning}</span>}
                       </div>
-                    </div>
-                  )}
-
-                  {form.calc.op === "CONCAT" && (
-                    <div className="space-y-2">
-                      <div className="flex flex-col gap-2">
-                        {(form.calc.parts || []).map((p, i) => (
-                          <ConcatPartEditor key={i} part={p}
-                            onChange={(np) => setForm({ ...form, calc: { ...form.calc, parts: form.calc.parts.map((x, idx) => idx === i ? np : x) } })}
-                            onRemove={() => setForm({ ...form, calc: { ...form.calc, parts: form.calc.parts.filter((_, idx) => idx !== i) } })}
-                          />
-                        ))}
-                      </div>
-                      <div className="flex gap-2">
-                        <IconButton onClick={() => setForm({ ...form, calc: { ...form.calc, parts: [...(form.calc.parts||[]), { type: "field", value: BASE_FIELDS[0].key }] } })}>
-                          ➕ Add Field
-                        </IconButton>
-                        <IconButton onClick={() => setForm({ ...form, calc: { ...form.calc, parts: [...(form.calc.parts||[]), { type: "const", value: " " }] } })}>
-                          🔤 Add Text
-                        </IconButton>
-                      </div>
-                    </div>
-                  )}
-
-                  <div className="text-xs text-blue-700 bg-blue-100/70 border border-blue-200 rounded-md px-2 py-1">Formula: {formulaSummary}</div>
+                    )}
+                  </div>
                 </div>
               )}
 
-              <button onClick={handleCreate} className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow-md">➕ Add Field</button>
+              {editingKey ? (
+                <div className="flex gap-2">
+                  <button onClick={handleSaveField} className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow-md">💾 Save Changes</button>
+                  <button onClick={closeEditor} className="px-4 py-2 rounded-lg border hover:bg-gray-50">Cancel</button>
+                </div>
+              ) : (
+                <button onClick={handleSaveField} className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow-md">➕ Add Field</button>
+              )}
             </div>
           </Section>
 
           {/* Fields list */}
           <Section title="Fields in Dataset" right={<Pill>{allFields.length}</Pill>}>
+            {storedFieldProblems.length > 0 && (
+              <div className="mb-3 text-xs rounded-md px-2 py-1 border text-amber-800 bg-amber-50 border-amber-200 flex items-start justify-between gap-2">
+                <ul className="list-disc pl-4">{storedFieldProblems.map((p, i) => <li key={i}>{p}</li>)}</ul>
+                <button onClick={() => setStoredFieldProblems([])} aria-label="Dismiss" className="text-amber-700 hover:text-amber-900">✖</button>
+              </div>
+            )}
             <div className="max-h-[420px] overflow-auto divide-y">
-              {allFields.map((f) => (
-                <div key={f.key} className="py-2 flex items-center justify-between gap-2 hover:bg-gray-50 px-2 rounded-lg transition">
-                  <label className="flex items-center gap-2 cursor-pointer">
-                    <input type="checkbox" checked={selectedKeys.includes(f.key)} onChange={() => toggleSelect(f.key)} />
-                    <span className="text-sm font-medium">{f.label}</span>
-                    {f.kind === "calculated" && <span className="text-[10px] px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800 border border-yellow-200">calc</span>}
-                  </label>
+              {fieldList.map((f) => (
+                <div key={f.key} {...fieldDrag.dragProps(f.key, selectedKeys.includes(f.key))}
+                  className={`py-2 flex items-center justify-between gap-2 hover:bg-gray-50 px-2 rounded-lg transition ${fieldDrag.overKey === f.key ? "bg-blue-50" : ""}`}>
+                  <div className="flex items-center gap-2">
+                    {selectedKeys.includes(f.key) ? (
+                      <span {...fieldDrag.handleProps(f.key, fieldOrder, f.label)} title="Drag or use the arrow keys to reorder"
+                        className="text-gray-400 cursor-grab rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-400">⋮⋮</span>
+                    ) : <span aria-hidden="true" className="invisible">⋮⋮</span>}
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input type="checkbox" checked={selectedKeys.includes(f.key)} onChange={() => toggleSelect(f.key)} />
+                      <span className="text-sm font-medium">{f.label}</span>
+                      {f.kind === "calculated" && <span className="text-[10px] px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800 border border-yellow-200">calc</span>}
+                      {fieldFlags[f.key] && (
+                        <span title={fieldFlags[f.key].message} className="text-[10px] px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 border border-amber-200">
+                          ⚠ {fieldFlags[f.key].count} row{fieldFlags[f.key].count === 1 ? "" : "s"}
+                        </span>
+                      )}
+                      {fieldProblems[f.key] && (
+                        <span title={fieldProblems[f.key].join("\n")} className="text-[10px] px-1.5 py-0.5 rounded bg-red-100 text-red-700 border border-red-200">invalid</span>
+                      )}
+                    </label>
+                  </div>
                   {f.source === "user" && (
-                    <button onClick={() => removeUserField(f.key)} className="px-2 py-1 text-xs rounded-md bg-red-100 text-red-600 hover:bg-red-200 transition">🗑 Delete</button>
+                    <div className="flex gap-1">
+                      <button onClick={() => startEdit(f)} aria-label={`Edit ${f.label}`} className="px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition">✎ Edit</button>
+                      <button onClick={() => setHistoryKey(f.key)} aria-label={`Version history of ${f.label}, version ${f.version || 1}`} className="px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition">🕘 v{f.version || 1}</button>
+                      <button onClick={() => removeUserField(f.key)} aria-label={`Delete ${f.label}`} className="px-2 py-1 text-xs rounded-md bg-red-100 text-red-600 hover:bg-red-200 transition">🗑 Delete</button>
+                    </div>
                   )}
                 </div>
               ))}
@@ -434,35 +906,116 @@ export default function App() {
           {/* Export */}
           <Section title="Export & Actions" right={<Pill color="green">Ready</Pill>}>
             <div className="flex flex-col gap-3">
-              <button onClick={exportCSV} className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow">📄 CSV</button>
-              <button onClick={exportXLSX} className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-green-600 text-white font-medium hover:bg-green-700 transition shadow">📊 Excel</button>
+              <button onClick={() => exportText("csv")} className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow">📄 CSV</button>
+              <button onClick={exportXLSX} className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-green-600 text-white font-medium hover:bg-green-700 transition shadow">📊 Excel{xlsxTemplate ? " (template)" : ""}</button>
               <button onClick={exportPDF} className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-red-600 text-white font-medium hover:bg-red-700 transition shadow">📕 PDF</button>
+              <div className="grid grid-cols-4 gap-2">
+                {[["json", "{ } JSON"], ["ndjson", "NDJSON"], ["tsv", "⇥ TSV"], ["html", "🌐 HTML"]].map(([ext, label]) => (
+                  <button key={ext} onClick={() => exportText(ext)} className="px-2 py-1.5 rounded-lg border border-gray-300 text-sm font-medium hover:bg-gray-50 transition">{label}</button>
+                ))}
+              </div>
+              <Field label="File Name">
+                <TextInput value={exportSettings.fileName} onChange={(e) => setExportSettings({ ...exportSettings, fileName: e.target.value })} placeholder="report" />
+              </Field>
+              <CsvOptions options={exportSettings.csv} onChange={(csv) => setExportSettings({ ...exportSettings, csv })} />
+              <ExcelTemplate template={xlsxTemplate} settings={exportSettings} onTemplateChange={setXlsxTemplate} onChange={setExportSettings} />
+              <PdfOptions settings={exportSettings} columnCount={reportTable.columns.length} logo={branding.logo}
+                onChange={setExportSettings} onLogoChange={(logo) => setBranding({ ...branding, logo })} />
+              <div className="border-t pt-3 flex flex-col gap-2">
+                <label className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-gray-300 font-medium hover:bg-gray-50 transition cursor-pointer">
+                  📥 Import CSV / Excel
+                  <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xls" onChange={handleImportFile} className="hidden" />
+                </label>
+              </div>
             </div>
           </Section>
         </div>
 
+        {historyField && (
+          <Section title={`Field History · ${historyField.label || historyField.key}`} right={<IconButton onClick={() => setHistoryKey(null)}>✖ Close</IconButton>}>
+            <FieldHistory field={historyField} onRestore={(v) => restoreFieldVersion(historyField, v)} />
+          </Section>
+        )}
+
+        {showLibrary && (
+          <Section title="Report Library" right={<Pill color="blue">{activeReport.name}</Pill>}>
+            <ReportLibrary reports={reports} activeId={library.activeId} onOpen={openReport} onNew={createReport}
+              onDuplicate={duplicateReport} onRename={renameReport} onDelete={deleteReport} onImport={importReports} onExport={exportReports} />
+          </Section>
+        )}
+
+        {(showSources || sourceStatus.state === "error") && (
+          <Section title="Data Sources" right={<Pill color={sourceStatus.state === "error" ? "red" : "blue"}>{activeSource.name}</Pill>}>
+            <SourcePanel sources={sources.list} activeId={activeSource.id} status={sourceStatus} onSelect={selectSource}
+              onSave={saveHttpSource} onRemove={removeSource} onReload={() => setReloadToken((t) => t + 1)} />
+          </Section>
+        )}
+
+        {showCalendars && (
+          <Section title="Business Calendars" right={<Pill color="blue">{calendars.list.find((c) => c.id === calendars.defaultId)?.name}</Pill>}>
+            <CalendarPanel calendars={calendars.list} defaultId={calendars.defaultId}
+              onChange={(list) => setCalendars((prev) => ({ list, defaultId: list.some((c) => c.id === prev.defaultId) ? prev.defaultId : list[0].id }))}
+              onSetDefault={(defaultId) => setCalendars((prev) => ({ ...prev, defaultId }))} />
+          </Section>
+        )}
+
+        {pendingImport && (
+          <Section title="Import Data" right={<Pill color="blue">Map columns</Pill>}>
+            <ImportPanel key={pendingImport.fileName} table={pendingImport.table} fileName={pendingImport.fileName}
+              fields={[...BASE_FIELDS, ...dataset.fields.filter((f) => !BASE_FIELDS.some((b) => b.key === f.key))]}
+              reservedKeys={userFields.map((f) => f.key)}
+              onLoad={loadImport} onCancel={() => setPendingImport(null)} />
+          </Section>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Filters */}
+          <Section title="Filters" right={<Pill color={filter.rules.length ? "blue" : "gray"}>{filter.rules.length} rule{filter.rules.length === 1 ? "" : "s"}</Pill>}>
+            <FilterBuilder filter={filter} fields={allFields} onChange={setFilter} />
+          </Section>
+
+          {/* Grouping */}
+          <Section title="Group & Summarise" right={<Pill color={grouping.enabled ? "blue" : "gray"}>{grouping.enabled ? "On" : "Off"}</Pill>}>
+            <GroupingEditor grouping={grouping} fields={allFields} onChange={setGrouping} />
+          </Section>
+        </div>
+
+        {/* Column layout */}
+        <Section title="Column Layout" right={<Pill color={layout.pinned.length ? "blue" : "gray"}>{reportTable.columns.filter((c) => c.pinned).length} pinned</Pill>}>
+          <ColumnLayoutEditor columns={reportTable.columns} layout={layout} grouped={grouping.enabled} rows={reportTable.rows} formats={formats}
+            onChange={setLayout} onMove={moveColumn} onFormatChange={changeFormat} />
+        </Section>
+
+        {/* Conditional formatting */}
+        <Section title="Conditional Formatting" right={<Pill color={conditionalFormats.length ? "blue" : "gray"}>{conditionalFormats.length} rule{conditionalFormats.length === 1 ? "" : "s"}</Pill>}>
+          <ConditionalFormatEditor rules={conditionalFormats} fields={ruleFields} onChange={setConditionalFormats} />
+        </Section>
+
         {/* Preview */}
-        <Section title="Preview (Live)">
-          <div className="overflow-auto rounded-lg border border-gray-200">
-            <table className="min-w-full text-sm">
-              <thead>
-                <tr className="bg-gray-200 sticky top-0">
-                  {visibleFields.map((f) => (
-                    <th key={f.key} className="text-left px-3 py-2 font-semibold whitespace-nowrap">{f.label}</th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {previewRows.map((row, idx) => (
-                  <tr key={idx} className="odd:bg-white even:bg-gray-50 hover:bg-blue-50 transition">
-                    {visibleFields.map((f) => (
-                      <td key={f.key} className="px-3 py-2 whitespace-nowrap">{f.dataType === "date" ? fmtDate(row[f.key]) : String(row[f.key] ?? "")}</td>
-                    ))}
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+        <Section title="Preview (Live)" right={
+          <div className="flex items-center gap-3">
+            <div role="status" className="flex items-center gap-3">
+              {calculating && <Pill color="blue">Calculating…</Pill>}
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {displayRows.length} of {previewRows.length} rows{grouping.enabled && ` · ${reportTable.rows.length} summary rows`}
+              </span>
+            </div>
+            <TextInput type="search" placeholder="Search…" aria-label="Search rows" value={search} onChange={(e) => setSearch(e.target.value)} className="w-56 py-1" />
           </div>
+        }>
+          {editableFields.length > 0 && (
+            <EditBar fields={editableFields} selectedCount={selectedRows.size} onFill={fillSelectedRows} onClearSelection={() => setSelectedRows(new Set())}
+              canUndo={fieldValues.canUndo} canRedo={fieldValues.canRedo} onUndo={fieldValues.undo} onRedo={fieldValues.redo} />
+          )}
+          <PreviewTable table={reportTable} styles={cellStyles} sort={sort} sortable={!grouping.enabled}
+            onSort={(key, add) => setSort((prev) => toggleSort(prev, key, add))} headerDrag={headerDrag}
+            editableKeys={editableKeys} selected={selectedRows} onSelect={selectRows} onEdit={editCell} />
+        </Section>
+
+        {/* Charts */}
+        <Section title="Charts" right={<Pill color={charts.length ? "blue" : "gray"}>{charts.length}</Pill>}>
+          <ChartsPanel charts={charts} fields={allFields} rows={displayRows} onChange={setCharts}
+            registerNode={(id, el) => (el ? chartNodes.current.set(id, el) : chartNodes.current.delete(id))} />
         </Section>
       </div>
     </div>
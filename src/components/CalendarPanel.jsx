@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { WEEKDAYS, mergeHolidays, newCalendar, readHolidayFile } from "../engine/calendar.js";
+import { Field, FieldGroup, TextInput, Select, IconButton, Pill } from "./ui.jsx";
+import { useDialog } from "./dialogContext.js";
+
+/***********************************
+ * Business calendar manager
+ * - Each calendar has its weekend days and a holiday list; the default one is used by WORKDAYS / ADDWORKDAYS
+ *   unless a formula names another calendar as its last argument
+ * - Holidays can be added by hand or imported from CSV / XLSX (date column + optional name column)
+ ***********************************/
+
+const HolidayImport = ({ onImport }) => {
+  const [dateOrder, setDateOrder] = useState("dmy");
+  const [report, setReport] = useState(null);
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { holidays, errors } = readHolidayFile(new Uint8Array(await file.arrayBuffer()), file.name, dateOrder);
+      if (holidays.length) onImport(holidays);
+      setReport({ fileName: file.name, added: holidays.length, errors });
+    } catch (err) {
+      setReport({ fileName: file.name, added: 0, errors: [`Could not read the file: ${err.message}`] });
+    }
+  };
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="px-2 py-1 rounded-md border hover:bg-gray-50 cursor-pointer text-sm">
+          ⬆ Import Holidays
+          <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xls" onChange={handleFile} className="hidden" />
+        </label>
+        <Select value={dateOrder} onChange={(e) => setDateOrder(e.target.value)} className="w-44 py-1 text-sm" title="How to read dates like 03/04/2026" aria-label="Date order">
+          <option value="dmy">Dates as dd/mm/yyyy</option>
+          <option value="mdy">Dates as mm/dd/yyyy</option>
+        </Select>
+      </div>
+      {report && (
+        <div className={`text-xs rounded-md px-2 py-1 border ${report.errors.length ? "text-amber-800 bg-amber-50 border-amber-200" : "text-blue-700 bg-blue-50 border-blue-200"}`}>
+          {report.fileName}: {report.added} holiday{report.added === 1 ? "" : "s"} imported
+          {report.errors.length > 0 && <>, {report.errors.length} row{report.errors.length === 1 ? "" : "s"} skipped
+            <ul className="list-disc ml-5">{report.errors.slice(0, 5).map((m) => <li key={m}>{m}</li>)}</ul></>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default function CalendarPanel({ calendars, defaultId, onChange, onSetDefault }) {
+  const [selectedId, setSelectedId] = useState(defaultId);
+  const [holiday, setHoliday] = useState({ date: "", name: "" });
+  const dialog = useDialog();
+  const cal = calendars.find((c) => c.id === selectedId) || calendars[0];
+
+  const update = (patch) => onChange(calendars.map((c) => (c.id === cal.id ? { ...c, ...patch } : c)));
+  const toggleWeekend = (day) => {
+    const weekend = cal.weekend.includes(day) ? cal.weekend.filter((d) => d !== day) : [...cal.weekend, day].sort();
+    if (weekend.length < 7) update({ weekend });
+  };
+  const addCalendar = () => {
+    const next = newCalendar({ name: `Calendar ${calendars.length + 1}` });
+    onChange([...calendars, next]);
+    setSelectedId(next.id);
+  };
+  const removeCalendar = async () => {
+    if (!(await dialog.confirm(`Delete calendar ${cal.name}?`, { confirmLabel: "Delete", danger: true }))) return;
+    onChange(calendars.filter((c) => c.id !== cal.id));
+    setSelectedId(defaultId === cal.id ? calendars.find((c) => c.id !== cal.id)?.id : defaultId);
+  };
+  const clearHolidays = async () => {
+    if (await dialog.confirm(`Remove all holidays from ${cal.name}?`, { confirmLabel: "Remove", danger: true })) update({ holidays: [] });
+  };
+  const addHoliday = () => {
+    if (!holiday.date) return;
+    update({ holidays: mergeHolidays(cal.holidays, [holiday]) });
+    setHoliday({ date: "", name: "" });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <Field label="Calendar">
+          <Select value={cal.id} onChange={(e) => setSelectedId(e.target.value)} className="w-56 py-1">
+            {calendars.map((c) => <option key={c.id} value={c.id}>{c.name}{c.id === defaultId ? " (default)" : ""}</option>)}
+          </Select>
+        </Field>
+        <Field label="Name">
+          <TextInput value={cal.name} onChange={(e) => update({ name: e.target.value })} className="w-56 py-1" />
+        </Field>
+        <div className="flex gap-1 pb-0.5">
+          {cal.id === defaultId ? <Pill color="blue">Default</Pill> : <IconButton onClick={() => onSetDefault(cal.id)}>★ Make Default</IconButton>}
+          <IconButton onClick={addCalendar}>➕ New</IconButton>
+          {calendars.length > 1 && <IconButton onClick={removeCalendar} className="text-red-600 border-red-200" label={`Delete calendar ${cal.name}`}>🗑</IconButton>}
+        </div>
+      </div>
+
+      <FieldGroup label="Weekend Days">
+        <div className="flex flex-wrap gap-3 text-sm">
+          {WEEKDAYS.map((d, i) => (
+            <label key={d} className="flex items-center gap-1 cursor-pointer">
+              <input type="checkbox" checked={cal.weekend.includes(i)} onChange={() => toggleWeekend(i)} />
+              <span>{d}</span>
+            </label>
+          ))}
+        </div>
+      </FieldGroup>
+
+      <FieldGroup label={`Holidays (${cal.holidays.length})`} className="space-y-2">
+        <div className="max-h-56 overflow-auto rounded-lg border border-gray-200">
+          <table className="min-w-full text-sm">
+            <tbody>
+              {cal.holidays.map((h) => (
+                <tr key={h.date} className="border-t first:border-t-0">
+                  <td className="px-3 py-1 font-mono whitespace-nowrap">{h.date}</td>
+                  <td className="px-3 py-1 w-full">{h.name}</td>
+                  <td className="px-3 py-1 text-right">
+                    <IconButton onClick={() => update({ holidays: cal.holidays.filter((x) => x.date !== h.date) })} className="text-red-600 border-red-200"
+                      label={`Remove ${h.name || h.date}`}>🗑</IconButton>
+                  </td>
+                </tr>
+              ))}
+              {!cal.holidays.length && <tr><td className="px-3 py-2 text-gray-500">No holidays yet</td></tr>}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <TextInput type="date" value={holiday.date} onChange={(e) => setHoliday({ ...holiday, date: e.target.value })} className="w-44 py-1" aria-label="Holiday date" />
+          <TextInput placeholder="Holiday name" aria-label="Holiday name" value={holiday.name} onChange={(e) => setHoliday({ ...holiday, name: e.target.value })} className="w-56 py-1" />
+          <IconButton onClick={addHoliday}>➕ Add Holiday</IconButton>
+          {cal.holidays.length > 0 && <IconButton onClick={clearHolidays}>✖ Clear</IconButton>}
+        </div>
+        <HolidayImport onImport={(added) => update({ holidays: mergeHolidays(cal.holidays, added) })} />
+      </FieldGroup>
+    </div>
+  );
+}
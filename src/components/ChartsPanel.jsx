@@ -0,0 +1,130 @@
+import React from "react";
+import {
+  ResponsiveContainer, BarChart, Bar, LineChart, Line, PieChart, Pie, Cell,
+  XAxis, YAxis, Tooltip, Legend, CartesianGrid,
+} from "recharts";
+import { AGG_FNS } from "../engine/grouping.js";
+import { CHART_TYPES, CHART_COLORS, chartData, chartTitle, measureLabel, newChart } from "../engine/charts.js";
+import { Field, Select, TextInput, IconButton } from "./ui.jsx";
+
+/***********************************
+ * Charts panel (recharts)
+ * - Each chart aggregates the same filtered rows as the preview
+ * - `registerNode` exposes each chart's DOM node so exporters can rasterise the SVG
+ ***********************************/
+
+const CHART_HEIGHT = 260;
+
+const ChartView = ({ chart, fields, rows }) => {
+  const shaped = chartData(rows, chart, fields);
+  if (!shaped.data.length) return <div className="h-full flex items-center justify-center text-sm text-gray-400">No rows to chart</div>;
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      {renderChart(chart, shaped, measureLabel(chart, fields))}
+    </ResponsiveContainer>
+  );
+};
+
+const renderChart = (chart, { data, series }, name) => {
+  if (chart.type === "pie") {
+    return (
+      <PieChart>
+        <Pie data={data} dataKey="value" nameKey="name" outerRadius="75%" label={({ name: n }) => n} isAnimationActive={false}>
+          {data.map((d, i) => <Cell key={d.name} fill={CHART_COLORS[i % CHART_COLORS.length]} />)}
+        </Pie>
+        <Tooltip />
+      </PieChart>
+    );
+  }
+  if (chart.type === "line") {
+    return (
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+        <YAxis tick={{ fontSize: 11 }} />
+        <Tooltip />
+        <Line type="monotone" dataKey="value" name={name} stroke={CHART_COLORS[0]} strokeWidth={2} isAnimationActive={false} />
+      </LineChart>
+    );
+  }
+  return (
+    <BarChart data={data}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+      <YAxis tick={{ fontSize: 11 }} />
+      <Tooltip />
+      {series.length > 1 && <Legend wrapperStyle={{ fontSize: 11 }} />}
+      {series.map((s, i) => (
+        <Bar key={s} dataKey={s} name={s === "value" ? name : s} stackId={chart.type === "stackedBar" ? "stack" : undefined}
+          fill={CHART_COLORS[i % CHART_COLORS.length]} isAnimationActive={false} />
+      ))}
+    </BarChart>
+  );
+};
+
+const ChartCard = ({ chart, fields, rows, onChange, onRemove, registerNode }) => {
+  const measureFields = fields.filter((f) => !AGG_FNS.find((x) => x.fn === chart.measure.fn)?.numeric || f.dataType === "number");
+  const changeFn = (fn) => {
+    const options = fields.filter((f) => !AGG_FNS.find((x) => x.fn === fn)?.numeric || f.dataType === "number");
+    const keep = fn === "count" || options.some((f) => f.key === chart.measure.field);
+    onChange({ ...chart, measure: { fn, field: keep ? chart.measure.field : options[0]?.key || "" } });
+  };
+  return (
+    <div className="rounded-xl border border-gray-200 p-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <TextInput value={chart.title} onChange={(e) => onChange({ ...chart, title: e.target.value })} placeholder={chartTitle({ ...chart, title: "" }, fields)} className="py-1" aria-label="Chart title" />
+        <IconButton onClick={onRemove} className="text-red-600 border-red-200" label="Remove chart">🗑</IconButton>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Field label="Chart">
+          <Select value={chart.type} onChange={(e) => onChange({ ...chart, type: e.target.value })}>
+            {CHART_TYPES.map((t) => <option key={t.type} value={t.type}>{t.label}</option>)}
+          </Select>
+        </Field>
+        <Field label="X Axis">
+          <Select value={chart.xField} onChange={(e) => onChange({ ...chart, xField: e.target.value })}>
+            {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </Select>
+        </Field>
+        <Field label="Measure">
+          <Select value={chart.measure.fn} onChange={(e) => changeFn(e.target.value)}>
+            {AGG_FNS.map((x) => <option key={x.fn} value={x.fn}>{x.label}</option>)}
+          </Select>
+        </Field>
+        <Field label="Of">
+          <Select value={chart.measure.field} onChange={(e) => onChange({ ...chart, measure: { ...chart.measure, field: e.target.value } })}>
+            {chart.measure.fn === "count" && <option value="">(rows)</option>}
+            {measureFields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </Select>
+        </Field>
+        {chart.type === "stackedBar" && (
+          <Field label="Stack By" className="col-span-2">
+            <Select value={chart.seriesField} onChange={(e) => onChange({ ...chart, seriesField: e.target.value })}>
+              <option value="">(none)</option>
+              {fields.filter((f) => f.key !== chart.xField).map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </Select>
+          </Field>
+        )}
+      </div>
+      <div ref={(el) => registerNode(chart.id, el)} style={{ height: CHART_HEIGHT }}>
+        <ChartView chart={chart} fields={fields} rows={rows} />
+      </div>
+    </div>
+  );
+};
+
+export default function ChartsPanel({ charts, fields, rows, onChange, registerNode }) {
+  return (
+    <div className="space-y-4">
+      {charts.length === 0 && <div className="text-sm text-gray-500">No charts yet. Add one to visualise the filtered rows.</div>}
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        {charts.map((c) => (
+          <ChartCard key={c.id} chart={c} fields={fields} rows={rows} registerNode={registerNode}
+            onChange={(next) => onChange(charts.map((x) => (x.id === c.id ? next : x)))}
+            onRemove={() => onChange(charts.filter((x) => x.id !== c.id))} />
+        ))}
+      </div>
+      <IconButton onClick={() => onChange([...charts, newChart(fields)])}>➕ Add Chart</IconButton>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { MIN_COLUMN_WIDTH } from "../engine/layout.js";
+import { describeFormat } from "../engine/format.js";
+import { useDragReorder } from "./useDragReorder.js";
+import FieldFormatEditor from "./FieldFormatEditor.jsx";
+import { TextInput, IconButton } from "./ui.jsx";
+
+/***********************************
+ * Per-report column layout
+ * - Drag rows to reorder, override the header text, set a width (px, blank = auto) and pin columns to the left
+ * - Grouped reports keep their group order and always pin the group columns
+ * - Display formats belong to the field (shared by every report); aggregates follow the field they summarise
+ ***********************************/
+
+export default function ColumnLayoutEditor({ columns, layout, grouped, rows, formats, onChange, onMove, onFormatChange }) {
+  const { dragProps, handleProps, overKey } = useDragReorder(onMove);
+  const keys = columns.map((c) => c.key);
+  const [formatKey, setFormatKey] = useState(null);
+  const sampleOf = (key) => rows.find((r) => !r.__type && r[key] !== null && r[key] !== undefined && r[key] !== "")?.[key];
+
+  const setEntry = (prop, key, value) => {
+    const next = { ...layout[prop] };
+    if (value === "" || value === undefined) delete next[key];
+    else next[key] = value;
+    onChange({ ...layout, [prop]: next });
+  };
+  const togglePin = (key) => onChange({
+    ...layout,
+    pinned: layout.pinned.includes(key) ? layout.pinned.filter((k) => k !== key) : [...layout.pinned, key],
+  });
+
+  return (
+    <div className="overflow-auto rounded-lg border border-gray-200">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="bg-gray-100 text-left">
+            <th className="px-2 py-2 w-8" />
+            <th className="px-3 py-2">Field</th>
+            <th className="px-3 py-2">Header</th>
+            <th className="px-3 py-2">Width (px)</th>
+            <th className="px-3 py-2">Pinned</th>
+            <th className="px-3 py-2">Format</th>
+            <th className="px-3 py-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {columns.map((c) => (
+            <React.Fragment key={c.key}>
+              <tr {...dragProps(c.key, !grouped)} className={`border-t ${overKey === c.key ? "bg-blue-50" : ""}`}>
+                <td className="px-2 py-1 text-gray-400">
+                  {!grouped && (
+                    <span {...handleProps(c.key, keys, c.fieldLabel)} title="Drag or use the arrow keys to reorder"
+                      className="cursor-grab rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-400">⋮⋮</span>
+                  )}
+                </td>
+                <td className="px-3 py-1 whitespace-nowrap">{c.fieldLabel}</td>
+                <td className="px-3 py-1">
+                  <TextInput value={layout.headers[c.key] ?? ""} placeholder={c.fieldLabel} aria-label={`Header for ${c.fieldLabel}`}
+                    onChange={(e) => setEntry("headers", c.key, e.target.value)} className="py-1 w-56" />
+                </td>
+                <td className="px-3 py-1">
+                  <TextInput type="number" min={MIN_COLUMN_WIDTH} step={10} value={layout.widths[c.key] ?? ""} placeholder="auto" aria-label={`Width of ${c.fieldLabel}`}
+                    onChange={(e) => setEntry("widths", c.key, e.target.value === "" ? "" : Number(e.target.value))} className="py-1 w-28" />
+                </td>
+                <td className="px-3 py-1">
+                  <input type="checkbox" checked={c.pinned} disabled={grouped} onChange={() => togglePin(c.key)} aria-label={`Pin ${c.fieldLabel}`} />
+                </td>
+                <td className="px-3 py-1 whitespace-nowrap">
+                  {c.kind === "aggregate" || !["number", "date"].includes(c.dataType) ? (
+                    <span className="text-gray-500">{describeFormat(c)}</span>
+                  ) : (
+                    <button onClick={() => setFormatKey(formatKey === c.key ? null : c.key)} aria-expanded={formatKey === c.key} className="text-blue-600 hover:underline">
+                      {describeFormat(c)} {formatKey === c.key ? "▴" : "▾"}
+                    </button>
+                  )}
+                </td>
+                <td className="px-3 py-1 text-right">
+                  {(layout.headers[c.key] || layout.widths[c.key]) && (
+                    <IconButton onClick={() => onChange({
+                      ...layout,
+                      headers: Object.fromEntries(Object.entries(layout.headers).filter(([k]) => k !== c.key)),
+                      widths: Object.fromEntries(Object.entries(layout.widths).filter(([k]) => k !== c.key)),
+                    })}>↺ Reset</IconButton>
+                  )}
+                </td>
+              </tr>
+              {formatKey === c.key && (
+                <tr className="border-t bg-gray-50/50">
+                  <td />
+                  <td colSpan={6} className="px-3 py-3">
+                    <FieldFormatEditor field={c} format={formats[c.key]} sample={sampleOf(c.key)}
+                      onChange={(f) => onFormatChange(c.key, f)} onReset={() => onFormatChange(c.key, null)} />
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
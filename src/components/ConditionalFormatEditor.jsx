@@ -0,0 +1,98 @@
+import React from "react";
+import { SCALES, TONES, newColorScale, newFormatRule } from "../engine/conditional.js";
+import { opsFor } from "../engine/query.js";
+import { Select, TextInput, IconButton } from "./ui.jsx";
+
+/***********************************
+ * Conditional formatting rules of a report
+ * - Rules reuse the filter operators and style either the matching cell or the whole row
+ * - Color scales shade a numeric column from its lowest to its highest value
+ * - Rules apply top to bottom, so a later rule wins where two style the same cell
+ ***********************************/
+
+const Swatch = ({ style }) => (
+  <span className="inline-flex items-center justify-center w-8 h-6 rounded border text-xs" style={{ color: style.color, backgroundColor: style.fill, fontWeight: style.bold ? 700 : 400 }}>Ab</span>
+);
+
+const ScaleSwatch = ({ scale }) => (
+  <span className="inline-block w-16 h-6 rounded border" style={{ background: `linear-gradient(to right, ${(SCALES[scale] || SCALES.greenRed).stops.join(", ")})` }} />
+);
+
+const RuleEditor = ({ rule, fields, onChange }) => {
+  const field = fields.find((f) => f.key === rule.field) || fields[0];
+  const ops = opsFor(field?.dataType);
+  const spec = ops.find((o) => o.op === rule.op) || ops[0];
+  const inputType = field?.dataType === "number" ? "number" : field?.dataType === "date" ? "date" : "text";
+  const changeField = (key) => {
+    const f = fields.find((x) => x.key === key);
+    onChange({ ...rule, field: key, op: opsFor(f?.dataType)[0].op, value: "", value2: "" });
+  };
+  return (
+    <>
+      <Select value={rule.field} onChange={(e) => changeField(e.target.value)} className="w-48" aria-label="Field">
+        {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+      </Select>
+      <Select value={spec.op} onChange={(e) => onChange({ ...rule, op: e.target.value })} className="w-36" aria-label="Condition">
+        {ops.map((o) => <option key={o.op} value={o.op}>{o.label}</option>)}
+      </Select>
+      {!spec.noValue && (
+        <TextInput type={inputType} value={rule.value ?? ""} onChange={(e) => onChange({ ...rule, value: e.target.value })} aria-label={spec.range ? "From" : "Value"}
+          placeholder={spec.op === "in" ? "value1, value2, …" : spec.range ? "from" : "value"} className="w-36" />
+      )}
+      {spec.range && (
+        <TextInput type={inputType} value={rule.value2 ?? ""} onChange={(e) => onChange({ ...rule, value2: e.target.value })} placeholder="to" className="w-36" aria-label="To" />
+      )}
+      <span className="text-xs text-gray-500">→</span>
+      <Select value={rule.scope} onChange={(e) => onChange({ ...rule, scope: e.target.value })} className="w-32" aria-label="Apply to">
+        <option value="cell">this cell</option>
+        <option value="row">whole row</option>
+      </Select>
+      <Select value={rule.tone} onChange={(e) => onChange({ ...rule, tone: e.target.value })} className="w-28" aria-label="Color">
+        <option value="">No color</option>
+        {Object.entries(TONES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+      </Select>
+      <label className="flex items-center gap-1 text-sm cursor-pointer">
+        <input type="checkbox" checked={Boolean(rule.bold)} onChange={(e) => onChange({ ...rule, bold: e.target.checked })} />
+        <span>Bold</span>
+      </label>
+      <Swatch style={{ ...TONES[rule.tone], bold: rule.bold }} />
+    </>
+  );
+};
+
+const ScaleEditor = ({ rule, fields, onChange }) => (
+  <>
+    <Select value={rule.field} onChange={(e) => onChange({ ...rule, field: e.target.value })} className="w-48" aria-label="Field">
+      {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+    </Select>
+    <span className="text-sm text-gray-600">color scale</span>
+    <Select value={rule.scale} onChange={(e) => onChange({ ...rule, scale: e.target.value })} className="w-40" aria-label="Color scale">
+      {Object.entries(SCALES).map(([k, s]) => <option key={k} value={k}>{s.label}</option>)}
+    </Select>
+    <ScaleSwatch scale={rule.scale} />
+  </>
+);
+
+export default function ConditionalFormatEditor({ rules, fields, onChange }) {
+  const numericFields = fields.filter((f) => f.dataType === "number");
+  const update = (id, next) => onChange(rules.map((r) => (r.id === id ? next : r)));
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col gap-2">
+        {rules.map((r) => (
+          <div key={r.id} className="flex flex-wrap items-center gap-2">
+            {r.type === "scale"
+              ? <ScaleEditor rule={r} fields={numericFields} onChange={(next) => update(r.id, next)} />
+              : <RuleEditor rule={r} fields={fields} onChange={(next) => update(r.id, next)} />}
+            <IconButton onClick={() => onChange(rules.filter((x) => x.id !== r.id))} className="text-red-600 border-red-200" label="Remove rule">🗑</IconButton>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <IconButton onClick={() => onChange([...rules, newFormatRule(fields[0])])}>➕ Add Rule</IconButton>
+        {numericFields.length > 0 && <IconButton onClick={() => onChange([...rules, newColorScale(numericFields[0])])}>🎨 Add Color Scale</IconButton>}
+        {rules.length > 0 && <IconButton onClick={() => onChange([])}>✖ Clear</IconButton>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React from "react";
+import { DATE_PATTERNS } from "../engine/format.js";
+import { Field, Select } from "./ui.jsx";
+
+/***********************************
+ * CSV export settings, saved with the report (`export.csv`)
+ * - Semicolons suit locales that use the comma as decimal separator
+ * - The BOM makes Excel open UTF-8 files with the right encoding
+ ***********************************/
+
+const DELIMITERS = [[",", "Comma ,"], [";", "Semicolon ;"], ["|", "Pipe |"]];
+
+export default function CsvOptions({ options, onChange }) {
+  const set = (patch) => onChange({ ...options, ...patch });
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="Delimiter">
+          <Select value={options.delimiter} onChange={(e) => set({ delimiter: e.target.value })} className="py-1">
+            {DELIMITERS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+          </Select>
+        </Field>
+        <Field label="Quoting">
+          <Select value={options.quote} onChange={(e) => set({ quote: e.target.value })} className="py-1">
+            <option value="minimal">When needed</option>
+            <option value="all">Every field</option>
+          </Select>
+        </Field>
+        <Field label="Line Endings">
+          <Select value={options.lineEnding} onChange={(e) => set({ lineEnding: e.target.value })} className="py-1">
+            <option value={"\r\n"}>Windows (CRLF)</option>
+            <option value={"\n"}>Unix (LF)</option>
+          </Select>
+        </Field>
+        <Field label="Dates">
+          <Select value={options.dateFormat} onChange={(e) => set({ dateFormat: e.target.value })} className="py-1">
+            <option value="">As displayed</option>
+            {DATE_PATTERNS.map((p) => <option key={p} value={p}>{p}</option>)}
+          </Select>
+        </Field>
+      </div>
+      <label className="flex items-center gap-2 text-sm cursor-pointer">
+        <input type="checkbox" checked={options.bom} onChange={(e) => set({ bom: e.target.checked })} />
+        <span>Add byte order mark (for Excel)</span>
+      </label>
+    </div>
+  );
+}
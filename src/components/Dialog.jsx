@@ -0,0 +1,88 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import { newId } from "../engine/ids.js";
+import { DialogContext } from "./dialogContext.js";
+
+/***********************************
+ * Modal alert and confirm dialogs (see useDialog)
+ * - One dialog at a time; later requests wait in a queue
+ * - The page behind is inert, Tab cycles through the dialog's buttons and Escape cancels
+ * - Focus returns to the element that was focused when the first dialog opened
+ ***********************************/
+
+const FOCUSABLE = "button:not([disabled]), [href], input, select, textarea, [tabindex]:not([tabindex='-1'])";
+const BUTTON = "px-4 py-2 rounded-lg font-medium transition focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-1 focus-visible:ring-blue-400";
+
+const ModalDialog = ({ dialog, onClose }) => {
+  const ref = useRef(null);
+  const titleId = useId();
+  const messageId = useId();
+  const confirming = dialog.kind === "confirm";
+  const cancel = () => onClose(confirming ? false : undefined);
+
+  const onKeyDown = (e) => {
+    // Keys stay inside the dialog, so page shortcuts (undo, grid navigation) do not fire behind it.
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      e.preventDefault();
+      cancel();
+    } else if (e.key === "Tab") {
+      const items = [...ref.current.querySelectorAll(FOCUSABLE)];
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4">
+      <div ref={ref} role="alertdialog" aria-modal="true" aria-labelledby={titleId} aria-describedby={messageId} onKeyDown={onKeyDown}
+        className="w-full max-w-md bg-white rounded-2xl shadow-xl border border-gray-200 p-5 space-y-4">
+        <h2 id={titleId} className="text-lg font-semibold text-gray-800">{dialog.title || (confirming ? "Please confirm" : "Notice")}</h2>
+        <p id={messageId} className="text-sm text-gray-700 whitespace-pre-line">{dialog.message}</p>
+        <div className="flex justify-end gap-2">
+          {confirming && (
+            <button type="button" autoFocus={dialog.danger} onClick={cancel} className={`${BUTTON} border hover:bg-gray-50`}>Cancel</button>
+          )}
+          <button type="button" autoFocus={!confirming || !dialog.danger} onClick={() => onClose(confirming ? true : undefined)}
+            className={`${BUTTON} text-white ${dialog.danger ? "bg-red-600 hover:bg-red-700" : "bg-blue-600 hover:bg-blue-700"}`}>
+            {dialog.confirmLabel || "OK"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default function DialogProvider({ children }) {
+  const [queue, setQueue] = useState([]);
+  const opener = useRef(null);
+  const current = queue[0];
+
+  const dialogs = useMemo(() => {
+    const open = (kind) => (message, options = {}) => new Promise((resolve) => {
+      if (!opener.current) opener.current = document.activeElement;
+      setQueue((q) => [...q, { ...options, id: newId(), kind, message, resolve }]);
+    });
+    return { alert: open("alert"), confirm: open("confirm") };
+  }, []);
+
+  const close = (result) => {
+    current.resolve(result);
+    setQueue((q) => q.slice(1));
+  };
+
+  // Runs once the page is no longer inert, so the opener can take focus again.
+  useEffect(() => {
+    if (current || !opener.current) return;
+    if (opener.current.isConnected) opener.current.focus();
+    opener.current = null;
+  }, [current]);
+
+  return (
+    <DialogContext.Provider value={dialogs}>
+      <div inert={current ? true : undefined}>{children}</div>
+      {current && <ModalDialog key={current.id} dialog={current} onClose={close} />}
+    </DialogContext.Provider>
+  );
+}
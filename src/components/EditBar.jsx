@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import { Select, IconButton, ValueInput } from "./ui.jsx";
+
+/***********************************
+ * Data entry toolbar above the preview
+ * - Fills one raw user field on every selected row, or clears it back to the default
+ * - Undo / Redo buttons, also on Ctrl+Z and Ctrl+Y (Ctrl+Shift+Z) outside text inputs
+ ***********************************/
+
+const isTyping = (el) => el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable);
+
+export default function EditBar({ fields, selectedCount, onFill, onClearSelection, canUndo, canRedo, onUndo, onRedo }) {
+  const [fieldKey, setFieldKey] = useState(fields[0]?.key || "");
+  const [text, setText] = useState("");
+  const [error, setError] = useState(null);
+  const field = fields.find((f) => f.key === fieldKey) || fields[0];
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTyping(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); onUndo(); }
+      else if (key === "y" || (key === "z" && e.shiftKey)) { e.preventDefault(); onRedo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onUndo, onRedo]);
+
+  const fill = (value) => {
+    const message = onFill(field.key, value);
+    setError(message);
+    if (!message) setText("");
+  };
+
+  return (
+    <div className="mb-3 space-y-1">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <IconButton onClick={onUndo} disabled={!canUndo}>↶ Undo</IconButton>
+        <IconButton onClick={onRedo} disabled={!canRedo}>↷ Redo</IconButton>
+        <span className="text-gray-400">•</span>
+        {selectedCount ? (
+          <>
+            <span className="text-gray-600 whitespace-nowrap">{selectedCount} selected · fill</span>
+            <Select value={field.key} onChange={(e) => { setFieldKey(e.target.value); setText(""); setError(null); }} className="w-40 py-1" aria-label="Field to fill">
+              {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </Select>
+            <ValueInput dataType={field.dataType} value={text} onChange={(e) => setText(e.target.value)} placeholder="value" className="w-40 py-1" aria-label={`New ${field.label}`} />
+            <IconButton onClick={() => fill(text)}>Fill</IconButton>
+            <IconButton onClick={() => fill("")}>Reset to default</IconButton>
+            <IconButton onClick={onClearSelection}>Clear selection</IconButton>
+          </>
+        ) : (
+          <span className="text-gray-500">Click a {fields.map((f) => f.label).join(" / ")} cell to edit it, or tick rows to fill them at once.</span>
+        )}
+      </div>
+      {error && <div role="alert" className="text-xs rounded-md px-2 py-1 border text-amber-800 bg-amber-50 border-amber-200">{error}</div>}
+    </div>
+  );
+}
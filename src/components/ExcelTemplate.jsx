@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { templateRanges } from "../engine/workbook.js";
+import { Field, Select, IconButton } from "./ui.jsx";
+
+/***********************************
+ * Excel template for the XLSX export
+ * - An uploaded .xlsx is filled at one of its named ranges instead of building a new workbook
+ * - The template stays in memory for the session; the chosen range name is saved with the report
+ ***********************************/
+
+export default function ExcelTemplate({ template, settings, onTemplateChange, onChange }) {
+  const [error, setError] = useState(null);
+  const set = (patch) => onChange({ ...settings, ...patch });
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const data = new Uint8Array(await file.arrayBuffer());
+      const ranges = templateRanges(data);
+      if (!ranges.length) throw new Error("it has no named ranges; name the cell where the data starts (Formulas → Define Name)");
+      onTemplateChange({ name: file.name, data, ranges });
+      if (!ranges.some((r) => r.name === settings.templateRange)) set({ templateRange: ranges[0].name });
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="px-2 py-1 rounded-md border hover:bg-gray-50 cursor-pointer text-sm">
+          📎 {template ? "Change Excel Template" : "Use Excel Template"}
+          <input type="file" accept=".xlsx" onChange={handleFile} className="hidden" />
+        </label>
+        {template && (
+          <>
+            <span className="text-sm text-gray-700 truncate max-w-40" title={template.name}>{template.name}</span>
+            <IconButton onClick={() => onTemplateChange(null)} className="text-red-600 border-red-200" label="Remove template">✖</IconButton>
+          </>
+        )}
+      </div>
+      {template && (
+        <div className="grid grid-cols-2 gap-3 items-end">
+          <Field label="Fill At">
+            <Select value={settings.templateRange} onChange={(e) => set({ templateRange: e.target.value })} className="py-1">
+              {!template.ranges.some((r) => r.name === settings.templateRange) && <option value={settings.templateRange}>Choose a range…</option>}
+              {template.ranges.map((r) => <option key={r.name} value={r.name}>{r.name} ({r.ref})</option>)}
+            </Select>
+          </Field>
+          <label className="flex items-center gap-2 text-sm cursor-pointer pb-1.5">
+            <input type="checkbox" checked={settings.templateHeaders} onChange={(e) => set({ templateHeaders: e.target.checked })} />
+            <span>Write header row</span>
+          </label>
+        </div>
+      )}
+      {error && <div className="text-xs rounded-md px-2 py-1 border text-amber-800 bg-amber-50 border-amber-200">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useMemo } from "react";
+import { CURRENCIES, DATE_PATTERNS, DEFAULT_FORMAT, LOCALES, formatValue, timeZones } from "../engine/format.js";
+import { Field, FieldGroup, Select, TextInput, IconButton } from "./ui.jsx";
+
+/***********************************
+ * Display format of one field
+ * - Numbers: decimals, thousands separator, plain / percent / currency
+ * - Dates: pattern (pick or type one), timezone for values with a time of day
+ * - Both: locale for separators, currency symbols and month/day names
+ ***********************************/
+
+export default function FieldFormatEditor({ field, format, sample, onChange, onReset }) {
+  const f = { ...DEFAULT_FORMAT, ...format };
+  const zones = useMemo(timeZones, []);
+  const set = (patch) => onChange({ ...format, ...patch });
+  const preview = formatValue(sample, { ...field, format: f });
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+      {field.dataType === "number" && (
+        <>
+          <Field label="Style">
+            <Select value={f.style} onChange={(e) => set({ style: e.target.value })} className="py-1">
+              <option value="number">Number</option>
+              <option value="percent">Percent</option>
+              <option value="currency">Currency</option>
+            </Select>
+          </Field>
+          <Field label="Decimals">
+            <Select value={String(f.decimals)} onChange={(e) => set({ decimals: e.target.value === "" ? "" : Number(e.target.value) })} className="py-1">
+              <option value="">Auto</option>
+              {[0, 1, 2, 3, 4, 5, 6].map((n) => <option key={n} value={n}>{n}</option>)}
+            </Select>
+          </Field>
+          {f.style === "currency" && (
+            <Field label="Currency">
+              <Select value={f.currency} onChange={(e) => set({ currency: e.target.value })} className="py-1">
+                {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+              </Select>
+            </Field>
+          )}
+          <label className="flex items-center gap-2 text-sm cursor-pointer pb-1.5">
+            <input type="checkbox" checked={f.thousands} onChange={(e) => set({ thousands: e.target.checked })} />
+            <span>Thousands separator</span>
+          </label>
+        </>
+      )}
+      {field.dataType === "date" && (
+        <>
+          <Field label="Pattern" className="md:col-span-2">
+            <TextInput list="date-patterns" value={f.pattern} onChange={(e) => set({ pattern: e.target.value || DEFAULT_FORMAT.pattern })} className="py-1 font-mono" />
+            <datalist id="date-patterns">
+              {DATE_PATTERNS.map((p) => <option key={p} value={p} />)}
+            </datalist>
+          </Field>
+          <Field label="Timezone">
+            <Select value={f.timeZone} onChange={(e) => set({ timeZone: e.target.value })} className="py-1">
+              <option value="">Viewer's local time</option>
+              {zones.map((z) => <option key={z} value={z}>{z}</option>)}
+            </Select>
+          </Field>
+        </>
+      )}
+      <Field label="Locale">
+        <Select value={f.locale} onChange={(e) => set({ locale: e.target.value })} className="py-1">
+          <option value="">Default (en-US)</option>
+          {LOCALES.map((l) => <option key={l} value={l}>{l}</option>)}
+        </Select>
+      </Field>
+      <FieldGroup label="Sample">
+        <div className="px-2 py-1.5 text-sm font-mono bg-gray-50 border rounded-lg truncate">{preview || "—"}</div>
+      </FieldGroup>
+      <div className="pb-1">
+        <IconButton onClick={onReset}>↺ Default</IconButton>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from "react";
+import { diffText, diffVersions, fieldVersions } from "../engine/fields.js";
+import { IconButton, Pill } from "./ui.jsx";
+
+/***********************************
+ * Version history of one user field
+ * - Newest first; each version shows what changed compared with the one before it
+ * - Restoring an old version saves it as a new version, so nothing is lost
+ ***********************************/
+
+const PROP_LABELS = { key: "Key", label: "Label", kind: "Type", dataType: "Data Type", defaultValue: "Default", formula: "Formula" };
+
+const TextDiff = ({ before, after }) => (
+  <span className="font-mono whitespace-pre-wrap break-all">
+    {diffText(before, after).map((part, i) => (
+      <span key={i} className={part.type === "added" ? "bg-green-100 text-green-800" : part.type === "removed" ? "bg-red-100 text-red-700 line-through" : ""}>{part.text}</span>
+    ))}
+  </span>
+);
+
+const fmtStamp = (iso) => {
+  const d = new Date(iso);
+  return iso && !isNaN(d.getTime()) ? d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "before versioning";
+};
+
+export default function FieldHistory({ field, onRestore }) {
+  const versions = fieldVersions(field);
+  return (
+    <div className="max-h-[420px] overflow-auto divide-y">
+      {versions.map((v, i) => ({ v, prev: versions[i - 1], current: i === versions.length - 1 })).reverse().map(({ v, prev, current }) => {
+        const changes = prev ? diffVersions(prev, v) : [];
+        return (
+          <div key={v.version} className="py-3 space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="font-semibold">v{v.version}</span>
+                {current && <Pill color="blue">Current</Pill>}
+                <span className="text-xs text-gray-500">{fmtStamp(v.updatedAt)}</span>
+                {v.note && <span className="text-xs text-gray-600 italic">{v.note}</span>}
+              </div>
+              {!current && <IconButton onClick={() => onRestore(v)}>↺ Restore</IconButton>}
+            </div>
+            {prev ? (
+              <table className="text-xs w-full">
+                <tbody>
+                  {changes.map((c) => (
+                    <tr key={c.prop} className="align-top">
+                      <td className="pr-3 py-0.5 text-gray-500 whitespace-nowrap w-24">{PROP_LABELS[c.prop]}</td>
+                      <td className="py-0.5">
+                        {c.prop === "formula" || c.prop === "label" ? <TextDiff before={c.before} after={c.after} /> : (
+                          <span className="font-mono"><span className="bg-red-100 text-red-700 line-through">{String(c.before)}</span> → <span className="bg-green-100 text-green-800">{String(c.after)}</span></span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="text-xs text-gray-600">
+                Created as {v.kind} {v.dataType}{v.formula && <> · <span className="font-mono">{v.formula}</span></>}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from "react";
+import { keyProblem } from "../engine/fields.js";
+import { suggestMapping, buildImport, toFieldKey, sheetDateToIso } from "../engine/importer.js";
+import { Pill, TextInput, Select } from "./ui.jsx";
+
+/***********************************
+ * Import mapping + validation step
+ * - One row per spreadsheet column: map onto a known raw field, create a new field, or ignore
+ * - The mapped columns become the schema of the imported file source
+ * - Parsing runs live, so the validation report always reflects the current mapping
+ ***********************************/
+
+const MAX_ERRORS_SHOWN = 50;
+
+// `fields` are the raw fields columns can map onto; `reservedKeys` (user fields) must not be reused by new columns.
+export default function ImportPanel({ table, fileName, fields, reservedKeys = [], onLoad, onCancel }) {
+  const [mapping, setMapping] = useState(() => suggestMapping(table, fields));
+  const [keepFailed, setKeepFailed] = useState(false);
+  const rawFields = fields.filter((f) => f.kind !== "calculated");
+
+  const result = useMemo(() => buildImport(table, mapping, { keepFailed }), [table, mapping, keepFailed]);
+
+  const mappingErrors = useMemo(() => {
+    const errs = [];
+    const seen = new Map();
+    mapping.forEach((m, i) => {
+      if (m.target === "ignore") return;
+      const problem = m.target === "new" && m.key && keyProblem(m.key);
+      if (!m.key) errs.push(`Column "${table.headers[i]}" needs a field key`);
+      else if (problem) errs.push(`New field key "${m.key}": ${problem}`);
+      else if (seen.has(m.key)) errs.push(`Columns "${table.headers[seen.get(m.key)]}" and "${table.headers[i]}" both map to ${m.key}`);
+      else if (m.target === "new" && [...fields.map((f) => f.key), ...reservedKeys].some((k) => k.toLowerCase() === m.key.toLowerCase())) {
+        errs.push(`New field key "${m.key}" already exists`);
+      }
+      seen.set(m.key, i);
+    });
+    return errs;
+  }, [mapping, fields, reservedKeys, table]);
+
+  const update = (i, patch) => setMapping((prev) => prev.map((m, idx) => (idx === i ? { ...m, ...patch } : m)));
+  const changeTarget = (i, value) => {
+    if (value === "ignore") return update(i, { target: "ignore" });
+    if (value === "new") return update(i, { target: "new", key: toFieldKey(table.headers[i]), label: table.headers[i] });
+    const f = rawFields.find((x) => `field:${x.key}` === value);
+    update(i, { target: "field", key: f.key, label: f.label, dataType: f.dataType });
+  };
+
+  const canLoad = !mappingErrors.length && result.rows.length > 0;
+  const newCount = mapping.filter((m) => m.target === "new").length;
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600">
+        <span className="font-medium">{fileName}</span> · {table.rows.length} data rows · {table.headers.length} columns
+      </div>
+
+      <div className="overflow-auto rounded-lg border border-gray-200">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-left">
+              <th className="px-3 py-2">Column</th>
+              <th className="px-3 py-2">Sample</th>
+              <th className="px-3 py-2">Maps To</th>
+              <th className="px-3 py-2">Key</th>
+              <th className="px-3 py-2">Type</th>
+              <th className="px-3 py-2">Date Order</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mapping.map((m, i) => (
+              <tr key={i} className="border-t">
+                <td className="px-3 py-2 font-medium whitespace-nowrap">{table.headers[i]}</td>
+                <td className="px-3 py-2 text-gray-500 whitespace-nowrap max-w-[200px] truncate">
+                  {table.rows.slice(0, 3).map((r) => (r[i] instanceof Date ? sheetDateToIso(r[i]) : String(r[i] ?? ""))).join(" · ")}
+                </td>
+                <td className="px-3 py-2">
+                  <Select value={m.target === "field" ? `field:${m.key}` : m.target} onChange={(e) => changeTarget(i, e.target.value)} className="py-1 w-48"
+                    aria-label={`Import ${table.headers[i]} as`}>
+                    <option value="ignore">Ignore</option>
+                    <option value="new">New field</option>
+                    {rawFields.map((f) => <option key={f.key} value={`field:${f.key}`}>{f.label}</option>)}
+                  </Select>
+                </td>
+                <td className="px-3 py-2">
+                  {m.target === "new" ? (
+                    <TextInput value={m.key} onChange={(e) => update(i, { key: e.target.value.trim() })} className="py-1 w-40" aria-label={`Key for ${table.headers[i]}`} />
+                  ) : (
+                    <span className="text-gray-500">{m.target === "field" ? m.key : "—"}</span>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  {m.target === "new" ? (
+                    <Select value={m.dataType} onChange={(e) => update(i, { dataType: e.target.value })} className="py-1 w-28" aria-label={`Type of ${table.headers[i]}`}>
+                      <option value="string">String</option>
+                      <option value="number">Number</option>
+                      <option value="date">Date</option>
+                    </Select>
+                  ) : (
+                    <span className="text-gray-500">{m.target === "field" ? m.dataType : "—"}</span>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  {m.target !== "ignore" && m.dataType === "date" ? (
+                    <Select value={m.dateOrder} onChange={(e) => update(i, { dateOrder: e.target.value })} className="py-1 w-36" aria-label={`Date order of ${table.headers[i]}`}>
+                      <option value="dmy">dd/mm/yyyy</option>
+                      <option value="mdy">mm/dd/yyyy</option>
+                    </Select>
+                  ) : <span className="text-gray-400">—</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Pill color="green">{result.rows.length} rows ready</Pill>
+          <Pill color={result.failedRows ? "red" : "gray"}>{result.failedRows} rows with errors</Pill>
+          {newCount > 0 && <Pill color="blue">{newCount} new fields</Pill>}
+          <label className="flex items-center gap-2 cursor-pointer ml-2">
+            <input type="checkbox" checked={keepFailed} onChange={(e) => setKeepFailed(e.target.checked)} />
+            <span>Load rows with errors (invalid cells left blank)</span>
+          </label>
+        </div>
+        {mappingErrors.map((e) => <div key={e} className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md px-2 py-1">{e}</div>)}
+        {result.errors.length > 0 && (
+          <div className="max-h-48 overflow-auto rounded-lg border border-red-200 text-xs">
+            <table className="min-w-full">
+              <thead>
+                <tr className="bg-red-50 text-left text-red-800">
+                  <th className="px-2 py-1">Row</th>
+                  <th className="px-2 py-1">Column</th>
+                  <th className="px-2 py-1">Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.errors.slice(0, MAX_ERRORS_SHOWN).map((e, i) => (
+                  <tr key={i} className="border-t border-red-100">
+                    <td className="px-2 py-1">{e.row}</td>
+                    <td className="px-2 py-1">{e.column}</td>
+                    <td className="px-2 py-1">{e.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.errors.length > MAX_ERRORS_SHOWN && <div className="px-2 py-1 text-gray-500">…and {result.errors.length - MAX_ERRORS_SHOWN} more</div>}
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={() => onLoad(result)} disabled={!canLoad}
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow disabled:opacity-50 disabled:cursor-not-allowed">
+          Load {result.rows.length} rows
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-lg border hover:bg-gray-50">Cancel</button>
+      </div>
+    </div>
+  );
+}
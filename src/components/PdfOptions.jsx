@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { PDF_PAGE_SIZES, pdfPageLayout } from "../engine/layout.js";
+import { Field, TextInput, Select, IconButton } from "./ui.jsx";
+
+/***********************************
+ * PDF document settings
+ * - Title, subtitle, page size, orientation and the totals line are saved with the report (its `export` settings)
+ * - The company logo is shared by every report; it is kept small because it lives in localStorage
+ ***********************************/
+
+const MAX_LOGO_BYTES = 300 * 1024;
+
+// PNG / JPEG as a data URL with its pixel size, which the PDF needs to keep the aspect ratio.
+const readLogo = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(new Error("Could not read the file"));
+  reader.onload = () => {
+    const img = new Image();
+    img.onload = () => resolve({ name: file.name, dataUrl: reader.result, width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = () => reject(new Error("The file is not a PNG or JPEG image"));
+    img.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+export default function PdfOptions({ settings, columnCount, logo, onChange, onLogoChange }) {
+  const [logoError, setLogoError] = useState(null);
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const auto = pdfPageLayout(columnCount).orientation;
+
+  const handleLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!/^image\/(png|jpeg)$/.test(file.type)) return setLogoError(`${file.name}: the logo must be a PNG or JPEG image`);
+    if (file.size > MAX_LOGO_BYTES) return setLogoError(`${file.name} is ${Math.round(file.size / 1024)} KB; use an image under ${MAX_LOGO_BYTES / 1024} KB`);
+    try {
+      onLogoChange(await readLogo(file));
+      setLogoError(null);
+    } catch (err) {
+      setLogoError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="PDF Title">
+          <TextInput value={settings.title} onChange={(e) => set({ title: e.target.value })} placeholder="Report" />
+        </Field>
+        <Field label="Subtitle">
+          <TextInput value={settings.subtitle} onChange={(e) => set({ subtitle: e.target.value })} placeholder="Optional" />
+        </Field>
+        <Field label="Page Size">
+          <Select value={settings.pageSize} onChange={(e) => set({ pageSize: e.target.value })}>
+            {Object.entries(PDF_PAGE_SIZES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </Select>
+        </Field>
+        <Field label="Orientation">
+          <Select value={settings.orientation} onChange={(e) => set({ orientation: e.target.value })}>
+            <option value="auto">Auto ({auto})</option>
+            <option value="portrait">Portrait</option>
+            <option value="landscape">Landscape</option>
+          </Select>
+        </Field>
+      </div>
+      <label className="flex items-center gap-2 text-sm cursor-pointer">
+        <input type="checkbox" checked={settings.totals} onChange={(e) => set({ totals: e.target.checked })} />
+        <span>Totals line for number columns</span>
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="px-2 py-1 rounded-md border hover:bg-gray-50 cursor-pointer text-sm">
+          🖼 {logo ? "Change Logo" : "Upload Logo"}
+          <input type="file" accept="image/png,image/jpeg" onChange={handleLogo} className="hidden" />
+        </label>
+        {logo && (
+          <>
+            <img src={logo.dataUrl} alt="Company logo" className="h-8 max-w-24 object-contain border rounded" />
+            <IconButton onClick={() => onLogoChange(null)} className="text-red-600 border-red-200" label="Remove logo">🗑</IconButton>
+          </>
+        )}
+      </div>
+      {logoError && <div className="text-xs rounded-md px-2 py-1 border text-amber-800 bg-amber-50 border-amber-200">{logoError}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+import React, { useEffect, useRef, useState } from "react";
+import { DEFAULT_COLUMN_WIDTH, pinnedOffsets } from "../engine/layout.js";
+import { cellText, rowId } from "../engine/pipeline.js";
+import { Select, IconButton, ValueInput } from "./ui.jsx";
+
+/***********************************
+ * Preview table for large row sets
+ * - Scroll view renders only the rows in (or near) the viewport, with spacer rows standing in for the rest;
+ *   rows never wrap, so every row has the same height
+ * - Page view shows one page at a time instead
+ * - The header stays stuck to the top of the scroll area; pinned columns stick to the left
+ * - Columns in `editableKeys` are edited in place (Enter or leaving the cell saves, Escape cancels) and rows get a
+ *   selection checkbox; onEdit(key, rowId, text) returns an error message when the text does not fit the field
+ * - The table is one tab stop (an ARIA grid): arrow keys, Home / End, Ctrl+Home / Ctrl+End and PageUp / PageDown move
+ *   between cells, scrolling or paging to rows that are not rendered. Enter or F2 edits a cell, Enter or Space on a
+ *   header sorts (with Shift: adds a sort), Space ticks a row
+ ***********************************/
+
+const ROW_HEIGHT = 37;
+const VIEWPORT_HEIGHT = 560;
+const OVERSCAN = 10;
+const PAGE_SIZES = [50, 100, 250, 1000];
+const SELECT_WIDTH = 36;
+const PAGE_JUMP = Math.floor(VIEWPORT_HEIGHT / ROW_HEIGHT) - 2; // rows per PageUp / PageDown in the scroll view
+const NO_KEYS = new Set();
+const FOCUS_RING = "focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500";
+
+const cellCss = (style) => (style ? { color: style.color, backgroundColor: style.fill, fontWeight: style.bold ? 700 : undefined } : {});
+const rowClass = (row) => (row.__type === "total" ? "bg-gray-300 font-bold" : row.__type === "subtotal" ? "bg-gray-100 font-semibold" : "odd:bg-white even:bg-gray-50 hover:bg-blue-50 transition");
+
+export default function PreviewTable({ table, styles, sort, sortable, onSort, headerDrag, editableKeys = NO_KEYS, selected = NO_KEYS, onSelect, onEdit }) {
+  const [mode, setMode] = useState("scroll");
+  const [editing, setEditing] = useState(null); // { key, id, text, error }
+  const [scrollTop, setScrollTop] = useState(0);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(100);
+  const [active, setActive] = useState({ row: 0, col: 0 }); // focused cell in grid terms: row 0 is the header
+  const focusPending = useRef(false);
+  const scroller = useRef(null);
+  const { columns, rows } = table;
+  const selectable = editableKeys.size > 0;
+  const rowIds = selectable ? rows.map(rowId).filter((id) => id !== null) : [];
+  const allSelected = rowIds.length > 0 && rowIds.every((id) => selected.has(id));
+  const offset = selectable ? 1 : 0;
+  const colCount = columns.length + offset;
+  const activeRow = Math.min(active.row, rows.length);
+  const activeCol = Math.min(active.col, colCount - 1);
+
+  // Set widths are fixed, pinned columns stick at their left offset.
+  const stickyLeft = pinnedOffsets(columns);
+  const columnStyle = (i) => {
+    const { width: set, pinned } = columns[i];
+    const width = set || (pinned ? DEFAULT_COLUMN_WIDTH : undefined);
+    return {
+      ...(width ? { width, minWidth: width, maxWidth: width } : {}),
+      ...(stickyLeft[i] !== null ? { left: stickyLeft[i] + (selectable ? SELECT_WIDTH : 0) } : {}),
+    };
+  };
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  let start;
+  let end;
+  if (mode === "pages") {
+    start = currentPage * pageSize;
+    end = Math.min(rows.length, start + pageSize);
+  } else {
+    start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    end = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  }
+  const padTop = mode === "scroll" ? start * ROW_HEIGHT : 0;
+  const padBottom = mode === "scroll" ? (rows.length - end) * ROW_HEIGHT : 0;
+
+  // The active cell is the tab stop; when its row is not rendered the header cell of its column stands in.
+  const tabRow = activeRow === 0 || (activeRow > start && activeRow <= end) ? activeRow : 0;
+  const cellProps = (r, gc) => ({ "data-cell": `${r}:${gc}`, tabIndex: r === tabRow && gc === activeCol ? 0 : -1 });
+
+  useEffect(() => {
+    if (!focusPending.current || editing) return;
+    focusPending.current = false;
+    scroller.current?.querySelector(`[data-cell="${activeRow}:${activeCol}"]`)?.focus();
+  });
+
+  // Brings the row into the rendered range before the cell is focused.
+  const moveTo = (row, col) => {
+    const r = Math.max(0, Math.min(rows.length, row));
+    const c = Math.max(0, Math.min(colCount - 1, col));
+    if (r > 0 && mode === "pages") setPage(Math.floor((r - 1) / pageSize));
+    else if (r > 0) {
+      const el = scroller.current;
+      const view = (el?.clientHeight || VIEWPORT_HEIGHT) - ROW_HEIGHT; // below the sticky header
+      const current = el ? el.scrollTop : scrollTop;
+      let top = current;
+      if ((r - 1) * ROW_HEIGHT < current) top = (r - 1) * ROW_HEIGHT;
+      else if (r * ROW_HEIGHT > current + view) top = r * ROW_HEIGHT - view;
+      if (top !== current) {
+        if (el) el.scrollTop = top;
+        setScrollTop(top);
+      }
+    }
+    focusPending.current = true;
+    setActive({ row: r, col: c });
+  };
+
+  const startEdit = (row, c, id) => setEditing({ key: c.key, id, text: String(row[c.key] ?? ""), error: null });
+
+  // Returns the error message, if any, and keeps the editor open with it.
+  const save = () => {
+    const error = onEdit(editing.key, editing.id, editing.text);
+    setEditing(error ? { ...editing, error } : null);
+    return error;
+  };
+
+  const cellAt = (target) => target.closest?.("[data-cell]")?.dataset.cell.split(":").map(Number);
+
+  const onGridKeyDown = (e) => {
+    const at = cellAt(e.target);
+    if (!at) return;
+    const [r, c] = at;
+    const jump = mode === "pages" ? pageSize : PAGE_JUMP;
+    const ctrl = e.ctrlKey || e.metaKey;
+    const moves = {
+      ArrowUp: [r - 1, c], ArrowDown: [r + 1, c], ArrowLeft: [r, c - 1], ArrowRight: [r, c + 1],
+      Home: ctrl ? [0, 0] : [r, 0], End: ctrl ? [rows.length, colCount - 1] : [r, colCount - 1],
+      PageUp: [r - jump, c], PageDown: [r + jump, c],
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      return moveTo(...moves[e.key]);
+    }
+    // A ticked checkbox handles its own Space.
+    if (!["Enter", " ", "F2"].includes(e.key) || e.target.tagName === "INPUT") return;
+    const col = columns[c - offset];
+    if (!col) {
+      if (e.key === "F2") return;
+      e.preventDefault();
+      const id = r > 0 ? rowId(rows[r - 1]) : null;
+      if (r === 0) onSelect(rowIds, !allSelected);
+      else if (id !== null) onSelect([id], !selected.has(id));
+    } else if (r === 0) {
+      if (!sortable || e.key === "F2") return;
+      e.preventDefault();
+      onSort(col.key, e.shiftKey);
+    } else if (e.key !== " ") {
+      const row = rows[r - 1];
+      const id = selectable ? rowId(row) : null;
+      if (id === null || !editableKeys.has(col.key)) return;
+      e.preventDefault();
+      startEdit(row, col, id);
+    }
+  };
+
+  const onGridFocus = (e) => {
+    const at = cellAt(e.target);
+    if (at && (at[0] !== activeRow || at[1] !== activeCol)) setActive({ row: at[0], col: at[1] });
+  };
+
+  const cell = (row, c, id) => {
+    if (editing?.key === c.key && editing.id === id) {
+      return (
+        <ValueInput dataType={c.dataType} value={editing.text} autoFocus title={editing.error || undefined}
+          onChange={(e) => setEditing({ ...editing, text: e.target.value, error: null })} onBlur={save}
+          onKeyDown={(e) => {
+            e.stopPropagation();
+            if (e.key === "Enter") focusPending.current = !save();
+            else if (e.key === "Escape") { focusPending.current = true; setEditing(null); }
+          }}
+          className={`py-0.5 px-1 text-sm ${editing.error ? "border-red-400 bg-red-50" : ""}`} />
+      );
+    }
+    if (row.__flags?.[c.key]) return <span role="img" aria-label={row.__flags[c.key]} title={row.__flags[c.key]} className="text-amber-600 cursor-help">⚠</span>;
+    return cellText(row, c);
+  };
+
+  const header = (f, ci) => {
+    const base = `text-left px-3 py-2 font-semibold whitespace-nowrap sticky top-0 ${f.pinned ? "z-20" : "z-10"} ${FOCUS_RING}`;
+    if (!sortable) return <th key={f.key} {...cellProps(0, ci + offset)} style={columnStyle(ci)} className={`${base} bg-gray-200`}>{f.label}</th>;
+    const i = sort.findIndex((x) => x.key === f.key);
+    return (
+      <th key={f.key} {...cellProps(0, ci + offset)} {...headerDrag.dragProps(f.key)} style={columnStyle(ci)} onClick={(e) => onSort(f.key, e.shiftKey)}
+        aria-sort={i < 0 ? undefined : sort[i].dir === "asc" ? "ascending" : "descending"}
+        title="Click or press Enter to sort, Shift to add a secondary sort, drag to move"
+        className={`${base} cursor-pointer select-none hover:bg-gray-300 ${headerDrag.overKey === f.key ? "bg-blue-100" : "bg-gray-200"}`}>
+        {f.label}
+        {i >= 0 && <span className="ml-1 text-blue-700">{sort[i].dir === "asc" ? "▲" : "▼"}{sort.length > 1 ? i + 1 : ""}</span>}
+      </th>
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <div ref={scroller} className="overflow-auto rounded-lg border border-gray-200" style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={mode === "scroll" ? (e) => setScrollTop(e.currentTarget.scrollTop) : undefined}>
+        <table role="grid" aria-label="Report preview" aria-rowcount={rows.length + 1} aria-colcount={colCount}
+          onKeyDown={onGridKeyDown} onFocus={onGridFocus} className="min-w-full text-sm">
+          <thead>
+            <tr aria-rowindex={1} className="bg-gray-200">
+              {selectable && (
+                <th {...cellProps(0, 0)} className={`sticky top-0 left-0 z-30 bg-gray-200 px-2 ${FOCUS_RING}`} style={{ width: SELECT_WIDTH, minWidth: SELECT_WIDTH }}>
+                  <input type="checkbox" tabIndex={-1} checked={allSelected} onChange={() => onSelect(rowIds, !allSelected)} aria-label="Select all rows" title="Select all rows" />
+                </th>
+              )}
+              {columns.map(header)}
+            </tr>
+          </thead>
+          <tbody>
+            {padTop > 0 && <tr aria-hidden="true" style={{ height: padTop }} />}
+            {rows.slice(start, end).map((row, i) => {
+              const idx = start + i;
+              // Orders are keyed by ID so their DOM rows follow them through sorts and filters; group and total rows have none.
+              const key = rowId(row);
+              const id = selectable ? key : null;
+              return (
+                <tr key={key !== null ? `id:${key}` : `at:${idx}`} aria-rowindex={idx + 2} aria-selected={id !== null ? selected.has(id) : undefined} style={{ height: ROW_HEIGHT }} className={rowClass(row)}>
+                  {selectable && (
+                    <td {...cellProps(idx + 1, 0)} className={`sticky left-0 z-10 bg-inherit px-2 ${FOCUS_RING}`} style={{ width: SELECT_WIDTH, minWidth: SELECT_WIDTH }}>
+                      {id !== null && <input type="checkbox" tabIndex={-1} checked={selected.has(id)} onChange={(e) => onSelect([id], e.target.checked)} aria-label={`Select row ${id}`} />}
+                    </td>
+                  )}
+                  {columns.map((c, ci) => {
+                    const editable = id !== null && editableKeys.has(c.key);
+                    const open = editable && editing?.key === c.key && editing.id === id;
+                    return (
+                      <td key={c.key} {...cellProps(idx + 1, ci + offset)} style={{ ...columnStyle(ci), ...cellCss(styles[idx]?.[ci]) }}
+                        onClick={editable && !open ? () => startEdit(row, c, id) : undefined}
+                        title={editable && !open ? "Click or press Enter to edit" : undefined}
+                        className={`px-3 whitespace-nowrap overflow-hidden text-ellipsis ${FOCUS_RING} ${open ? "py-0.5" : "py-2"} ${editable ? "cursor-text hover:ring-1 hover:ring-inset hover:ring-blue-300" : ""} ${c.pinned ? "sticky bg-inherit" : ""}`}>
+                        {cell(row, c, id)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            {padBottom > 0 && <tr aria-hidden="true" style={{ height: padBottom }} />}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600">
+        <div className="flex items-center gap-1">
+          {[["scroll", "Scroll"], ["pages", "Pages"]].map(([m, label]) => (
+            <button key={m} onClick={() => setMode(m)} aria-pressed={mode === m} className={`px-2 py-1 rounded-md border ${mode === m ? "bg-blue-600 text-white border-blue-600" : "hover:bg-gray-50"}`}>{label}</button>
+          ))}
+        </div>
+        {mode === "pages" && (
+          <div className="flex items-center gap-2">
+            <span aria-live="polite">Rows {rows.length ? start + 1 : 0}–{end} of {rows.length}</span>
+            <IconButton onClick={() => setPage(0)} disabled={currentPage === 0} label="First page">⏮</IconButton>
+            <IconButton onClick={() => setPage(Math.max(0, currentPage - 1))} disabled={currentPage === 0} label="Previous page">◀</IconButton>
+            <span>Page {currentPage + 1} of {pageCount}</span>
+            <IconButton onClick={() => setPage(Math.min(pageCount - 1, currentPage + 1))} disabled={currentPage === pageCount - 1} label="Next page">▶</IconButton>
+            <IconButton onClick={() => setPage(pageCount - 1)} disabled={currentPage === pageCount - 1} label="Last page">⏭</IconButton>
+            <Select value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }} className="w-28 py-1" aria-label="Rows per page">
+              {PAGE_SIZES.map((n) => <option key={n} value={n}>{n} / page</option>)}
+            </Select>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
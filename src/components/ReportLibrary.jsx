@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { IconButton, TextInput, Pill } from "./ui.jsx";
+
+/***********************************
+ * Report library
+ * - Lists saved reports; the open one is edited in place and saved as you go
+ * - Rename inline; export one report or the whole library as JSON, import JSON shared by someone else
+ ***********************************/
+
+const fmtStamp = (iso) => {
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? "" : d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+};
+
+export default function ReportLibrary({ reports, activeId, onOpen, onNew, onDuplicate, onRename, onDelete, onImport, onExport }) {
+  const [renaming, setRenaming] = useState(null); // { id, name }
+
+  const commitRename = () => {
+    if (renaming.name.trim()) onRename(renaming.id, renaming.name.trim());
+    setRenaming(null);
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="divide-y">
+        {reports.map((r) => (
+          <div key={r.id} className="py-2 flex items-center justify-between gap-2">
+            {renaming?.id === r.id ? (
+              <TextInput autoFocus aria-label="Report name" value={renaming.name} onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                onBlur={commitRename} onKeyDown={(e) => { if (e.key === "Enter") commitRename(); if (e.key === "Escape") setRenaming(null); }}
+                className="py-1 max-w-xs" />
+            ) : (
+              <button onClick={() => onOpen(r.id)} className="flex items-center gap-2 text-left">
+                <span className={`text-sm font-medium ${r.id === activeId ? "text-blue-700" : "hover:text-blue-700"}`}>{r.name}</span>
+                {r.id === activeId && <Pill color="blue">Open</Pill>}
+                <span className="text-xs text-gray-500">{r.columns.length} columns · updated {fmtStamp(r.updatedAt)}</span>
+              </button>
+            )}
+            <div className="flex gap-1">
+              <IconButton onClick={() => setRenaming({ id: r.id, name: r.name })} label={`Rename ${r.name}`}>✎ Rename</IconButton>
+              <IconButton onClick={() => onDuplicate(r.id)} label={`Duplicate ${r.name}`}>⧉ Duplicate</IconButton>
+              <IconButton onClick={() => onExport([r.id])} label={`Download ${r.name} as JSON`}>⬇ JSON</IconButton>
+              <IconButton onClick={() => onDelete(r.id)} className="text-red-600 border-red-200" label={`Delete ${r.name}`}>🗑</IconButton>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <IconButton onClick={onNew}>➕ New Report</IconButton>
+        <IconButton onClick={() => onExport(reports.map((r) => r.id))}>⬇ Export All</IconButton>
+        <label className="px-2 py-1 rounded-md border hover:bg-gray-50 cursor-pointer">
+          ⬆ Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+        </label>
+      </div>
+    </div>
+  );
+}
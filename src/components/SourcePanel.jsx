@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { SOURCE_ADAPTERS, DEFAULT_HTTP_CONFIG, newHttpSource } from "../engine/sources.js";
+import { Field, TextInput, Select, IconButton, Pill } from "./ui.jsx";
+
+/***********************************
+ * Data source manager
+ * - Lists every source; HTTP sources are editable (URL, auth header, JSONPath to rows, pagination)
+ * - Auth values are kept for the tab only unless "Remember on this device" is ticked
+ * - Saving an HTTP source also switches to it so the connection is tried straight away
+ ***********************************/
+
+const HttpSourceForm = ({ source, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(source);
+  const c = { ...DEFAULT_HTTP_CONFIG, ...draft.config };
+  const set = (patch) => setDraft((d) => ({ ...d, config: { ...d.config, ...patch } }));
+  return (
+    <div className="space-y-3 rounded-xl border border-blue-100 bg-blue-50/50 p-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Field label="Name">
+          <TextInput value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        </Field>
+        <Field label="URL" className="md:col-span-2">
+          <TextInput value={c.url} onChange={(e) => set({ url: e.target.value.trim() })} placeholder="http://localhost:4010/api/orders" />
+        </Field>
+        <Field label="Auth Header">
+          <TextInput value={c.authHeader} onChange={(e) => set({ authHeader: e.target.value.trim() })} placeholder="Authorization" />
+        </Field>
+        <Field label="Auth Value">
+          <TextInput type="password" value={c.authValue} onChange={(e) => set({ authValue: e.target.value })} placeholder="Bearer …" autoComplete="off" />
+          <label className="mt-1 flex items-center gap-2 text-xs cursor-pointer">
+            <input type="checkbox" checked={Boolean(c.rememberAuth)} onChange={(e) => set({ rememberAuth: e.target.checked })} aria-describedby={c.rememberAuth ? `${draft.id}-remember-auth` : undefined} />
+            <span>Remember on this device</span>
+          </label>
+          {c.rememberAuth && (
+            <p id={`${draft.id}-remember-auth`} className="mt-1 text-xs text-amber-700">
+              Stored unencrypted in this browser's local storage, where any script on this site can read it. Leave off to keep it for this tab only.
+            </p>
+          )}
+        </Field>
+        <Field label="Rows JSONPath">
+          <TextInput value={c.rowsPath} onChange={(e) => set({ rowsPath: e.target.value.trim() })} placeholder="$.data.items" className="font-mono" />
+        </Field>
+        <Field label="Pagination">
+          <Select value={c.pagination} onChange={(e) => set({ pagination: e.target.value })}>
+            <option value="none">None (single request)</option>
+            <option value="page">Page number</option>
+            <option value="offset">Offset / limit</option>
+            <option value="next">Follow next link / cursor</option>
+          </Select>
+        </Field>
+        {(c.pagination === "page" || c.pagination === "offset") && (
+          <>
+            <Field label={c.pagination === "page" ? "Page Param" : "Offset Param"}>
+              <TextInput value={c.pageParam} onChange={(e) => set({ pageParam: e.target.value.trim() })} />
+            </Field>
+            <Field label={c.pagination === "page" ? "Size Param" : "Limit Param"}>
+              <TextInput value={c.sizeParam} onChange={(e) => set({ sizeParam: e.target.value.trim() })} />
+            </Field>
+            <Field label="Page Size">
+              <TextInput type="number" min={1} value={c.pageSize} onChange={(e) => set({ pageSize: Number(e.target.value) })} />
+            </Field>
+            {c.pagination === "page" && (
+              <Field label="First Page">
+                <TextInput type="number" min={0} value={c.firstPage} onChange={(e) => set({ firstPage: Number(e.target.value) })} />
+              </Field>
+            )}
+          </>
+        )}
+        {c.pagination === "next" && (
+          <>
+            <Field label="Next JSONPath">
+              <TextInput value={c.nextPath} onChange={(e) => set({ nextPath: e.target.value.trim() })} placeholder="$.next" className="font-mono" />
+            </Field>
+            <Field label="Cursor Param">
+              <TextInput value={c.pageParam} onChange={(e) => set({ pageParam: e.target.value.trim() })} placeholder="used when next is a bare cursor" />
+            </Field>
+          </>
+        )}
+        {c.pagination !== "none" && (
+          <Field label="Max Pages">
+            <TextInput type="number" min={1} value={c.maxPages} onChange={(e) => set({ maxPages: Number(e.target.value) })} />
+          </Field>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={() => onSave(draft)} disabled={!c.url}
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 transition shadow disabled:opacity-50">Save & Connect</button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-lg border hover:bg-gray-50">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default function SourcePanel({ sources, activeId, status, onSelect, onSave, onRemove, onReload }) {
+  const [editing, setEditing] = useState(null);
+  return (
+    <div className="space-y-3">
+      <div className="divide-y">
+        {sources.map((s) => (
+          <div key={s.id} className="py-2 flex items-center justify-between gap-2">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="radio" name="data-source" checked={s.id === activeId} onChange={() => onSelect(s.id)} />
+              <span className="text-sm font-medium">{s.name}</span>
+              <span className="text-xs text-gray-500">{SOURCE_ADAPTERS[s.type]?.label}</span>
+              {s.id === activeId && status.state === "loading" && <Pill color="yellow">Loading…</Pill>}
+              {s.id === activeId && status.state === "error" && <Pill color="red">Error</Pill>}
+            </label>
+            <div className="flex gap-1">
+              {s.id === activeId && <IconButton onClick={onReload}>↻ Reload</IconButton>}
+              {s.type === "http" && <IconButton onClick={() => setEditing(s)}>✎ Edit</IconButton>}
+              {s.type !== "demo" && <IconButton onClick={() => onRemove(s.id)} className="text-red-600 border-red-200" label={`Remove ${s.name}`}>🗑</IconButton>}
+            </div>
+          </div>
+        ))}
+      </div>
+      {status.state === "error" && <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md px-2 py-1">{status.error}</div>}
+      {editing ? (
+        <HttpSourceForm key={editing.id} source={editing} onCancel={() => setEditing(null)}
+          onSave={(s) => { onSave(s); setEditing(null); }} />
+      ) : (
+        <IconButton onClick={() => setEditing(newHttpSource())}>➕ Add HTTP Source</IconButton>
+      )}
+    </div>
+  );
+}
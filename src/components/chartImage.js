@@ -0,0 +1,28 @@
+/************ Chart rasterising (browser only) ************/
+// Recharts draws plain SVG; exporters need a PNG, so the SVG is serialised and painted onto a canvas.
+export const svgToPng = (svg, { scale = 2, background = "#ffffff" } = {}) => new Promise((resolve, reject) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    resolve({ dataUrl: canvas.toDataURL("image/png"), width, height });
+  };
+  img.onerror = () => reject(new Error("Could not render chart image"));
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(clone))}`;
+});
+
+/** PNG of the first recharts surface inside `node`, or null when the chart has nothing drawn. */
+export const chartNodeToPng = async (node) => {
+  const svg = node?.querySelector("svg.recharts-surface");
+  return svg ? svgToPng(svg) : null;
+};
@@ -0,0 +1,16 @@
+import { createContext, useContext } from "react";
+
+/************ Dialogs ************/
+// Outside a DialogProvider the browser's own alert and confirm are used.
+const nativeDialogs = {
+  alert: async (message) => window.alert(message),
+  confirm: async (message) => window.confirm(message),
+};
+
+export const DialogContext = createContext(nativeDialogs);
+
+/**
+ * { alert(message, options), confirm(message, options) } — both return promises; confirm resolves to true or false.
+ * Options: title, confirmLabel, and danger for a destructive action (its Cancel button gets the focus).
+ */
+export const useDialog = () => useContext(DialogContext);
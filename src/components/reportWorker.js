@@ -0,0 +1,61 @@
+import { TEXT_EXPORTS, tableToPDF, tableToTemplate, tableToXLSX } from "../engine/exporters.js";
+import { createRowCalculator } from "../engine/pipeline.js";
+
+/************ Report worker client (browser only) ************/
+// Large row sets are calculated in a Web Worker (engine/worker.js) so editing a formula does not freeze the page, and
+// export files are built there too. Small row sets, and environments without workers, run the same code in place.
+const WORKER_MIN_ROWS = 5000;
+
+const LOCAL_EXPORTS = { tableToXLSX, tableToPDF, tableToTemplate, text: (ext, table, settings) => TEXT_EXPORTS[ext].build(table, settings) };
+const localCalculate = createRowCalculator();
+
+let worker;
+let nextId = 1;
+const pending = new Map();
+let sentRows = null;
+let lastRows = [];
+
+const reset = (message) => {
+  for (const { reject } of pending.values()) reject(new Error(message));
+  pending.clear();
+  worker?.terminate();
+  worker = undefined;
+  sentRows = null;
+};
+
+const getWorker = () => {
+  if (worker !== undefined) return worker;
+  try {
+    worker = typeof Worker === "undefined" ? null : new Worker(new URL("../engine/worker.js", import.meta.url), { type: "module" });
+  } catch {
+    worker = null;
+  }
+  if (!worker) return null;
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    pending.delete(data.id);
+    if (!request) return;
+    if (data.error) request.reject(Object.assign(new Error(data.error.message), { name: data.error.name }));
+    else request.resolve(data.same ? lastRows : data.result);
+  };
+  worker.onerror = (e) => reset(e.message || "The background worker stopped");
+  return worker;
+};
+
+const post = (message) => new Promise((resolve, reject) => {
+  const id = nextId++;
+  pending.set(id, { resolve, reject });
+  worker.postMessage({ id, ...message });
+});
+
+/** Rows with every calculated field filled in (see pipeline.createRowCalculator); resolves to the same array when nothing changed. */
+export const calculateRows = async (rows, fields, calendars) => {
+  if (rows.length < WORKER_MIN_ROWS || !getWorker()) return localCalculate(rows, fields, calendars);
+  const resend = rows !== sentRows;
+  sentRows = rows;
+  lastRows = await post({ type: "calculate", fields, calendars, ...(resend ? { rows } : {}) });
+  return lastRows;
+};
+
+/** Runs an exporter (tableToXLSX, tableToPDF, tableToTemplate, or "text" with a TEXT_EXPORTS extension first) in the worker. */
+export const runExport = async (name, ...args) => (getWorker() ? post({ type: "export", name, args }) : LOCAL_EXPORTS[name](...args));
@@ -0,0 +1,74 @@
+import { Children, cloneElement, useId } from "react";
+
+/************ Small UI helpers ************/
+// Sections are landmarks named by their heading, so screen readers can list and jump between them.
+export const Section = ({ title, children, right }) => {
+  const id = useId();
+  return (
+    <section aria-labelledby={id} className="bg-white rounded-2xl shadow-md p-5 border border-gray-200 flex flex-col">
+      <div className="flex items-center justify-between mb-4">
+        <h2 id={id} className="text-lg font-semibold text-gray-800">{title}</h2>
+        {right}
+      </div>
+      <div className="flex-1">{children}</div>
+    </section>
+  );
+};
+
+export const Pill = ({ children, color = "gray" }) => (
+  <span className={`inline-flex items-center text-xs font-medium px-2 py-0.5 rounded-full bg-${color}-100 text-${color}-700 border border-${color}-200`}>{children}</span>
+);
+
+const LABEL_CLASS = "text-xs font-medium text-gray-600 uppercase tracking-wide";
+
+export const Label = ({ children, htmlFor }) => (
+  <label htmlFor={htmlFor} className={LABEL_CLASS}>{children}</label>
+);
+
+export const TextInput = (props) => (
+  <input {...props} className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-400 focus:border-blue-400 transition ${props.className||""}`} />
+);
+
+export const Select = (props) => (
+  <select {...props} className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-400 focus:border-blue-400 transition ${props.className||""}`} />
+);
+
+// `label` names buttons whose content is only an icon; it is also shown as the tooltip.
+export const IconButton = ({ onClick, children, className, label, disabled }) => (
+  <button type="button" onClick={onClick} disabled={disabled} aria-label={label} title={label}
+    className={`px-2 py-1 rounded-md border hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-400 disabled:opacity-40 disabled:cursor-not-allowed ${className||""}`}>{children}</button>
+);
+
+export const FieldError = ({ children, id }) => (
+  children ? <div id={id} role="alert" className="text-xs text-red-700">{children}</div> : null
+);
+
+// A labelled control: the first child gets the id the label points at, and `error` is announced with it.
+export const Field = ({ label, error, className = "", children }) => {
+  const id = useId();
+  const [control, ...rest] = Children.toArray(children);
+  return (
+    <div className={`space-y-1 ${className}`}>
+      <Label htmlFor={id}>{label}</Label>
+      {cloneElement(control, { id, "aria-invalid": error ? true : undefined, "aria-describedby": error ? `${id}-error` : undefined })}
+      {rest}
+      <FieldError id={`${id}-error`}>{error}</FieldError>
+    </div>
+  );
+};
+
+// A labelled set of controls (checkboxes, a list with its own inputs) or a read-only value.
+export const FieldGroup = ({ label, className = "space-y-1", children }) => {
+  const id = useId();
+  return (
+    <div role="group" aria-labelledby={id} className={className}>
+      <span id={id} className={LABEL_CLASS}>{label}</span>
+      {children}
+    </div>
+  );
+};
+
+// Input for a value of a field's data type: number and date pickers, text otherwise.
+export const ValueInput = ({ dataType, ...props }) => (
+  <TextInput type={dataType === "number" ? "number" : dataType === "date" ? "date" : "text"} {...props} />
+);
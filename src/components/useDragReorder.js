@@ -0,0 +1,60 @@
+import { useRef, useState } from "react";
+
+/************ Drag-and-drop reordering ************/
+// Spread `dragProps(key)` onto each draggable item; dropping one item on another calls onMove(draggedKey, targetKey).
+// Spread `handleProps(key, keys, label)` onto its drag handle to make it focusable: the arrow keys swap the item
+// with its neighbour in `keys`, and focus stays on the handle as it moves.
+export const useDragReorder = (onMove) => {
+  const dragging = useRef(null);
+  const refocus = useRef(null);
+  const [overKey, setOverKey] = useState(null);
+
+  const dragProps = (key, enabled = true) => (enabled ? {
+    draggable: true,
+    onDragStart: (e) => {
+      dragging.current = key;
+      // Firefox only starts a drag when some data is set.
+      e.dataTransfer?.setData("text/plain", key);
+      if (e.dataTransfer) e.dataTransfer.effectAllowed = "move";
+    },
+    onDragOver: (e) => {
+      if (!dragging.current || dragging.current === key) return;
+      e.preventDefault();
+      setOverKey(key);
+    },
+    onDragLeave: () => setOverKey((k) => (k === key ? null : k)),
+    onDrop: (e) => {
+      e.preventDefault();
+      if (dragging.current && dragging.current !== key) onMove(dragging.current, key);
+      dragging.current = null;
+      setOverKey(null);
+    },
+    onDragEnd: () => {
+      dragging.current = null;
+      setOverKey(null);
+    },
+  } : {});
+
+  const handleProps = (key, keys, label) => ({
+    tabIndex: 0,
+    role: "button",
+    "aria-label": `Move ${label} (${keys.indexOf(key) + 1} of ${keys.length}), use the arrow keys`,
+    ref: (el) => {
+      if (el && refocus.current === key) {
+        refocus.current = null;
+        el.focus();
+      }
+    },
+    onKeyDown: (e) => {
+      const step = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 }[e.key];
+      const target = step && keys[keys.indexOf(key) + step];
+      if (!step) return;
+      e.preventDefault();
+      if (!target) return;
+      refocus.current = key;
+      onMove(key, target);
+    },
+  });
+
+  return { dragProps, handleProps, overKey };
+};
@@ -0,0 +1,44 @@
+import { useState } from "react";
+
+/************ Entered values with undo/redo ************/
+// values: field key → { row ID → value }. Every change is one undo step holding the field key and the before/after
+// value of each row it touched (undefined when the row had no entered value and showed the field's default).
+const MAX_UNDO = 100;
+
+const patch = (values, key, changes) => {
+  const next = { ...values[key] };
+  for (const [id, v] of Object.entries(changes)) {
+    if (v === undefined) delete next[id];
+    else next[id] = v;
+  }
+  const { [key]: _old, ...rest } = values;
+  return Object.keys(next).length ? { ...rest, [key]: next } : rest;
+};
+
+export const useFieldValues = (initial) => {
+  const [state, setState] = useState(() => ({ values: typeof initial === "function" ? initial() : initial, undo: [], redo: [] }));
+
+  // Sets field `key` to changes[rowId] on each listed row; undefined goes back to the default.
+  const change = (key, changes) => setState(({ values, undo }) => {
+    const before = Object.fromEntries(Object.keys(changes).map((id) => [id, values[key]?.[id]]));
+    return { values: patch(values, key, changes), undo: [...undo, { key, before, after: changes }].slice(-MAX_UNDO), redo: [] };
+  });
+
+  const undo = () => setState((s) => {
+    const step = s.undo.at(-1);
+    return step ? { values: patch(s.values, step.key, step.before), undo: s.undo.slice(0, -1), redo: [...s.redo, step] } : s;
+  });
+
+  const redo = () => setState((s) => {
+    const step = s.redo.at(-1);
+    return step ? { values: patch(s.values, step.key, step.after), undo: [...s.undo, step], redo: s.redo.slice(0, -1) } : s;
+  });
+
+  // A renamed field keeps its values under the new key (`to` null drops them). History is cleared: its steps name the old key.
+  const renameField = (from, to) => setState(({ values }) => {
+    const { [from]: moved, ...rest } = values;
+    return { values: moved && to ? { ...rest, [to]: moved } : rest, undo: [], redo: [] };
+  });
+
+  return { values: state.values, change, undo, redo, renameField, canUndo: state.undo.length > 0, canRedo: state.redo.length > 0 };
+};
@@ -0,0 +1,144 @@
+import { newId } from "./ids.js";
+import { parseDate, readTable } from "./importer.js";
+
+/***********************************
+ * Business calendars for working-day date maths
+ * - Calendar: { id, name, weekend: [weekday, 0 = Sunday], holidays: [{ date: yyyy-mm-dd, name }] }
+ * - A working day is neither a weekend day nor a holiday; dates are calendar dates, so no timezone applies
+ * - Holiday lists import from CSV / XLSX: a date column plus an optional name column
+ ***********************************/
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const DEFAULT_CALENDAR = { id: "factory", name: "Factory", weekend: [0], holidays: [] };
+
+const MS_PER_DAY = 86400000;
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export const newCalendar = (patch = {}) => ({ ...DEFAULT_CALENDAR, id: newId(), name: "New calendar", ...patch });
+
+/** Fills in a stored calendar; at least one weekday always stays a working day. */
+export const normalizeCalendar = (raw) => {
+  const weekend = Array.isArray(raw?.weekend) ? [...new Set(raw.weekend.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))].sort() : [0];
+  return {
+    id: typeof raw?.id === "string" && raw.id ? raw.id : newId(),
+    name: String(raw?.name ?? "").trim() || "Calendar",
+    weekend: weekend.length < 7 ? weekend : [0],
+    holidays: mergeHolidays([], Array.isArray(raw?.holidays) ? raw.holidays.filter((h) => isObject(h) && parseDate(h.date ?? "")) : []),
+  };
+};
+
+/** `holidays` plus `added`, one entry per date (added names win), sorted by date. */
+export const mergeHolidays = (holidays, added) => {
+  const byDate = new Map(holidays.map((h) => [h.date, h]));
+  for (const h of added) byDate.set(parseDate(h.date), { date: parseDate(h.date), name: String(h.name ?? "").trim() });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/************ Working days ************/
+const dayNumber = (d) => Math.floor(d.getTime() / MS_PER_DAY);
+const isoOfDay = (n) => new Date(n * MS_PER_DAY).toISOString().slice(0, 10);
+const weekdayOf = (n) => (((n + 4) % 7) + 7) % 7; // day 0 (1970-01-01) was a Thursday
+
+// Per calendar: its holiday dates, and the day numbers of those falling on working weekdays, sorted for range counts.
+const holidayIndex = new WeakMap();
+const holidaysOf = (cal) => {
+  if (!holidayIndex.has(cal)) {
+    const dates = new Set((cal.holidays || []).map((h) => h.date));
+    const days = [...dates].map((d) => dayNumber(new Date(d))).filter((n) => !isNaN(n) && !(cal.weekend || []).includes(weekdayOf(n)));
+    holidayIndex.set(cal, { dates, days: [...new Set(days)].sort((a, b) => a - b) });
+  }
+  return holidayIndex.get(cal);
+};
+
+const isWorkingDayNumber = (n, cal) => !(cal.weekend || []).includes(weekdayOf(n)) && !holidaysOf(cal).dates.has(isoOfDay(n));
+
+export const isWorkingDay = (date, cal = DEFAULT_CALENDAR) => isWorkingDayNumber(dayNumber(date), cal);
+
+// Index of the first entry of sorted `days` above `n`.
+const upperBound = (days, n) => {
+  let lo = 0;
+  let hi = days.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (days[mid] <= n) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Working days among day numbers a+1 … b: whole weeks at once, the remaining days one by one, minus holidays in range.
+const countWorkingDays = (a, b, cal) => {
+  if (b <= a) return 0;
+  const perWeek = 7 - new Set(cal.weekend || []).size;
+  const weeks = Math.floor((b - a) / 7);
+  let count = weeks * perWeek;
+  for (let n = a + 7 * weeks + 1; n <= b; n++) if (!(cal.weekend || []).includes(weekdayOf(n))) count++;
+  const { days } = holidaysOf(cal);
+  return count - (upperBound(days, b) - upperBound(days, a));
+};
+
+/** Largest working-day count addWorkingDays accepts (about 400 years of five-day weeks). */
+export const MAX_WORKING_DAYS = 100000;
+
+/** Working days after `from` up to and including `to` (so the same day is 0). Expects from ≤ to. */
+export const workingDaysBetween = (from, to, cal = DEFAULT_CALENDAR) => countWorkingDays(dayNumber(from), dayNumber(to), cal);
+
+/**
+ * The date `days` working days after `date` (before it when negative); a Date at UTC midnight.
+ * Throws a RangeError when |days| is above MAX_WORKING_DAYS or the calendar has no working weekday.
+ */
+export const addWorkingDays = (date, days, cal = DEFAULT_CALENDAR) => {
+  if (!(Math.abs(days) <= MAX_WORKING_DAYS)) throw new RangeError(`Working-day count ${days} is beyond ±${MAX_WORKING_DAYS}`);
+  const step = days < 0 ? -1 : 1;
+  const perWeek = 7 - new Set(cal.weekend || []).size;
+  if (perWeek <= 0) throw new RangeError(`${cal.name || "Calendar"} has no working days`);
+  let n = dayNumber(date);
+  let left = Math.abs(Math.trunc(days));
+  // Jump whole weeks while they leave at least one day to walk, so the walk ends on a working day; holidays in a
+  // jump leave a shortfall that the next jump covers.
+  for (let weeks = Math.floor((left - 1) / perWeek); weeks > 0; weeks = Math.floor((left - 1) / perWeek)) {
+    const to = n + step * 7 * weeks;
+    left -= step > 0 ? countWorkingDays(n, to, cal) : countWorkingDays(to - 1, n - 1, cal);
+    n = to;
+  }
+  while (left > 0) {
+    n += step;
+    if (isWorkingDayNumber(n, cal)) left--;
+  }
+  return new Date(n * MS_PER_DAY);
+};
+
+/** ISO 8601 week number (weeks start on Monday; week 1 holds the year's first Thursday). */
+export const isoWeek = (date) => {
+  const n = dayNumber(date);
+  const thursday = n - ((weekdayOf(n) + 6) % 7) + 3;
+  const yearStart = dayNumber(new Date(Date.UTC(new Date(thursday * MS_PER_DAY).getUTCFullYear(), 0, 1)));
+  return Math.floor((thursday - yearStart) / 7) + 1;
+};
+
+export const quarterOf = (date) => Math.floor(date.getUTCMonth() / 3) + 1;
+
+/************ Holiday import ************/
+const looksLikeDate = (v) => v instanceof Date || parseDate(v ?? "") !== null;
+
+/**
+ * Reads holidays from a CSV / XLSX file: the column headed "date" (or the first column) and the one headed
+ * "name" / "holiday" / "description" (or the next column). A first row that is already a date counts as data.
+ * Returns { holidays, errors } where errors are "Row n: …" messages for rows that were skipped.
+ */
+export const readHolidayFile = (data, fileName, dateOrder = "dmy") => {
+  const { headers, rows } = readTable(data, fileName);
+  const dateCol = Math.max(0, headers.findIndex((h) => /date/i.test(h)));
+  const found = headers.findIndex((h, i) => i !== dateCol && /name|holiday|description|occasion/i.test(h));
+  const nameCol = found >= 0 ? found : dateCol + 1;
+  const all = looksLikeDate(headers[dateCol]) ? [headers, ...rows] : rows;
+  const firstRow = all === rows ? 2 : 1;
+  const holidays = [];
+  const errors = [];
+  all.forEach((r, i) => {
+    const date = parseDate(r[dateCol] ?? "", dateOrder);
+    if (date) holidays.push({ date, name: String(r[nameCol] ?? "").trim() });
+    else errors.push(`Row ${i + firstRow}: "${r[dateCol] ?? ""}" is not a recognised date`);
+  });
+  return { holidays, errors };
+};
@@ -0,0 +1,74 @@
+import { AGG_FNS, aggregate } from "./grouping.js";
+import { newId } from "./ids.js";
+
+/***********************************
+ * Chart definitions and data shaping
+ * - Chart: { id, title, type, xField, seriesField, measure: { fn, field } }
+ * - Data is aggregated per x value (and per series value for stacked bars)
+ ***********************************/
+
+export const CHART_TYPES = [
+  { type: "bar", label: "Bar" },
+  { type: "line", label: "Line" },
+  { type: "pie", label: "Pie" },
+  { type: "stackedBar", label: "Stacked Bar" },
+];
+
+export const CHART_COLORS = ["#2563eb", "#16a34a", "#dc2626", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#4b5563", "#ea580c"];
+
+export const newChart = (fields) => ({
+  id: newId(),
+  title: "",
+  type: "bar",
+  xField: (fields.find((f) => f.key === "buyerName") || fields[0]).key,
+  seriesField: "",
+  measure: { fn: "count", field: "" },
+});
+
+const byValue = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+export const measureLabel = (chart, fields) => {
+  const { fn, field } = chart.measure || {};
+  const fnLabel = AGG_FNS.find((x) => x.fn === fn)?.label || fn;
+  if (fn === "count" && !field) return "Count";
+  return `${fnLabel} of ${fields.find((f) => f.key === field)?.label || field}`;
+};
+
+export const chartTitle = (chart, fields) =>
+  chart.title || `${measureLabel(chart, fields)} by ${fields.find((f) => f.key === chart.xField)?.label || chart.xField}`;
+
+/**
+ * Returns { data, series }. For single-series charts each datum is { name, value };
+ * for stacked bars each datum is { name, [seriesValue]: number } and `series` lists the stack keys.
+ */
+export const chartData = (rows, chart, fields) => {
+  const typeOf = Object.fromEntries(fields.map((f) => [f.key, f.dataType]));
+  const { fn = "count", field } = chart.measure || {};
+  const measure = (subset) => {
+    const values = field ? subset.map((r) => r[field]) : subset.map(() => 1);
+    const v = aggregate(fn, values, typeOf[field]);
+    return typeof v === "number" ? v : Number(v) || 0;
+  };
+  const bucket = (subset, key) => {
+    const m = new Map();
+    for (const r of subset) {
+      const v = r[key] ?? "";
+      const name = v === "" ? "(blank)" : String(v);
+      if (!m.has(name)) m.set(name, []);
+      m.get(name).push(r);
+    }
+    return m;
+  };
+
+  const groups = bucket(rows, chart.xField);
+  const names = [...groups.keys()].sort(byValue);
+  if (chart.type !== "stackedBar" || !chart.seriesField) {
+    return { data: names.map((name) => ({ name, value: measure(groups.get(name)) })), series: ["value"] };
+  }
+  const series = [...bucket(rows, chart.seriesField).keys()].sort(byValue);
+  const data = names.map((name) => {
+    const inner = bucket(groups.get(name), chart.seriesField);
+    return { name, ...Object.fromEntries(series.map((s) => [s, inner.has(s) ? measure(inner.get(s)) : 0])) };
+  });
+  return { data, series };
+};
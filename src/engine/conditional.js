@@ -0,0 +1,86 @@
+import { newId } from "./ids.js";
+import { opsFor, ruleMatches } from "./query.js";
+
+/***********************************
+ * Conditional formatting of report rows
+ * - Rule:  { id, type: "rule", field, op, value, value2, scope: "cell" | "row", tone, bold }
+ *   tested with the filter operators (see query.js); "cell" styles the rule's own column, "row" every cell of the row
+ * - Scale: { id, type: "scale", field, scale } shades a numeric column from its lowest to its highest value
+ * - Later entries win where several style the same cell; summary rows of grouped reports keep their own look
+ * - Styles are { color, fill, bold } with #rrggbb colours, so the preview, PDF and XLSX render alike
+ ***********************************/
+
+export const TONES = {
+  red: { label: "Red", color: "#991b1b", fill: "#fee2e2" },
+  amber: { label: "Amber", color: "#92400e", fill: "#fef3c7" },
+  green: { label: "Green", color: "#166534", fill: "#dcfce7" },
+  blue: { label: "Blue", color: "#1e40af", fill: "#dbeafe" },
+  gray: { label: "Gray", color: "#374151", fill: "#e5e7eb" },
+};
+
+export const SCALES = {
+  greenRed: { label: "Green → Red", stops: ["#bbf7d0", "#fef08a", "#fecaca"] },
+  redGreen: { label: "Red → Green", stops: ["#fecaca", "#fef08a", "#bbf7d0"] },
+  whiteBlue: { label: "White → Blue", stops: ["#ffffff", "#93c5fd"] },
+};
+
+export const newFormatRule = (field) => ({
+  id: newId(), type: "rule", field: field?.key || "", op: opsFor(field?.dataType)[0].op, value: "", value2: "", scope: "cell", tone: "red", bold: false,
+});
+
+export const newColorScale = (field) => ({ id: newId(), type: "scale", field: field?.key || "", scale: "greenRed" });
+
+/** [r, g, b] of a #rrggbb colour. */
+export const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+const mix = (stops, t) => {
+  const pos = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(pos), stops.length - 2);
+  const a = hexToRgb(stops[i]);
+  const b = hexToRgb(stops[i + 1]);
+  return `#${a.map((x, k) => Math.round(x + (b[k] - x) * (pos - i)).toString(16).padStart(2, "0")).join("")}`;
+};
+
+const toNumber = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+const numericRange = (rows, key) => {
+  const values = rows.filter((r) => !r.__type).map((r) => toNumber(r[key])).filter((n) => n !== null);
+  return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+};
+
+const ruleStyle = (rule) => ({
+  ...(TONES[rule.tone] ? { color: TONES[rule.tone].color, fill: TONES[rule.tone].fill } : {}),
+  ...(rule.bold ? { bold: true } : {}),
+});
+
+/**
+ * Cell styles for a table: one entry per row, either null (unstyled) or an array holding a style or null per column.
+ * `fields` supplies the data type of rule fields that are not shown as columns.
+ */
+export const conditionalStyles = (rows, columns, rules = [], fields = []) => {
+  if (!rules.length) return rows.map(() => null);
+  const typeOf = new Map([...fields, ...columns].map((f) => [f.key, f.dataType]));
+  const colIndex = new Map(columns.map((c, i) => [c.key, i]));
+  const ranges = new Map(rules.filter((r) => r.type === "scale").map((r) => [r.id, numericRange(rows, r.field)]));
+  return rows.map((row) => {
+    if (row.__type) return null;
+    let cells = null;
+    const apply = (i, style) => {
+      cells ||= columns.map(() => null);
+      cells[i] = { ...cells[i], ...style };
+    };
+    for (const r of rules) {
+      if (r.type === "scale") {
+        const range = ranges.get(r.id);
+        const n = toNumber(row[r.field]);
+        if (!colIndex.has(r.field) || !range || n === null) continue;
+        const t = range.max === range.min ? 0.5 : (n - range.min) / (range.max - range.min);
+        apply(colIndex.get(r.field), { fill: mix((SCALES[r.scale] || SCALES.greenRed).stops, t) });
+      } else if (ruleMatches(row, r, typeOf.get(r.field))) {
+        if (r.scope === "row") columns.forEach((_, i) => apply(i, ruleStyle(r)));
+        else if (colIndex.has(r.field)) apply(colIndex.get(r.field), ruleStyle(r));
+      }
+    }
+    return cells;
+  });
+};
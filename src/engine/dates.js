@@ -0,0 +1,20 @@
+/************ Date utilities ************/
+export const toDate = (v) => (v instanceof Date ? v : v ? new Date(v) : null);
+
+export const fmtDate = (v) => {
+  if (!v) return "";
+  const d = toDate(v);
+  if (!d || isNaN(d.getTime())) return "";
+  return d.toISOString().slice(0, 10);
+};
+
+export const dateDiff = (a, b, unit = "days") => {
+  const d1 = toDate(a);
+  const d2 = toDate(b);
+  if (!d1 || !d2 || isNaN(d1) || isNaN(d2)) return null;
+  const ms = d2 - d1;
+  if (unit === "hours") return Math.round(ms / (1000 * 60 * 60));
+  return Math.round(ms / (1000 * 60 * 60 * 24));
+};
+
+export const addDays = (d, n) => { const x = new Date(d); x.setDate(x.getDate() + n); return x; };
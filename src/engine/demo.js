@@ -0,0 +1,41 @@
+import { fmtDate, addDays } from "./dates.js";
+
+/************ Demo dataset ************/
+export const BASE_FIELDS = [
+  { key: "orderId", label: "Order ID", dataType: "string", source: "system" },
+  { key: "buyerName", label: "Buyer Name", dataType: "string", source: "system" },
+  { key: "orderDate", label: "Order Date", dataType: "date", source: "system" },
+  { key: "dispatchDate", label: "Dispatch Date", dataType: "date", source: "system" },
+  { key: "leadTimeDays", label: "Lead Time (days)", dataType: "number", source: "system" },
+  { key: "status", label: "Status", dataType: "string", source: "system" },
+  { key: "awbNumber", label: "AWB Number", dataType: "string", source: "system" },
+  { key: "exFactory", label: "Ex-Factory", dataType: "date", source: "system" },
+  { key: "style", label: "Style", dataType: "string", source: "system" },
+];
+
+const BUYERS = ["Zara", "Ann Taylor", "H&M", "Uniqlo", "Gap", "Target"];
+const STATUSES = ["Open", "In Production", "Ready", "Dispatched", "Closed"];
+const randFrom = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+export const makeDummyOrders = (n = 28) => {
+  const base = new Date();
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const orderDate = addDays(base, -Math.floor(Math.random() * 60));
+    const lead = Math.floor(Math.random() * 30) + 1;
+    const dispatchDate = addDays(orderDate, lead);
+    const exFactory = addDays(orderDate, Math.floor(Math.random() * 20));
+    rows.push({
+      orderId: `ORD-${String(1000 + i)}`,
+      buyerName: randFrom(BUYERS),
+      orderDate: fmtDate(orderDate),
+      dispatchDate: fmtDate(dispatchDate),
+      leadTimeDays: lead,
+      status: randFrom(STATUSES),
+      awbNumber: Math.random() > 0.6 ? `AWB${100000 + i}` : "",
+      exFactory: fmtDate(exFactory),
+      style: `STY-${String(10 + (i % 7))}`,
+    });
+  }
+  return rows;
+};
@@ -0,0 +1,306 @@
+import * as XLSX from "xlsx";
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import { chartData, chartTitle, measureLabel } from "./charts.js";
+import { hexToRgb } from "./conditional.js";
+import { dateParts, excelCell, formatDate, formatValue } from "./format.js";
+import { PDF_PAGE_SIZES, pdfColumnStyles, pdfPageLayout, sheetColumnWidths } from "./layout.js";
+import { cellText, columnTotals, isGroupLabel } from "./pipeline.js";
+import { DEFAULT_CSV_OPTIONS } from "./reports.js";
+import { fillTemplate, freezePanes, styleCells } from "./workbook.js";
+
+/***********************************
+ * File builders for a report table ({ columns, rows, styles } from pipeline.reportTable)
+ * - Each returns the file contents (string or Uint8Array); saving is left to the caller (saveAs, fs.writeFile)
+ * - Nothing here needs a DOM, so the same code runs in the browser and under Node
+ ***********************************/
+
+const headerOf = (c) => c.label || c.key;
+
+/************ Text formats ************/
+// Display text of every cell; `dateFormat` (a date pattern) overrides the date columns' own display format.
+const textRows = ({ columns, rows }, dateFormat = "") => rows.map((r) => columns.map((c) => (
+  dateFormat && c.dataType === "date" && !isGroupLabel(r, c) ? formatDate(r[c.key], { ...c.format, pattern: dateFormat }) : cellText(r, c)
+)));
+
+/**
+ * RFC 4180 CSV of the displayed values. Options (see reports.DEFAULT_CSV_OPTIONS): `delimiter`; `quote` "minimal" quotes only fields
+ * holding the delimiter, a quote or a line break, "all" quotes every field; `bom` prefixes a UTF-8 byte order mark so
+ * Excel detects the encoding; `lineEnding`; `dateFormat` (date pattern, "" = each field's display format).
+ */
+export const tableToCSV = (table, options = {}) => {
+  const { delimiter, quote, bom, lineEnding, dateFormat } = { ...DEFAULT_CSV_OPTIONS, ...options };
+  const needsQuotes = (v) => quote === "all" || v.includes(delimiter) || /["\r\n]/.test(v);
+  const field = (v) => (needsQuotes(v) ? `"${v.replace(/"/g, "\"\"")}"` : v);
+  const lines = [table.columns.map(headerOf), ...textRows(table, dateFormat)].map((r) => r.map((v) => field(String(v))).join(delimiter));
+  return `${bom ? "\uFEFF" : ""}${lines.join(lineEnding)}${lineEnding}`;
+};
+
+/** Tab-separated values; tabs and line breaks inside values become spaces, since TSV has no quoting. */
+export const tableToTSV = (table, { dateFormat = "" } = {}) => [table.columns.map(headerOf), ...textRows(table, dateFormat)]
+  .map((r) => r.map((v) => String(v).replace(/[\t\r\n]+/g, " ")).join("\t"))
+  .join("\n") + "\n";
+
+// Numbers stay numbers and dates become ISO text (yyyy-mm-dd, or a full timestamp when they carry a time).
+const jsonValue = (value, col) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (col.dataType === "number") return Number.isFinite(Number(value)) ? Number(value) : String(value);
+  if (col.dataType === "date") {
+    const p = dateParts(value);
+    if (!p) return String(value);
+    return p.dateOnly ? formatDate(value, { pattern: "yyyy-MM-dd" }) : new Date(value).toISOString();
+  }
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+// Aggregates are keyed like "avg_leadTimeDays", repeats of the same one as "count_2", "count_3"…; summary rows of
+// grouped tables say which they are in "_summary".
+const jsonKey = (c) => (c.kind === "aggregate" ? [c.aggregate.fn, c.aggregate.field].filter(Boolean).join("_") : c.key);
+const jsonKeys = (columns) => {
+  const taken = new Set();
+  return columns.map((c) => {
+    const base = jsonKey(c);
+    let key = base;
+    for (let i = 2; taken.has(key); i++) key = `${base}_${i}`;
+    taken.add(key);
+    return key;
+  });
+};
+const jsonObjects = ({ columns, rows }) => {
+  const keys = jsonKeys(columns);
+  return rows.map((r) => Object.fromEntries([
+    ...columns.map((c, i) => [keys[i], isGroupLabel(r, c) ? r[c.key] : jsonValue(r[c.key], c)]),
+    ...(r.__type ? [["_summary", r.__type]] : []),
+  ]));
+};
+
+/** JSON array with one object per row, keyed by field key, holding the raw typed values. */
+export const tableToJSON = (table) => `${JSON.stringify(jsonObjects(table), null, 2)}\n`;
+
+/** Newline-delimited JSON: the objects of tableToJSON, one per line. */
+export const tableToNDJSON = (table) => jsonObjects(table).map((o) => `${JSON.stringify(o)}\n`).join("");
+
+const escapeHtml = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const HTML_STYLE = `body{font-family:system-ui,-apple-system,"Segoe UI",sans-serif;margin:24px;color:#111827}
+h1{font-size:20px;margin:0 0 4px}p{margin:0 0 16px;color:#4b5563;font-size:13px}
+table{border-collapse:collapse;font-size:13px}th,td{border:1px solid #e5e7eb;padding:4px 8px;text-align:left;white-space:nowrap}
+th{background:#f9fafb;position:sticky;top:0}td.num{text-align:right}tr.subtotal td{background:#f3f4f6;font-weight:600}tr.total td{background:#d1d5db;font-weight:700}`;
+
+/** A standalone HTML page with the table as displayed: formatted values, summary rows and conditional styles. */
+export const tableToHTML = ({ columns, rows, styles = [] }, { title = "Report", subtitle = "" } = {}) => {
+  const head = columns.map((c) => `<th>${escapeHtml(headerOf(c))}</th>`).join("");
+  const body = rows.map((r, ri) => `<tr${r.__type ? ` class="${r.__type}"` : ""}>${columns.map((c, ci) => {
+    const style = styles[ri]?.[ci];
+    const css = style && [style.color && `color:${style.color}`, style.fill && `background:${style.fill}`, style.bold && "font-weight:700"].filter(Boolean).join(";");
+    return `<td${c.dataType === "number" && !isGroupLabel(r, c) ? " class=\"num\"" : ""}${css ? ` style="${css}"` : ""}>${escapeHtml(cellText(r, c))}</td>`;
+  }).join("")}</tr>`).join("\n");
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title || "Report")}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title || "Report")}</h1>
+${subtitle ? `<p>${escapeHtml(subtitle)}</p>\n` : ""}<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+/** Text exports by file extension: MIME type and a builder taking the table and the report's export settings. */
+export const TEXT_EXPORTS = {
+  csv: { mime: "text/csv;charset=utf-8", build: (table, settings = {}) => tableToCSV(table, settings.csv) },
+  tsv: { mime: "text/tab-separated-values;charset=utf-8", build: (table, settings = {}) => tableToTSV(table, settings.csv) },
+  json: { mime: "application/json", build: (table) => tableToJSON(table) },
+  ndjson: { mime: "application/x-ndjson", build: (table) => tableToNDJSON(table) },
+  html: { mime: "text/html;charset=utf-8", build: (table, settings) => tableToHTML(table, settings) },
+};
+
+/************ Excel ************/
+const SUMMARY_FILLS = { subtotal: "#f3f4f6", total: "#d1d5db" };
+
+// Typed cells keep numbers and dates usable in Excel; group labels in summary rows stay text.
+const tableCells = ({ columns, rows }) => rows.map((r) => columns.map((c) => (isGroupLabel(r, c) ? { t: "s", v: String(r[c.key] ?? "") } : excelCell(r[c.key], c))));
+
+// A sheet for a report table, with the cell styles to patch in: conditional formats, and shaded summary rows.
+const tableSheet = (table) => {
+  const { columns, rows, styles = [] } = table;
+  const ws = XLSX.utils.aoa_to_sheet([columns.map(headerOf), ...tableCells(table)]);
+  ws["!cols"] = sheetColumnWidths(columns, rows.map((r) => columns.map((c) => cellText(r, c))));
+  const styled = {};
+  rows.forEach((r, ri) => columns.forEach((c, ci) => {
+    const style = { ...(r.__type ? { fill: SUMMARY_FILLS[r.__type], bold: true } : {}), ...styles[ri]?.[ci] };
+    if (Object.keys(style).length) styled[XLSX.utils.encode_cell({ r: ri + 1, c: ci })] = style;
+  }));
+  return { ws, styled, pane: { xSplit: columns.filter((c) => c.pinned).length, ySplit: 1 } };
+};
+
+const infoSheet = (info) => XLSX.utils.aoa_to_sheet([
+  ["Report", info.name],
+  ["Title", info.title],
+  ["Source", info.source],
+  ["Generated", formatDate(info.generatedAt, { pattern: "yyyy-MM-dd HH:mm" })],
+  ["Filters", info.filters || "none"],
+  ["Sort", info.sort || "none"],
+  ["Grouped by", info.grouping || "not grouped"],
+  ["Rows", info.rowCount],
+  [],
+  ["Calculated Fields"],
+  ...(info.formulas.length
+    ? [["Field", "Key", "Type", "Formula"], ...info.formulas.map((f) => [f.label, f.key, f.dataType, f.formula])]
+    : [["none"]]),
+]);
+
+/**
+ * .xlsx bytes. The "Data" sheet holds `table` as typed cells with the fields' number formats, conditional styles,
+ * set column widths, an autofilter and frozen header row / pinned columns. Optional extra sheets: `summary` (the
+ * grouped table, see pipeline.workbookTables), `info` (see pipeline.reportInfo) and one per chart with the numbers it
+ * plots (`charts` with the rows and fields they read).
+ */
+export const tableToXLSX = (table, { summary = null, info = null, charts = [], chartRows = [], fields = [] } = {}) => {
+  const wb = XLSX.utils.book_new();
+  const styles = {};
+  const panes = {};
+  const addTable = (t, name, { autofilter = false } = {}) => {
+    const { ws, styled, pane } = tableSheet(t);
+    if (autofilter) ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: t.rows.length, c: Math.max(0, t.columns.length - 1) } }) };
+    styles[wb.SheetNames.length] = styled;
+    panes[wb.SheetNames.length] = pane;
+    XLSX.utils.book_append_sheet(wb, ws, name);
+  };
+  addTable(table, "Data", { autofilter: true });
+  if (summary) addTable(summary, "Summary");
+  if (info) XLSX.utils.book_append_sheet(wb, infoSheet(info), "Report Info");
+  // SheetJS cannot embed images, so each chart gets a sheet with the numbers it plots.
+  charts.forEach((c, i) => {
+    const { data, series } = chartData(chartRows, c, fields);
+    const xLabel = fields.find((f) => f.key === c.xField)?.label || c.xField;
+    const header = [xLabel, ...(series.length === 1 ? [measureLabel(c, fields)] : series)];
+    const sheet = XLSX.utils.aoa_to_sheet([[chartTitle(c, fields)], [], header, ...data.map((d) => [d.name, ...series.map((s) => d[s])])]);
+    XLSX.utils.book_append_sheet(wb, sheet, `Chart ${i + 1}`);
+  });
+  return freezePanes(styleCells(XLSX.write(wb, { bookType: "xlsx", type: "array" }), styles), panes);
+};
+
+/**
+ * Fills an uploaded .xlsx `template` with `table` at its named range `range` (see workbook.fillTemplate), with the
+ * header row first when `headers` is set. Returns { data, truncated }.
+ */
+export const tableToTemplate = (table, template, { range, headers = false }) => fillTemplate(template, range, [
+  ...(headers ? [table.columns.map((c) => ({ t: "s", v: headerOf(c) }))] : []),
+  ...tableCells(table),
+]);
+
+/************ PDF ************/
+const MARGIN = 14;
+const LOGO_BOX = { width: 40, height: 16 };
+const imageType = (dataUrl) => (/^data:image\/jpe?g/i.test(dataUrl) ? "JPEG" : "PNG");
+
+// Logo, title and subtitle, then the generation time and applied filters underneath; returns where the table starts.
+const drawHeader = (doc, { title, subtitle, logo, generatedAt, filters }) => {
+  const pageW = doc.internal.pageSize.getWidth();
+  let x = MARGIN;
+  let bottom = 12;
+  if (logo?.dataUrl && logo.width > 0 && logo.height > 0) {
+    const ratio = Math.min(LOGO_BOX.width / logo.width, LOGO_BOX.height / logo.height);
+    doc.addImage(logo.dataUrl, imageType(logo.dataUrl), MARGIN, 8, logo.width * ratio, logo.height * ratio);
+    x += logo.width * ratio + 4;
+    bottom = 8 + logo.height * ratio;
+  }
+  doc.setFont("helvetica", "bold").setFontSize(16).setTextColor(17, 24, 39);
+  doc.text(title || "Report", x, 14);
+  bottom = Math.max(bottom, 16);
+  if (subtitle) {
+    doc.setFont("helvetica", "normal").setFontSize(11).setTextColor(75, 85, 99);
+    doc.text(subtitle, x, 20);
+    bottom = Math.max(bottom, 22);
+  }
+  doc.setFont("helvetica", "normal").setFontSize(8).setTextColor(107, 114, 128);
+  const generated = `Generated ${formatDate(generatedAt, { pattern: "dd-MMM-yyyy HH:mm" })}`;
+  const lines = doc.splitTextToSize(`${generated}  ·  Filters: ${filters || "none"}`, pageW - 2 * MARGIN);
+  doc.text(lines, MARGIN, bottom + 5);
+  return bottom + 5 + lines.length * 3.5;
+};
+
+// Report title and "Page X of Y" on every page, written once the page count is known.
+const drawFooters = (doc, title) => {
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const count = doc.getNumberOfPages();
+  doc.setFont("helvetica", "normal").setFontSize(8).setTextColor(107, 114, 128);
+  for (let i = 1; i <= count; i++) {
+    doc.setPage(i);
+    doc.text(title || "Report", MARGIN, pageH - 8);
+    doc.text(`Page ${i} of ${count}`, pageW - MARGIN, pageH - 8, { align: "right" });
+  }
+};
+
+// The PDF totals cells: the label goes in the first column without a sum, or before the first sum when every column has one.
+const totalsLine = (columns, sums) => {
+  const cells = columns.map((c, i) => (sums[i] !== null ? formatValue(sums[i], c) : ""));
+  const at = sums.indexOf(null);
+  if (at >= 0) cells[at] = "Total";
+  else cells[0] = `Total ${cells[0]}`;
+  return cells;
+};
+
+/**
+ * PDF bytes: a header (optional `logo` { dataUrl, width, height }, title, subtitle, generation time, `filters` text),
+ * the table with its header row repeated on every page, summary rows shaded, conditional styles and, with `totals`,
+ * a totals line for the number columns; "Page X of Y" footers. `orientation` "auto" and the font size follow the
+ * column count (see layout.pdfPageLayout). `images` ({ title, dataUrl, width, height }, e.g. rendered charts) each
+ * get a page after the table.
+ */
+export const tableToPDF = ({ columns, rows, styles = [] }, {
+  title = "Report", subtitle = "", logo = null, generatedAt = new Date(), filters = "",
+  pageSize = "a4", orientation = "auto", totals = true, images = [],
+} = {}) => {
+  const page = pdfPageLayout(columns.length, orientation);
+  const doc = new jsPDF({ orientation: page.orientation, format: PDF_PAGE_SIZES[pageSize] ? pageSize : "a4" });
+  const startY = drawHeader(doc, { title, subtitle, logo, generatedAt, filters });
+  const sums = totals ? columnTotals({ columns, rows }) : null;
+  const foot = sums && [totalsLine(columns, sums)];
+  autoTable(doc, {
+    head: [columns.map(headerOf)],
+    body: rows.map((r) => columns.map((c) => cellText(r, c))),
+    foot: foot || undefined,
+    showHead: "everyPage",
+    showFoot: "lastPage",
+    startY,
+    margin: { top: MARGIN, bottom: 16, left: MARGIN, right: MARGIN },
+    styles: { fontSize: page.fontSize },
+    footStyles: { fillColor: [209, 213, 219], textColor: [17, 24, 39], fontStyle: "bold" },
+    columnStyles: pdfColumnStyles(columns, doc.internal.pageSize.getWidth() - 2 * MARGIN),
+    didParseCell: (data) => {
+      const row = data.section === "body" && rows[data.row.index];
+      if (row?.__type) {
+        data.cell.styles.fontStyle = "bold";
+        data.cell.styles.fillColor = row.__type === "total" ? [209, 213, 219] : [243, 244, 246];
+      }
+      const style = data.section === "body" && styles[data.row.index]?.[data.column.index];
+      if (style) {
+        if (style.color) data.cell.styles.textColor = hexToRgb(style.color);
+        if (style.fill) data.cell.styles.fillColor = hexToRgb(style.fill);
+        if (style.bold) data.cell.styles.fontStyle = "bold";
+      }
+    },
+  });
+  for (const img of images) {
+    doc.addPage();
+    doc.setFont("helvetica", "normal").setFontSize(12).setTextColor(17, 24, 39);
+    doc.text(img.title || "", MARGIN, 12);
+    const pageW = doc.internal.pageSize.getWidth() - 2 * MARGIN;
+    const pageH = doc.internal.pageSize.getHeight() - 2 * MARGIN - 6;
+    const ratio = Math.min(pageW / img.width, pageH / img.height);
+    doc.addImage(img.dataUrl, "PNG", MARGIN, 18, img.width * ratio, img.height * ratio);
+  }
+  drawFooters(doc, title);
+  return new Uint8Array(doc.output("arraybuffer"));
+};
@@ -0,0 +1,249 @@
+import { fmtDate } from "./dates.js";
+import { compileFormula, formulaDeps, formulaType, isReservedWord, migrateUserField, renameFieldRefs } from "./formula.js";
+
+/***********************************
+ * Field dependency graph
+ * - Calculated fields may reference raw and other calculated fields
+ * - Evaluation runs in topological order; cycles are rejected
+ * - User fields are versioned: each edit pushes the previous definition onto `history`
+ * - Definitions are validated before they are saved (validateField) and cleaned when read back (readStoredFields)
+ ***********************************/
+
+export const fieldDeps = (field) => (field?.kind === "calculated" ? formulaDeps(field.formula) : []);
+
+/**
+ * Orders fields so every calculated field comes after the fields it references.
+ * Returns { ordered, cycle } — cycle is the list of keys forming a loop (e.g. ["a", "b", "a"]) or null.
+ * References to unknown keys are ignored here; formula validation reports them.
+ */
+export const orderFields = (fields) => {
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+  const state = new Map(); // key -> "visiting" | "done"
+  const ordered = [];
+  const stack = [];
+  let cycle = null;
+
+  const visit = (key) => {
+    if (cycle) return;
+    const st = state.get(key);
+    if (st === "done") return;
+    if (st === "visiting") {
+      cycle = [...stack.slice(stack.indexOf(key)), key];
+      return;
+    }
+    state.set(key, "visiting");
+    stack.push(key);
+    for (const dep of fieldDeps(byKey.get(key))) if (byKey.has(dep)) visit(dep);
+    stack.pop();
+    state.set(key, "done");
+    if (!cycle) ordered.push(byKey.get(key));
+  };
+
+  for (const f of fields) visit(f.key);
+  return { ordered: cycle ? fields : ordered, cycle };
+};
+
+/** Fields that reference `key`, directly or through other calculated fields. */
+export const dependentsOf = (key, fields) => {
+  const found = new Set();
+  const queue = [key];
+  while (queue.length) {
+    const k = queue.shift();
+    for (const f of fields) {
+      if (!found.has(f.key) && f.key !== key && fieldDeps(f).includes(k)) {
+        found.add(f.key);
+        queue.push(f.key);
+      }
+    }
+  }
+  return fields.filter((f) => found.has(f.key));
+};
+
+/** `fields` with formula references to `from` rewritten to `to` (each rewritten field is a new object). */
+export const renameInFields = (fields, from, to) => (from === to ? fields : fields.map((f) => (
+  fieldDeps(f).includes(from) ? { ...f, formula: renameFieldRefs(f.formula, from, to) } : f
+)));
+
+/**
+ * Checks a calculated field definition against the other fields: unknown references and circular references.
+ * `replacingKey` is the key of the field being edited, so a renamed field is checked as its dependents will see it.
+ * Returns an Error or null.
+ */
+export const checkFieldFormula = (def, fields, replacingKey = def.key) => {
+  if (def.kind !== "calculated") return null;
+  const others = renameInFields(fields.filter((f) => f.key !== replacingKey && f.key !== def.key), replacingKey, def.key);
+  const { error } = compileFormula(def.formula, { fields: [...others.map((f) => f.key), def.key] });
+  if (error) return error;
+  const { cycle } = orderFields([...others, { ...def, key: def.key || "(new field)" }]);
+  return cycle ? new Error(`Circular reference: ${cycle.join(" → ")}`) : null;
+};
+
+/************ Validation ************/
+export const DATA_TYPES = ["string", "number", "date"];
+const FIELD_KINDS = ["raw", "calculated"];
+const DATA_TYPE_LABELS = { string: "String", number: "Number", date: "Date" };
+const RESULT_NAMES = { number: "a number", string: "text", date: "a date", boolean: "TRUE/FALSE" };
+const MAX_KEY_LENGTH = 40;
+
+/**
+ * What is wrong with `key` as a user field key, or null. Keys are plain identifiers, so formulas can use them
+ * without brackets and they cannot shadow row internals (__flags, __type) or Object.prototype members.
+ */
+export const keyProblem = (key) => {
+  if (!key) return "Key is required";
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) return "Use letters, digits and _ only, starting with a letter";
+  if (key.length > MAX_KEY_LENGTH) return `Use at most ${MAX_KEY_LENGTH} characters`;
+  if (isReservedWord(key)) return `${key.toUpperCase()} is a formula keyword`;
+  if (key in Object.prototype) return `${key} is reserved`;
+  return null;
+};
+
+/** Typed text for a raw value (a default or a value entered in the preview): { value } as a number or yyyy-mm-dd date, or { error }. */
+export const coerceValue = (value, dataType) => {
+  const text = String(value ?? "").trim();
+  if (!text) return { value: "" };
+  if (dataType === "number") {
+    const n = Number(text);
+    return Number.isFinite(n) ? { value: n } : { error: `"${text}" is not a number` };
+  }
+  if (dataType === "date") {
+    const d = /^\d{4}-\d{2}-\d{2}/.test(text) ? fmtDate(text) : "";
+    return d && d === text.slice(0, 10) ? { value: d } : { error: `"${text}" is not a date (use yyyy-mm-dd)` };
+  }
+  return { value: String(value) };
+};
+
+// A formula fits a data type when it produces that type; TRUE/FALSE results display as text.
+const fitsDataType = (type, dataType) => type === "any" || type === "null" || type === dataType || (type === "boolean" && dataType === "string");
+
+/**
+ * Checks a field definition against the other fields before it is saved: key pattern and uniqueness, a unique label,
+ * the formula (references, cycles, argument types) and whether its result matches the data type, and the raw default.
+ * Returns { errors, field } — errors maps form inputs (key, label, dataType, defaultValue, formula) to a message and is
+ * empty when the definition is valid; field is the definition with the label trimmed and the default coerced.
+ */
+export const validateField = (def, fields, replacingKey = def.key) => {
+  const errors = {};
+  const key = String(def.key ?? "");
+  const label = String(def.label ?? "").trim();
+  const others = fields.filter((f) => f.key !== replacingKey && f.key !== key);
+  const clash = fields.find((f) => f.key !== replacingKey && f.key.toLowerCase() === key.toLowerCase());
+  const problem = keyProblem(key) || (clash && `${clash.label || clash.key} already uses this key`);
+  if (problem) errors.key = problem;
+  if (!label) errors.label = "Label is required";
+  else if (others.some((f) => String(f.label ?? "").trim().toLowerCase() === label.toLowerCase())) errors.label = `Another field is labelled "${label}"`;
+  if (!DATA_TYPES.includes(def.dataType)) errors.dataType = "Choose String, Number or Date";
+
+  let defaultValue = def.defaultValue;
+  if (def.kind === "calculated") {
+    const error = checkFieldFormula(def, fields, replacingKey);
+    const typeOf = new Map(others.map((f) => [f.key, f.dataType]));
+    const { type, error: typeError } = error ? {} : formulaType(def.formula, (k) => typeOf.get(k));
+    if (error || typeError) errors.formula = (error || typeError).message;
+    else if (!errors.dataType && !fitsDataType(type, def.dataType)) {
+      errors.dataType = `The formula gives ${RESULT_NAMES[type]}; set Data Type to ${DATA_TYPE_LABELS[type === "boolean" ? "string" : type]}`;
+    }
+  } else {
+    const coerced = coerceValue(def.defaultValue, def.dataType);
+    if (coerced.error) errors.defaultValue = coerced.error;
+    else defaultValue = coerced.value;
+  }
+  return { errors, field: { ...def, key, label, defaultValue } };
+};
+
+/**
+ * Cleans user fields read from storage (or a report bundle) so one damaged entry cannot break the preview:
+ * entries without a key and repeated keys are dropped, unknown kinds and data types fall back to raw and string.
+ * Returns { fields, problems } — problems describe what was dropped or repaired.
+ */
+export const readStoredFields = (list) => {
+  if (!Array.isArray(list)) return { fields: [], problems: list == null ? [] : ["Saved fields were not a list and were ignored"] };
+  const problems = [];
+  const fields = [];
+  const seen = new Set();
+  list.forEach((entry, i) => {
+    const key = entry && typeof entry === "object" && !Array.isArray(entry) && typeof entry.key === "string" ? entry.key : "";
+    if (!key) return problems.push(`Entry ${i + 1} is not a field definition and was dropped`);
+    if (seen.has(key)) return problems.push(`${key} is saved twice; the second copy was dropped`);
+    seen.add(key);
+    const field = { ...migrateUserField(entry), source: "user" };
+    if (!FIELD_KINDS.includes(field.kind)) {
+      if (field.kind !== undefined) problems.push(`${key} has an unknown type "${field.kind}" and was reset to Raw`);
+      field.kind = "raw";
+    }
+    if (!DATA_TYPES.includes(field.dataType)) {
+      if (field.dataType !== undefined) problems.push(`${key} has an unknown data type "${field.dataType}" and was reset to String`);
+      field.dataType = "string";
+    }
+    if (typeof field.label !== "string") field.label = key;
+    if (field.kind === "calculated" && typeof field.formula !== "string") field.formula = "";
+    if (field.history !== undefined && !Array.isArray(field.history)) delete field.history;
+    fields.push(field);
+  });
+  return { fields, problems };
+};
+
+/************ Versions ************/
+export const FIELD_PROPS = ["key", "label", "kind", "dataType", "defaultValue", "formula"];
+const MAX_HISTORY = 50;
+
+const sameValue = (a, b) => (a ?? "") === (b ?? "");
+
+/** The editable part of a field, without its version bookkeeping. */
+export const fieldDefinition = (field) => Object.fromEntries(FIELD_PROPS.filter((p) => field[p] !== undefined).map((p) => [p, field[p]]));
+
+/** Every version of a field, oldest first; the last entry is the current definition. */
+export const fieldVersions = (field) => [
+  ...(field.history || []),
+  { ...fieldDefinition(field), version: field.version || 1, updatedAt: field.updatedAt, note: field.note },
+];
+
+/**
+ * Applies `changes` as a new version of `field`; the current definition moves into history (capped at 50 entries).
+ * Returns the field unchanged when nothing in its definition differs.
+ */
+export const reviseField = (field, changes, note = "") => {
+  const next = { ...fieldDefinition(field), ...changes };
+  if (next.kind !== "calculated") delete next.formula;
+  if (FIELD_PROPS.every((p) => sameValue(next[p], field[p]))) return field;
+  const [current] = fieldVersions(field).slice(-1);
+  return {
+    ...field,
+    ...next,
+    formula: next.formula,
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    note,
+    history: [...(field.history || []), current].slice(-MAX_HISTORY),
+  };
+};
+
+/** Property-level differences between two versions: [{ prop, before, after }]. */
+export const diffVersions = (a, b) => FIELD_PROPS
+  .filter((p) => !sameValue(a?.[p], b?.[p]))
+  .map((p) => ({ prop: p, before: a?.[p] ?? "", after: b?.[p] ?? "" }));
+
+/** Word-level diff of two strings as [{ type: "same" | "added" | "removed", text }]. */
+export const diffText = (before, after) => {
+  const a = String(before ?? "").split(/(\s+|[(),])/).filter(Boolean);
+  const b = String(after ?? "").split(/(\s+|[(),])/).filter(Boolean);
+  // Longest common subsequence table, filled from the end.
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+  }
+  const out = [];
+  const push = (type, text) => {
+    const last = out[out.length - 1];
+    if (last?.type === type) last.text += text;
+    else out.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) { push("same", a[i]); i++; j++; }
+    else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) push("removed", a[i++]);
+    else push("added", b[j++]);
+  }
+  return out;
+};
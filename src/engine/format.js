@@ -0,0 +1,173 @@
+/***********************************
+ * Display formatting per field
+ * - Format: { decimals, thousands, style: number | percent | currency, currency, pattern, timeZone, locale }
+ * - Calendar dates (yyyy-mm-dd, or a Date at UTC midnight) never shift with the timezone;
+ *   only values carrying a time of day are converted into `timeZone` ("" = the viewer's own)
+ * - The same settings produce the Excel number format, so XLSX cells stay typed
+ ***********************************/
+
+export const DATE_PATTERNS = ["yyyy-MM-dd", "dd-MMM-yyyy", "dd/MM/yyyy", "MM/dd/yyyy", "dd.MM.yyyy", "d MMM yyyy", "MMM d, yyyy", "EEE dd MMM yyyy", "yyyy-MM-dd HH:mm", "dd-MMM-yyyy HH:mm"];
+export const LOCALES = ["en-US", "en-GB", "en-IN", "de-DE", "fr-FR", "es-ES", "it-IT", "nl-NL", "pt-BR", "ja-JP", "zh-CN"];
+export const CURRENCIES = ["USD", "EUR", "GBP", "INR", "JPY", "CNY", "BDT", "AUD", "CAD"];
+
+export const DEFAULT_FORMAT = { decimals: "", thousands: false, style: "number", currency: "USD", pattern: "yyyy-MM-dd", timeZone: "", locale: "" };
+
+const AUTO_DECIMALS = 2;
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+/** Every IANA timezone the runtime knows, for pickers. */
+export const timeZones = () => (typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"]);
+
+const withDefaults = (format) => ({ ...DEFAULT_FORMAT, ...(format || {}) });
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+/************ Numbers ************/
+const numberOptions = (f) => {
+  const fixed = f.decimals !== "" && f.decimals !== null && f.decimals !== undefined;
+  const opts = {
+    minimumFractionDigits: fixed ? Number(f.decimals) : 0,
+    maximumFractionDigits: fixed ? Number(f.decimals) : AUTO_DECIMALS,
+    useGrouping: Boolean(f.thousands),
+  };
+  if (f.style === "percent") return { ...opts, style: "percent" };
+  if (f.style === "currency") return { ...opts, style: "currency", currency: f.currency || "USD", minimumFractionDigits: fixed ? Number(f.decimals) : 2, maximumFractionDigits: fixed ? Number(f.decimals) : 2 };
+  return opts;
+};
+
+const formatters = new Map();
+const numberFormatter = (f) => {
+  const id = JSON.stringify([f.locale, f.decimals, f.thousands, f.style, f.currency]);
+  if (!formatters.has(id)) formatters.set(id, new Intl.NumberFormat(f.locale || "en-US", numberOptions(f)));
+  return formatters.get(id);
+};
+
+export const formatNumber = (value, format) => {
+  if (isBlank(value)) return "";
+  const n = typeof value === "number" ? value : Number(value);
+  if (!Number.isFinite(n)) return String(value);
+  return numberFormatter(withDefaults(format)).format(n);
+};
+
+/************ Dates ************/
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Splits a date value into wall-clock parts { y, m, d, hh, mi, ss }.
+ * Calendar dates keep their own components; timestamps are read in `timeZone`.
+ */
+export const dateParts = (value, timeZone = "") => {
+  if (isBlank(value)) return null;
+  const m = typeof value === "string" && DATE_ONLY.exec(value.trim());
+  if (m) return { y: +m[1], m: +m[2], d: +m[3], hh: 0, mi: 0, ss: 0, dateOnly: true };
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (date.getTime() % MS_PER_DAY === 0) {
+    return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate(), hh: 0, mi: 0, ss: 0, dateOnly: true };
+  }
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || undefined, hourCycle: "h23",
+    year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+  }).formatToParts(date).map((p) => [p.type, p.value]));
+  return { y: +parts.year, m: +parts.month, d: +parts.day, hh: +parts.hour % 24, mi: +parts.minute, ss: +parts.second, dateOnly: false };
+};
+
+const TOKEN = /yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|mm|ss|'[^']*'|./g;
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+const nameOf = (p, locale, options) => new Intl.DateTimeFormat(locale || "en-US", { ...options, timeZone: "UTC" }).format(new Date(Date.UTC(p.y, p.m - 1, p.d)));
+
+/** Formats a date value with a pattern (yyyy, MMM, dd, EEE, HH, mm, ss; quote literals with '…'). */
+export const formatDate = (value, format) => {
+  const f = withDefaults(format);
+  const p = dateParts(value, f.timeZone);
+  if (!p) return isBlank(value) ? "" : String(value);
+  return f.pattern.replace(TOKEN, (t) => {
+    switch (t) {
+      case "yyyy": return String(p.y);
+      case "yy": return pad(p.y % 100);
+      case "MMMM": return nameOf(p, f.locale, { month: "long" });
+      case "MMM": return nameOf(p, f.locale, { month: "short" });
+      case "MM": return pad(p.m);
+      case "M": return String(p.m);
+      case "dd": return pad(p.d);
+      case "d": return String(p.d);
+      case "EEEE": return nameOf(p, f.locale, { weekday: "long" });
+      case "EEE": return nameOf(p, f.locale, { weekday: "short" });
+      case "HH": return pad(p.hh);
+      case "mm": return pad(p.mi);
+      case "ss": return pad(p.ss);
+      default: return t.startsWith("'") ? t.slice(1, -1) : t;
+    }
+  });
+};
+
+/** Display text for a value of `field` (uses field.dataType and field.format). */
+export const formatValue = (value, field) => {
+  if (isBlank(value)) return "";
+  if (field?.dataType === "number") return formatNumber(value, field.format);
+  if (field?.dataType === "date") return formatDate(value, field.format);
+  return value instanceof Date ? formatDate(value, field?.format) : String(value);
+};
+
+/** Short description of a format for lists, e.g. "2 dp · 1,234" or "dd-MMM-yyyy". */
+export const describeFormat = (field) => {
+  const f = withDefaults(field?.format);
+  if (field?.dataType === "date") return `${f.pattern}${f.timeZone ? ` · ${f.timeZone}` : ""}`;
+  if (field?.dataType !== "number") return "Text";
+  const parts = [f.style === "currency" ? f.currency : f.style === "percent" ? "%" : "Number", f.decimals === "" ? "auto dp" : `${f.decimals} dp`];
+  if (f.thousands) parts.push("1,234");
+  if (f.locale) parts.push(f.locale);
+  return parts.join(" · ");
+};
+
+/************ Excel ************/
+const EXCEL_DATE_TOKENS = { yyyy: "yyyy", yy: "yy", MMMM: "mmmm", MMM: "mmm", MM: "mm", M: "m", dd: "dd", d: "d", EEEE: "dddd", EEE: "ddd", HH: "hh", mm: "mm", ss: "ss" };
+
+// Digits after the point that `n` shows once rounded to `max` places ("auto" decimals vary per value).
+const shownDecimals = (n, max) => {
+  const s = Number(n.toFixed(max)).toString();
+  return s.includes("e") ? max : (s.split(".")[1] || "").length;
+};
+
+/**
+ * Excel number format (cell `z`) matching the field's display format.
+ * With automatic decimals, pass the cell value so the format shows the same digits as the preview.
+ */
+export const excelFormat = (field, value) => {
+  const f = withDefaults(field?.format);
+  if (field?.dataType === "date") {
+    return f.pattern.replace(TOKEN, (t) => EXCEL_DATE_TOKENS[t] ?? (t.startsWith("'") ? `"${t.slice(1, -1)}"` : /[\s\-/.,:]/.test(t) ? t : `\\${t}`));
+  }
+  if (field?.dataType !== "number") return "@";
+  const { minimumFractionDigits: min, maximumFractionDigits: max, useGrouping } = numberOptions(f);
+  const places = min === max || typeof value !== "number" ? min : Math.max(min, shownDecimals(value * (f.style === "percent" ? 100 : 1), max));
+  const digits = `${useGrouping ? "#,##0" : "0"}${places ? `.${"0".repeat(places)}` : ""}`;
+  if (f.style === "percent") return `${digits}%`;
+  if (f.style === "currency") {
+    const parts = numberFormatter(f).formatToParts(1);
+    const symbol = parts.find((p) => p.type === "currency")?.value || f.currency;
+    const before = parts.findIndex((p) => p.type === "currency") < parts.findIndex((p) => p.type === "integer");
+    return before ? `"${symbol}"${digits}` : `${digits}" ${symbol}"`;
+  }
+  return digits;
+};
+
+/**
+ * A typed SheetJS cell for a value: numbers stay numbers, dates become Excel serials
+ * (wall-clock time in the field's timezone) and both carry the field's number format.
+ */
+export const excelCell = (value, field) => {
+  if (isBlank(value)) return { t: "s", v: "" };
+  if (field?.dataType === "number") {
+    const n = typeof value === "number" ? value : Number(value);
+    return Number.isFinite(n) ? { t: "n", v: n, z: excelFormat(field, n) } : { t: "s", v: String(value) };
+  }
+  if (field?.dataType === "date") {
+    const p = dateParts(value, withDefaults(field.format).timeZone);
+    if (!p) return { t: "s", v: String(value) };
+    const serial = (Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mi, p.ss) - EXCEL_EPOCH) / MS_PER_DAY;
+    return { t: "n", v: serial, z: excelFormat(field) };
+  }
+  return { t: "s", v: String(value) };
+};
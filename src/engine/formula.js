@@ -0,0 +1,594 @@
+import { toDate, fmtDate, dateDiff } from "./dates.js";
+import { DEFAULT_CALENDAR, MAX_WORKING_DAYS, addWorkingDays, isWorkingDay, isoWeek, quarterOf, workingDaysBetween } from "./calendar.js";
+
+/***********************************
+ * Formula language for calculated fields
+ * - Literals: 12.5, "text", TRUE/FALSE, NULL; fields by key (leadTimeDays) or [any key]
+ * - Operators (low → high): OR, AND, NOT, comparisons (= != <> < <= > >=), & (concat), + -, * / %, unary -
+ * - Functions: see FUNCTIONS below (IF and CASE only evaluate the branch they pick)
+ * - Evaluation env: { calendars, warn } — working-day functions use calendars[0] unless given a calendar name,
+ *   and problems worth showing (a to-date before its from-date) are reported through warn(message) as well as yielding null
+ ***********************************/
+
+export class FormulaError extends Error {
+  constructor(message, pos) {
+    super(pos == null ? message : `${message} (at ${pos + 1})`);
+    this.name = "FormulaError";
+    this.pos = pos;
+  }
+}
+
+/************ Tokenizer ************/
+const OPERATORS = ["<=", ">=", "<>", "!=", "==", "&&", "||", "+", "-", "*", "/", "%", "&", "=", "<", ">", "!"];
+const KEYWORDS = ["AND", "OR", "NOT", "TRUE", "FALSE", "NULL"];
+
+const tokenize = (src) => {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+    if (/[0-9.]/.test(ch)) {
+      const m = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+      if (!m) throw new FormulaError(`Unexpected "${ch}"`, i);
+      tokens.push({ type: "num", value: Number(m[0]), pos: start });
+      i += m[0].length;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let out = "";
+      i++;
+      while (i < src.length && src[i] !== ch) {
+        if (src[i] === "\\" && i + 1 < src.length) { out += src[i + 1]; i += 2; continue; }
+        out += src[i++];
+      }
+      if (i >= src.length) throw new FormulaError("Unterminated string", start);
+      i++;
+      tokens.push({ type: "str", value: out, pos: start });
+      continue;
+    }
+    if (ch === "[") {
+      const end = src.indexOf("]", i);
+      if (end < 0) throw new FormulaError("Missing ] after field name", start);
+      const key = src.slice(i + 1, end).trim();
+      if (!key) throw new FormulaError("Empty field name", start);
+      tokens.push({ type: "field", value: key, pos: start });
+      i = end + 1;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+      const word = m[0];
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.includes(upper) ? { type: "kw", value: upper, pos: start } : { type: "ident", value: word, pos: start });
+      i += word.length;
+      continue;
+    }
+    if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: ch, pos: start });
+      i++;
+      continue;
+    }
+    const op = OPERATORS.find((o) => src.startsWith(o, i));
+    if (!op) throw new FormulaError(`Unexpected "${ch}"`, i);
+    tokens.push({ type: "op", value: op, pos: start });
+    i += op.length;
+  }
+  tokens.push({ type: "eof", pos: src.length });
+  return tokens;
+};
+
+/************ Parser ************/
+const COMPARISON = { "=": "=", "==": "=", "!=": "!=", "<>": "!=", "<": "<", "<=": "<=", ">": ">", ">=": ">=" };
+
+const parse = (src) => {
+  const tokens = tokenize(src);
+  let p = 0;
+  const peek = () => tokens[p];
+  const next = () => tokens[p++];
+  const isOp = (...ops) => peek().type === "op" && ops.includes(peek().value);
+  const isKw = (kw) => peek().type === "kw" && peek().value === kw;
+  const expect = (type, what) => {
+    const t = peek();
+    if (t.type !== type) throw new FormulaError(`Expected ${what}`, t.pos);
+    return next();
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isKw("OR") || isOp("||")) {
+      const { pos } = next();
+      left = { type: "logical", op: "OR", left, right: parseAnd(), pos };
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isKw("AND") || isOp("&&")) {
+      const { pos } = next();
+      left = { type: "logical", op: "AND", left, right: parseNot(), pos };
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (isKw("NOT") || isOp("!")) {
+      const { pos } = next();
+      return { type: "unary", op: "NOT", arg: parseNot(), pos };
+    }
+    return parseComparison();
+  };
+  const parseComparison = () => {
+    let left = parseConcat();
+    while (peek().type === "op" && COMPARISON[peek().value]) {
+      const { value, pos } = next();
+      left = { type: "binary", op: COMPARISON[value], left, right: parseConcat(), pos };
+    }
+    return left;
+  };
+  const parseConcat = () => {
+    let left = parseAdditive();
+    while (isOp("&")) {
+      const { pos } = next();
+      left = { type: "binary", op: "&", left, right: parseAdditive(), pos };
+    }
+    return left;
+  };
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (isOp("+", "-")) {
+      const { value, pos } = next();
+      left = { type: "binary", op: value, left, right: parseMultiplicative(), pos };
+    }
+    return left;
+  };
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    while (isOp("*", "/", "%")) {
+      const { value, pos } = next();
+      left = { type: "binary", op: value, left, right: parseUnary(), pos };
+    }
+    return left;
+  };
+  const parseUnary = () => {
+    if (isOp("-", "+")) {
+      const { value, pos } = next();
+      return { type: "unary", op: value, arg: parseUnary(), pos };
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const t = next();
+    switch (t.type) {
+      case "num": return { type: "literal", value: t.value, pos: t.pos };
+      case "str": return { type: "literal", value: t.value, pos: t.pos };
+      case "field": return { type: "field", key: t.value, pos: t.pos };
+      case "kw":
+        if (t.value === "TRUE" || t.value === "FALSE") return { type: "literal", value: t.value === "TRUE", pos: t.pos };
+        if (t.value === "NULL") return { type: "literal", value: null, pos: t.pos };
+        throw new FormulaError(`Unexpected ${t.value}`, t.pos);
+      case "ident": {
+        if (peek().type !== "(") return { type: "field", key: t.value, pos: t.pos };
+        next();
+        const args = [];
+        if (peek().type !== ")") {
+          args.push(parseOr());
+          while (peek().type === ",") { next(); args.push(parseOr()); }
+        }
+        expect(")", `")" to close ${t.value.toUpperCase()}(`);
+        return { type: "call", name: t.value.toUpperCase(), args, pos: t.pos };
+      }
+      case "(": {
+        const inner = parseOr();
+        expect(")", '")"');
+        return inner;
+      }
+      case "eof": throw new FormulaError("Unexpected end of formula", t.pos);
+      default: throw new FormulaError(`Unexpected "${t.value ?? t.type}"`, t.pos);
+    }
+  };
+
+  if (peek().type === "eof") throw new FormulaError("Formula is empty", 0);
+  const ast = parseOr();
+  if (peek().type !== "eof") throw new FormulaError("Unexpected input after end of expression", peek().pos);
+  return ast;
+};
+
+/************ Value helpers ************/
+const isBlank = (v) => v === null || v === undefined || v === "";
+const toNum = (v) => {
+  if (isBlank(v)) return null;
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === "boolean") return v ? 1 : 0;
+  const n = Number(v);
+  return Number.isNaN(n) ? null : n;
+};
+const toStr = (v) => (isBlank(v) ? "" : v instanceof Date ? fmtDate(v) : String(v));
+const toBool = (v) => !isBlank(v) && v !== false && v !== 0 && v !== "0" && !(typeof v === "string" && v.toUpperCase() === "FALSE");
+const asDate = (v) => {
+  if (isBlank(v)) return null;
+  const d = toDate(v);
+  return d && !isNaN(d.getTime()) ? d : null;
+};
+const addUTCDays = (d, n) => { const x = new Date(d); x.setUTCDate(x.getUTCDate() + n); return x; };
+
+const compare = (a, b) => {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b) ? 0 : isBlank(a) ? -1 : 1;
+  const na = toNum(a);
+  const nb = toNum(b);
+  if (na !== null && nb !== null) return na - nb;
+  const sa = toStr(a);
+  const sb = toStr(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+};
+
+// Date differences run forward; a reversed pair is flagged rather than turned into a negative count.
+const wrongOrder = (env, from, to) => {
+  env.warn(`To-date ${fmtDate(to)} is before from-date ${fmtDate(from)}`);
+  return null;
+};
+
+const calendarFor = (env, name) => {
+  if (isBlank(name)) return env.calendars[0] || DEFAULT_CALENDAR;
+  const wanted = toStr(name).trim().toLowerCase();
+  const cal = env.calendars.find((c) => c.name.toLowerCase() === wanted || c.id === wanted);
+  if (!cal) env.warn(`Unknown calendar "${toStr(name)}"`);
+  return cal || null;
+};
+
+/************ Functions ************/
+// Each entry: [minArgs, maxArgs (Infinity for variadic), impl]. Lazy impls receive thunks instead of values;
+// `env` impls receive the evaluation env first.
+const numFn = (fn) => (...args) => {
+  const nums = args.map(toNum);
+  return nums.some((n) => n === null) ? null : fn(...nums);
+};
+const strFn = (fn) => (s, ...rest) => fn(toStr(s), ...rest);
+
+// Rounds through the decimal exponent (1.005 → "1.005e2") so binary error in x * 10^d cannot drop a half;
+// halves round away from zero like spreadsheet ROUND, and negative `d` rounds to tens, hundreds…
+const shiftExp = (x, e) => {
+  const [mantissa, exp = "0"] = String(x).split("e");
+  return Number(`${mantissa}e${Number(exp) + e}`);
+};
+const roundTo = (x, d = 0) => {
+  const places = Math.trunc(d);
+  return Math.sign(x) * shiftExp(Math.round(shiftExp(Math.abs(x), places)), -places) + 0; // + 0 turns -0 into 0
+};
+
+export const FUNCTIONS = {
+  // Logic
+  IF: { min: 2, max: 3, lazy: true, fn: (c, a, b) => (toBool(c()) ? a() : b ? b() : null) },
+  CASE: {
+    min: 2, max: Infinity, lazy: true,
+    fn: (...args) => {
+      for (let i = 0; i + 1 < args.length; i += 2) if (toBool(args[i]())) return args[i + 1]();
+      return args.length % 2 === 1 ? args[args.length - 1]() : null;
+    },
+  },
+  AND: { min: 1, max: Infinity, fn: (...a) => a.every(toBool) },
+  OR: { min: 1, max: Infinity, fn: (...a) => a.some(toBool) },
+  NOT: { min: 1, max: 1, fn: (a) => !toBool(a) },
+  ISBLANK: { min: 1, max: 1, fn: isBlank },
+  COALESCE: { min: 1, max: Infinity, fn: (...a) => a.find((v) => !isBlank(v)) ?? null },
+  // Math
+  ROUND: { min: 1, max: 2, fn: numFn(roundTo) },
+  FLOOR: { min: 1, max: 1, fn: numFn(Math.floor) },
+  CEIL: { min: 1, max: 1, fn: numFn(Math.ceil) },
+  ABS: { min: 1, max: 1, fn: numFn(Math.abs) },
+  MIN: { min: 1, max: Infinity, fn: numFn(Math.min) },
+  MAX: { min: 1, max: Infinity, fn: numFn(Math.max) },
+  NUMBER: { min: 1, max: 1, fn: toNum },
+  // Text
+  TEXT: { min: 1, max: 1, fn: toStr },
+  CONCAT: { min: 1, max: Infinity, fn: (...a) => a.map(toStr).join("") },
+  UPPER: { min: 1, max: 1, fn: strFn((s) => s.toUpperCase()) },
+  LOWER: { min: 1, max: 1, fn: strFn((s) => s.toLowerCase()) },
+  TRIM: { min: 1, max: 1, fn: strFn((s) => s.trim()) },
+  LEN: { min: 1, max: 1, fn: strFn((s) => s.length) },
+  LEFT: { min: 2, max: 2, fn: strFn((s, n) => s.slice(0, Math.max(0, toNum(n) ?? 0))) },
+  RIGHT: { min: 2, max: 2, fn: strFn((s, n) => { const k = Math.max(0, toNum(n) ?? 0); return k ? s.slice(-k) : ""; }) },
+  MID: { min: 3, max: 3, fn: strFn((s, start, len) => s.substr(Math.max(0, (toNum(start) ?? 1) - 1), Math.max(0, toNum(len) ?? 0))) },
+  REPLACE: { min: 3, max: 3, fn: strFn((s, find, repl) => (toStr(find) ? s.split(toStr(find)).join(toStr(repl)) : s)) },
+  CONTAINS: { min: 2, max: 2, fn: strFn((s, sub) => s.toLowerCase().includes(toStr(sub).toLowerCase())) },
+  // Dates (returned as yyyy-mm-dd strings, like the raw date columns)
+  TODAY: { min: 0, max: 0, fn: () => fmtDate(new Date()) },
+  DATE: {
+    min: 1, max: 3,
+    fn: (...a) => {
+      if (a.length === 1) return fmtDate(asDate(a[0]));
+      const [y, m, d] = a.map(toNum);
+      if ([y, m, d].some((n) => n === null)) return null;
+      return fmtDate(new Date(Date.UTC(y, m - 1, d)));
+    },
+  },
+  DATEDIFF: {
+    min: 3, max: 3, env: true,
+    fn: (env, unit, from, to) => {
+      const [a, b] = [asDate(from), asDate(to)];
+      return a && b && b < a ? wrongOrder(env, a, b) : dateDiff(a, b, toStr(unit).toLowerCase() === "hours" ? "hours" : "days");
+    },
+  },
+  ADDDAYS: { min: 2, max: 2, fn: (d, n) => { const x = asDate(d); const k = toNum(n); return x && k !== null ? fmtDate(addUTCDays(x, k)) : null; } },
+  YEAR: { min: 1, max: 1, fn: (d) => asDate(d)?.getUTCFullYear() ?? null },
+  QUARTER: { min: 1, max: 1, fn: (d) => { const x = asDate(d); return x ? quarterOf(x) : null; } },
+  MONTH: { min: 1, max: 1, fn: (d) => { const x = asDate(d); return x ? x.getUTCMonth() + 1 : null; } },
+  WEEKNUM: { min: 1, max: 1, fn: (d) => { const x = asDate(d); return x ? isoWeek(x) : null; } },
+  DAY: { min: 1, max: 1, fn: (d) => asDate(d)?.getUTCDate() ?? null },
+  // Working days (optional last argument: calendar name, default calendar otherwise)
+  WORKDAYS: {
+    min: 2, max: 3, env: true,
+    fn: (env, from, to, calendar) => {
+      const [a, b, cal] = [asDate(from), asDate(to), calendarFor(env, calendar)];
+      if (!a || !b || !cal) return null;
+      return b < a ? wrongOrder(env, a, b) : workingDaysBetween(a, b, cal);
+    },
+  },
+  ADDWORKDAYS: {
+    min: 2, max: 3, env: true,
+    fn: (env, d, n, calendar) => {
+      const [x, k, cal] = [asDate(d), toNum(n), calendarFor(env, calendar)];
+      if (!x || k === null || !cal) return null;
+      if (Math.abs(k) > MAX_WORKING_DAYS) {
+        env.warn(`ADDWORKDAYS takes at most ±${MAX_WORKING_DAYS} working days, got ${k}`);
+        return null;
+      }
+      return fmtDate(addWorkingDays(x, k, cal));
+    },
+  },
+  ISWORKDAY: {
+    min: 1, max: 2, env: true,
+    fn: (env, d, calendar) => { const [x, cal] = [asDate(d), calendarFor(env, calendar)]; return x && cal ? isWorkingDay(x, cal) : null; },
+  },
+};
+
+/************ Validation ************/
+const walk = (node, visit) => {
+  visit(node);
+  if (node.type === "binary" || node.type === "logical") { walk(node.left, visit); walk(node.right, visit); }
+  else if (node.type === "unary") walk(node.arg, visit);
+  else if (node.type === "call") node.args.forEach((a) => walk(a, visit));
+};
+
+const validate = (ast, fieldKeys) => {
+  walk(ast, (node) => {
+    if (node.type === "call") {
+      const def = FUNCTIONS[node.name];
+      if (!def) throw new FormulaError(`Unknown function ${node.name}`, node.pos);
+      const n = node.args.length;
+      if (n < def.min || n > def.max) {
+        const expected = def.min === def.max ? def.min : def.max === Infinity ? `at least ${def.min}` : `${def.min}-${def.max}`;
+        throw new FormulaError(`${node.name} expects ${expected} argument${def.max === 1 ? "" : "s"}, got ${n}`, node.pos);
+      }
+    } else if (node.type === "field" && fieldKeys && !fieldKeys.includes(node.key)) {
+      throw new FormulaError(`Unknown field "${node.key}"`, node.pos);
+    }
+  });
+};
+
+// Least recently used first: the formula editor compiles on every keystroke, so old partial sources get evicted.
+const PARSE_CACHE_SIZE = 500;
+const parseCache = new Map();
+const parseCached = (src) => {
+  let entry = parseCache.get(src);
+  if (entry) {
+    parseCache.delete(src);
+  } else {
+    try { entry = { ast: parse(src), error: null }; } catch (e) { entry = { ast: null, error: e }; }
+    if (parseCache.size >= PARSE_CACHE_SIZE) parseCache.delete(parseCache.keys().next().value);
+  }
+  parseCache.set(src, entry);
+  return entry;
+};
+
+/**
+ * Parses and checks a formula. Pass `fields` (array of field keys) to also reject unknown field references.
+ * Returns { ast, error } — error is a FormulaError (with .pos) or null.
+ */
+export const compileFormula = (src, { fields } = {}) => {
+  const { ast, error } = parseCached(String(src ?? ""));
+  if (error) return { ast: null, error };
+  try {
+    validate(ast, fields);
+  } catch (e) {
+    return { ast: null, error: e };
+  }
+  return { ast, error: null };
+};
+
+/** Field keys referenced by a formula (empty when it does not parse). */
+export const formulaDeps = (src) => {
+  const { ast } = compileFormula(src);
+  if (!ast) return [];
+  const keys = new Set();
+  walk(ast, (node) => { if (node.type === "field") keys.add(node.key); });
+  return [...keys];
+};
+
+/** Rewrites references to field `from` so they point at `to`; strings and function names are left alone. */
+export const renameFieldRefs = (src, from, to) => {
+  const { ast } = compileFormula(src);
+  if (!ast || from === to) return src;
+  const spans = [];
+  walk(ast, (node) => {
+    if (node.type !== "field" || node.key !== from) return;
+    const end = src[node.pos] === "[" ? src.indexOf("]", node.pos) + 1 : node.pos + from.length;
+    spans.push([node.pos, end]);
+  });
+  return spans.sort((a, b) => b[0] - a[0]).reduce((out, [start, end]) => out.slice(0, start) + fieldRef(to) + out.slice(end), src);
+};
+
+/************ Type checking ************/
+// Static result types: "number", "string", "date", "boolean", "null" (the NULL literal) or "any" when it depends on the row.
+const FN_RESULT = {
+  number: ["ROUND", "FLOOR", "CEIL", "ABS", "MIN", "MAX", "NUMBER", "LEN", "DATEDIFF", "YEAR", "QUARTER", "MONTH", "WEEKNUM", "DAY", "WORKDAYS"],
+  string: ["TEXT", "CONCAT", "UPPER", "LOWER", "TRIM", "LEFT", "RIGHT", "MID", "REPLACE"],
+  date: ["TODAY", "DATE", "ADDDAYS", "ADDWORKDAYS"],
+  boolean: ["AND", "OR", "NOT", "ISBLANK", "CONTAINS", "ISWORKDAY"],
+};
+const RESULT_TYPE = Object.fromEntries(Object.entries(FN_RESULT).flatMap(([type, names]) => names.map((n) => [n, type])));
+// Argument positions that must hold a date or a number; conversions (DATE, NUMBER, TEXT) accept anything.
+const DATE_ARGS = { DATEDIFF: [1, 2], ADDDAYS: [0], YEAR: [0], QUARTER: [0], MONTH: [0], WEEKNUM: [0], DAY: [0], WORKDAYS: [0, 1], ADDWORKDAYS: [0], ISWORKDAY: [0] };
+const NUMBER_ARGS = { ROUND: [0, 1], FLOOR: [0], CEIL: [0], ABS: [0], MIN: "all", MAX: "all", ADDDAYS: [1], ADDWORKDAYS: [1], LEFT: [1], RIGHT: [1], MID: [1, 2] };
+const TYPE_NAMES = { number: "a number", string: "text", date: "a date", boolean: "TRUE/FALSE" };
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+// Branches that may yield different types (IF, CASE, COALESCE) give "any"; NULL branches do not count.
+const unify = (types) => {
+  const known = [...new Set(types.filter((t) => t !== "null"))];
+  return known.length === 0 ? "null" : known.length === 1 ? known[0] : "any";
+};
+
+const describeNode = (node) => (node.type === "field" ? node.key : node.type === "call" ? `${node.name}(…)` : node.type === "literal" ? JSON.stringify(node.value) : "the expression");
+
+const typeOfNode = (node, typeOf) => {
+  const expect = (arg, wanted, where, hint) => {
+    const t = typeOfNode(arg, typeOf);
+    const ok = t === wanted || t === "any" || t === "null"
+      || (wanted === "number" && t === "boolean")
+      || (wanted === "date" && arg.type === "literal" && ISO_DATE.test(String(arg.value)));
+    if (!ok) throw new FormulaError(`${where} needs ${TYPE_NAMES[wanted]}, but ${describeNode(arg)} is ${TYPE_NAMES[t]}${hint ? ` (${hint})` : ""}`, arg.pos);
+  };
+  switch (node.type) {
+    case "literal":
+      return node.value === null ? "null" : typeof node.value === "number" ? "number" : typeof node.value === "boolean" ? "boolean" : "string";
+    case "field": return typeOf(node.key) || "any";
+    case "unary":
+      if (node.op === "NOT") { typeOfNode(node.arg, typeOf); return "boolean"; }
+      expect(node.arg, "number", `Unary ${node.op}`, "use NUMBER() to convert text");
+      return "number";
+    case "logical":
+      typeOfNode(node.left, typeOf);
+      typeOfNode(node.right, typeOf);
+      return "boolean";
+    case "binary":
+      if (node.op === "&") { typeOfNode(node.left, typeOf); typeOfNode(node.right, typeOf); return "string"; }
+      if (COMPARISON[node.op]) { typeOfNode(node.left, typeOf); typeOfNode(node.right, typeOf); return "boolean"; }
+      for (const arg of [node.left, node.right]) {
+        const hint = typeOfNode(arg, typeOf) === "date" ? "use ADDDAYS or DATEDIFF for date arithmetic" : "use NUMBER() to convert text";
+        expect(arg, "number", `"${node.op}"`, hint);
+      }
+      return "number";
+    case "call": {
+      const types = node.args.map((a) => typeOfNode(a, typeOf));
+      const dateArgs = DATE_ARGS[node.name] || [];
+      const numberArgs = NUMBER_ARGS[node.name] === "all" ? node.args.map((_, i) => i) : NUMBER_ARGS[node.name] || [];
+      dateArgs.filter((i) => i < node.args.length).forEach((i) => expect(node.args[i], "date", node.name, "use DATE() to convert text"));
+      numberArgs.filter((i) => i < node.args.length).forEach((i) => expect(node.args[i], "number", node.name, "use NUMBER() to convert text"));
+      if (node.name === "IF") return unify(types.slice(1));
+      if (node.name === "CASE") return unify(types.filter((_, i) => i % 2 === 1 || i === types.length - 1));
+      if (node.name === "COALESCE") return unify(types);
+      return RESULT_TYPE[node.name] || "any";
+    }
+    default: return "any";
+  }
+};
+
+/**
+ * Infers the type a formula produces and rejects arguments of the wrong type (dates in arithmetic, text where a date is needed).
+ * `typeOf(key)` gives a field's data type. Returns { type, error } — type is "any" when it depends on the row.
+ */
+export const formulaType = (src, typeOf = () => "any") => {
+  const { ast, error } = compileFormula(src);
+  if (error) return { type: null, error };
+  try {
+    return { type: typeOfNode(ast, typeOf), error: null };
+  } catch (e) {
+    return { type: null, error: e };
+  }
+};
+
+/** True for words the formula language reserves (TRUE, AND, NULL…), which cannot be used bare as field names. */
+export const isReservedWord = (word) => KEYWORDS.includes(String(word).toUpperCase());
+
+/************ Evaluation ************/
+const DEFAULT_ENV = { calendars: [DEFAULT_CALENDAR], warn: () => {} };
+
+const evalNode = (node, row, env) => {
+  switch (node.type) {
+    case "literal": return node.value;
+    // Own properties only, so keys like "constructor" or "__proto__" never reach Object.prototype.
+    case "field": return Object.hasOwn(row, node.key) ? row[node.key] ?? null : null;
+    case "unary": {
+      const v = evalNode(node.arg, row, env);
+      if (node.op === "NOT") return !toBool(v);
+      const n = toNum(v);
+      if (n === null) return null;
+      return node.op === "-" ? -n : n;
+    }
+    case "logical": {
+      const l = toBool(evalNode(node.left, row, env));
+      if (node.op === "AND") return l && toBool(evalNode(node.right, row, env));
+      return l || toBool(evalNode(node.right, row, env));
+    }
+    case "binary": {
+      const l = evalNode(node.left, row, env);
+      const r = evalNode(node.right, row, env);
+      switch (node.op) {
+        case "&": return toStr(l) + toStr(r);
+        case "=": return compare(l, r) === 0;
+        case "!=": return compare(l, r) !== 0;
+        case "<": return !isBlank(l) && !isBlank(r) && compare(l, r) < 0;
+        case "<=": return !isBlank(l) && !isBlank(r) && compare(l, r) <= 0;
+        case ">": return !isBlank(l) && !isBlank(r) && compare(l, r) > 0;
+        case ">=": return !isBlank(l) && !isBlank(r) && compare(l, r) >= 0;
+        default: {
+          const a = toNum(l);
+          const b = toNum(r);
+          if (a === null || b === null) return null;
+          if (node.op === "+") return a + b;
+          if (node.op === "-") return a - b;
+          if (node.op === "*") return a * b;
+          if (b === 0) return null;
+          return node.op === "/" ? a / b : a % b;
+        }
+      }
+    }
+    case "call": {
+      const def = FUNCTIONS[node.name];
+      if (def.lazy) return def.fn(...node.args.map((a) => () => evalNode(a, row, env)));
+      const args = node.args.map((a) => evalNode(a, row, env));
+      return def.env ? def.fn(env, ...args) : def.fn(...args);
+    }
+    default: return null;
+  }
+};
+
+/**
+ * Evaluates a formula source against a row. Invalid formulas and runtime failures yield null.
+ * `env` ({ calendars, warn }) supplies the business calendars and hears about flagged values.
+ */
+export const evaluateFormula = (src, row, env = {}) => {
+  const { ast } = compileFormula(src);
+  if (!ast) return null;
+  try {
+    const v = evalNode(ast, row, { ...DEFAULT_ENV, ...env });
+    return typeof v === "number" && !Number.isFinite(v) ? null : v;
+  } catch {
+    return null;
+  }
+};
+
+/************ Legacy calc migration ************/
+// Fields saved before the formula language stored a structured `calc` object; this turns it into source text.
+const quote = (s) => JSON.stringify(String(s ?? ""));
+const fieldRef = (key) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key || "") && !KEYWORDS.includes(key.toUpperCase()) ? key : `[${key || "?"}]`);
+
+export const calcToFormula = (calc = {}) => {
+  if (calc.op === "DATE_DIFF") return `DATEDIFF(${quote(calc.unit || "days")}, ${fieldRef(calc.fromField)}, ${fieldRef(calc.toField)})`;
+  if (calc.op === "ARITH") {
+    const operand = (n) => (n?.type === "field" ? fieldRef(n.value) : String(Number(n?.value || 0)));
+    return `${operand(calc.left)} ${calc.operator || "+"} ${operand(calc.right)}`;
+  }
+  if (calc.op === "CONCAT") {
+    const parts = (calc.parts || []).map((p) => (p.type === "field" ? fieldRef(p.value) : quote(p.value)));
+    return parts.length ? `CONCAT(${parts.join(", ")})` : '""';
+  }
+  return "NULL";
+};
+
+export const migrateUserField = (field) => {
+  if (field?.kind !== "calculated" || typeof field.formula === "string") return field;
+  const { calc, ...rest } = field;
+  return { ...rest, formula: calcToFormula(calc) };
+};
@@ -0,0 +1,110 @@
+/***********************************
+ * Group-by and aggregation (pivot) mode
+ * - Config: { enabled, groupBy: [fieldKey], aggregates: [{ id, field, fn }], subtotals }
+ * - Output is a flat table: one row per leaf group, optional subtotal rows per level, and a grand total.
+ *   Summary rows carry `__type` ("subtotal" | "total") and `__level` so renderers can style them.
+ ***********************************/
+
+export const AGG_FNS = [
+  { fn: "count", label: "Count" },
+  { fn: "sum", label: "Sum", numeric: true },
+  { fn: "avg", label: "Avg", numeric: true },
+  { fn: "min", label: "Min" },
+  { fn: "max", label: "Max" },
+  { fn: "distinct", label: "Distinct Count" },
+];
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+const toNum = (v) => (isBlank(v) || Number.isNaN(Number(v)) ? null : Number(v));
+
+export const aggregate = (fn, values, dataType) => {
+  const present = values.filter((v) => !isBlank(v));
+  switch (fn) {
+    case "count": return present.length;
+    case "distinct": return new Set(present.map(String)).size;
+    case "sum":
+    case "avg": {
+      const nums = present.map(toNum).filter((n) => n !== null);
+      if (!nums.length) return null;
+      const sum = nums.reduce((a, b) => a + b, 0);
+      return fn === "sum" ? sum : sum / nums.length;
+    }
+    case "min":
+    case "max": {
+      if (!present.length) return null;
+      const cmp = dataType === "number" ? (a, b) => toNum(a) - toNum(b) : (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+      const sorted = [...present].sort(cmp);
+      return fn === "min" ? sorted[0] : sorted[sorted.length - 1];
+    }
+    default: return null;
+  }
+};
+
+export const aggregateKey = (a) => `__agg_${a.id}`;
+
+const aggDataType = (a, field) => {
+  if (a.fn === "count" || a.fn === "distinct" || a.fn === "sum" || a.fn === "avg") return "number";
+  return field?.dataType || "string";
+};
+
+/** Column definitions ({ key, label, dataType, kind }) for the grouped table. */
+export const groupColumns = (config, fields) => {
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+  const groupCols = config.groupBy.filter((k) => byKey.has(k)).map((k) => ({ ...byKey.get(k), kind: "group" }));
+  const aggCols = config.aggregates.filter((a) => a.fn === "count" || byKey.has(a.field)).map((a) => {
+    const field = byKey.get(a.field);
+    const fnLabel = AGG_FNS.find((x) => x.fn === a.fn)?.label || a.fn;
+    return {
+      key: aggregateKey(a),
+      label: a.fn === "count" && !field ? "Count" : `${fnLabel} of ${field?.label || a.field}`,
+      dataType: aggDataType(a, field),
+      kind: "aggregate",
+      aggregate: a,
+      // Counts are plain integers; the other aggregates read best in the field's own format.
+      format: a.fn === "count" || a.fn === "distinct" ? undefined : field?.format,
+    };
+  });
+  return [...groupCols, ...aggCols];
+};
+
+export const groupRows = (rows, config, fields) => {
+  const columns = groupColumns(config, fields);
+  const groupCols = columns.filter((c) => c.kind === "group");
+  const aggCols = columns.filter((c) => c.kind === "aggregate");
+  const typeOf = Object.fromEntries(fields.map((f) => [f.key, f.dataType]));
+
+  const summarise = (subset) => Object.fromEntries(aggCols.map((c) => {
+    const { fn, field } = c.aggregate;
+    const values = field ? subset.map((r) => r[field]) : subset.map(() => 1);
+    return [c.key, aggregate(fn, values, typeOf[field])];
+  }));
+
+  const out = [];
+  const walk = (subset, level, prefix) => {
+    if (level === groupCols.length) {
+      out.push({ ...prefix, ...summarise(subset) });
+      return;
+    }
+    const key = groupCols[level].key;
+    const buckets = new Map();
+    for (const r of subset) {
+      const v = r[key] ?? "";
+      if (!buckets.has(v)) buckets.set(v, []);
+      buckets.get(v).push(r);
+    }
+    const values = [...buckets.keys()].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+    for (const v of values) walk(buckets.get(v), level + 1, { ...prefix, [key]: v });
+    // The level-0 "subtotal" would repeat the grand total, so it is skipped.
+    if (config.subtotals && level > 0) {
+      out.push({ ...prefix, [key]: "Subtotal", ...summarise(subset), __type: "subtotal", __level: level });
+    }
+  };
+
+  if (groupCols.length) walk(rows, 0, {});
+  if (aggCols.length) {
+    const total = { ...summarise(rows), __type: "total", __level: 0 };
+    if (groupCols.length) total[groupCols[0].key] = "Grand Total";
+    out.push(total);
+  }
+  return { columns, rows: out };
+};
@@ -0,0 +1,3 @@
+/************ Ids ************/
+// Short random ids for list items (filter rules, aggregates, charts) that need stable React keys.
+export const newId = () => Math.random().toString(36).slice(2, 9);
@@ -0,0 +1,138 @@
+import * as XLSX from "xlsx";
+import { fmtDate } from "./dates.js";
+
+/***********************************
+ * Spreadsheet import (CSV / XLSX)
+ * - readTable: first sheet → { headers, rows } with rows as arrays of raw cell values
+ * - inferColumn: guesses string | number | date (ISO, dd/mm/yyyy, mm/dd/yyyy, dd-MMM-yyyy)
+ * - buildImport: applies a column mapping, parses every cell and reports what failed
+ ***********************************/
+
+export const readTable = (data, fileName = "") => {
+  const isText = /\.(csv|tsv|txt)$/i.test(fileName);
+  // Text files stay unparsed (raw) so our own inference decides what a date or number is.
+  const wb = XLSX.read(data, { type: typeof data === "string" ? "string" : "array", cellDates: true, raw: isText });
+  const sheetName = wb.SheetNames[0];
+  const matrix = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, raw: true, defval: "", blankrows: false });
+  const [headerRow = [], ...rows] = matrix;
+  const headers = headerRow.map((h, i) => String(h ?? "").trim() || `Column ${i + 1}`);
+  return { sheetName, headers, rows: rows.filter((r) => r.some((c) => c !== "" && c !== null && c !== undefined)) };
+};
+
+/************ Value parsing ************/
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const isBlank = (v) => v === null || v === undefined || (typeof v === "string" && v.trim() === "");
+
+const makeDate = (y, m, d) => {
+  const year = y < 100 ? 2000 + y : y;
+  const date = new Date(Date.UTC(year, m - 1, d));
+  // Reject roll-overs like 31/02 that Date would silently move into March.
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return fmtDate(date);
+};
+
+// SheetJS builds cellDates values at local midnight, so the local calendar date is the one the sheet showed.
+export const sheetDateToIso = (d) => (isNaN(d.getTime()) ? null : makeDate(d.getFullYear(), d.getMonth() + 1, d.getDate()));
+
+/** Parses a date cell into yyyy-mm-dd. `order` ("dmy" | "mdy") resolves ambiguous slash/dash dates. */
+export const parseDate = (v, order = "dmy") => {
+  if (v instanceof Date) return sheetDateToIso(v);
+  const s = String(v).trim();
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(s);
+  if (m) return makeDate(+m[1], +m[2], +m[3]);
+  m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(s);
+  if (m) return order === "mdy" ? makeDate(+m[3], +m[1], +m[2]) : makeDate(+m[3], +m[2], +m[1]);
+  m = /^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{2}|\d{4})$/.exec(s);
+  if (m && MONTHS.includes(m[2].toLowerCase())) return makeDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+  return null;
+};
+
+/** Parses a number cell, accepting thousands separators ("1,250.5"). */
+export const parseNumber = (v) => {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v).trim().replace(/,/g, "");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return null;
+  return Number(s);
+};
+
+/** Returns { value } or { error } for one cell. Blank cells are valid and become "". */
+export const parseCell = (v, dataType, dateOrder) => {
+  if (isBlank(v)) return { value: "" };
+  if (dataType === "number") {
+    const n = parseNumber(v);
+    return n === null ? { error: `"${v}" is not a number` } : { value: n };
+  }
+  if (dataType === "date") {
+    const d = parseDate(v, dateOrder);
+    return d === null ? { error: `"${v instanceof Date ? "invalid date" : v}" is not a recognised date` } : { value: d };
+  }
+  return { value: v instanceof Date ? sheetDateToIso(v) ?? "" : String(v).trim() };
+};
+
+/************ Inference ************/
+const slashParts = (s) => /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(String(s).trim());
+
+/** Guesses { dataType, dateOrder } from a column's values; a type wins when ≥90% of non-blank cells parse as it. */
+export const inferColumn = (values) => {
+  const present = values.filter((v) => !isBlank(v));
+  if (!present.length) return { dataType: "string", dateOrder: "dmy" };
+  let dateOrder = "dmy";
+  for (const v of present) {
+    const m = slashParts(v);
+    if (!m) continue;
+    if (+m[1] > 12) { dateOrder = "dmy"; break; }
+    if (+m[2] > 12) { dateOrder = "mdy"; break; }
+  }
+  const share = (ok) => present.filter(ok).length / present.length;
+  if (share((v) => parseNumber(v) !== null && !(v instanceof Date)) >= 0.9) return { dataType: "number", dateOrder };
+  if (share((v) => parseDate(v, dateOrder) !== null) >= 0.9) return { dataType: "date", dateOrder };
+  return { dataType: "string", dateOrder };
+};
+
+/************ Mapping ************/
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export const toFieldKey = (header) => {
+  const words = String(header).trim().replace(/[^A-Za-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+  const key = words.map((w, i) => (i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase())).join("");
+  return /^[A-Za-z_]/.test(key) ? key : `col${key}`;
+};
+
+/**
+ * Initial mapping per column: { target: "field" | "new" | "ignore", key, label, dataType, dateOrder }.
+ * Columns whose header matches a known field key or label map onto it; the rest become new fields.
+ */
+export const suggestMapping = (table, fields) => table.headers.map((h, i) => {
+  const inferred = inferColumn(table.rows.map((r) => r[i]));
+  const match = fields.find((f) => norm(f.key) === norm(h) || norm(f.label) === norm(h));
+  if (match && match.kind !== "calculated") return { target: "field", key: match.key, label: match.label, dataType: match.dataType, dateOrder: inferred.dateOrder };
+  return { target: "new", key: toFieldKey(h), label: h, ...inferred };
+});
+
+/**
+ * Parses every row with the mapping. Returns { rows, errors, failedRows, fields }:
+ * errors are { row (1-based, header = row 1), column, value, message }; failed rows are dropped
+ * unless `keepFailed`, in which case their bad cells are left blank. `fields` is the schema of the mapped columns.
+ */
+export const buildImport = (table, mapping, { keepFailed = false } = {}) => {
+  const active = mapping.map((m, i) => ({ ...m, index: i })).filter((m) => m.target !== "ignore" && m.key);
+  const rows = [];
+  const errors = [];
+  const failed = new Set();
+  table.rows.forEach((raw, r) => {
+    const out = {};
+    for (const m of active) {
+      const { value, error } = parseCell(raw[m.index], m.dataType, m.dateOrder);
+      if (error) {
+        errors.push({ row: r + 2, column: table.headers[m.index], value: raw[m.index], message: error });
+        failed.add(r);
+        out[m.key] = "";
+      } else {
+        out[m.key] = value;
+      }
+    }
+    if (keepFailed || !failed.has(r)) rows.push(out);
+  });
+  const fields = active.map((m) => ({ key: m.key, label: m.label || m.key, dataType: m.dataType, source: "system" }));
+  return { rows, errors, failedRows: failed.size, fields };
+};
@@ -0,0 +1,85 @@
+/***********************************
+ * Column layout of a report
+ * - Layout: { headers: { key: text }, widths: { key: px }, pinned: [keys] }
+ * - Column order is the report's `columns` list; pinned columns always come first
+ * - Widths are stored in screen pixels and converted for Excel (characters) and PDF (mm)
+ ***********************************/
+
+export const DEFAULT_LAYOUT = { headers: {}, widths: {}, pinned: [] };
+export const DEFAULT_COLUMN_WIDTH = 140;
+export const MIN_COLUMN_WIDTH = 40;
+
+const PX_PER_CHAR = 7;
+const MM_PER_PX = 25.4 / 96;
+
+/**
+ * Applies a layout to report columns: header overrides become `label` (the field's own label stays in `fieldLabel`),
+ * `width` is set when one was chosen, and pinned columns move to the front. Grouped tables pass `{ keepOrder: true }`,
+ * pinning their group columns instead.
+ */
+export const layoutColumns = (columns, layout = DEFAULT_LAYOUT, { keepOrder = false } = {}) => {
+  const pinnedKeys = new Set(layout.pinned || []);
+  const out = columns.map((c) => ({
+    ...c,
+    label: layout.headers?.[c.key] || c.label,
+    fieldLabel: c.label,
+    width: layout.widths?.[c.key] > 0 ? Math.max(MIN_COLUMN_WIDTH, layout.widths[c.key]) : undefined,
+    pinned: keepOrder ? c.kind === "group" : pinnedKeys.has(c.key),
+  }));
+  return keepOrder ? out : [...out.filter((c) => c.pinned), ...out.filter((c) => !c.pinned)];
+};
+
+/** Moves `key` to the position of `target` in `keys` (before it when moving up, after it when moving down). */
+export const moveKey = (keys, key, target) => {
+  const from = keys.indexOf(key);
+  const to = keys.indexOf(target);
+  if (from < 0 || to < 0 || from === to) return keys;
+  const next = keys.filter((k) => k !== key);
+  next.splice(to, 0, key);
+  return next;
+};
+
+/** Left offsets (px) for the sticky pinned columns of the preview. */
+export const pinnedOffsets = (columns) => {
+  let left = 0;
+  return columns.map((c) => {
+    if (!c.pinned) return null;
+    const at = left;
+    left += c.width || DEFAULT_COLUMN_WIDTH;
+    return at;
+  });
+};
+
+/** Excel column widths in characters; columns without a set width fit their header and values (10-50 chars). */
+export const sheetColumnWidths = (columns, textRows) => columns.map((c, i) => {
+  if (c.width) return { wch: Math.max(4, Math.round(c.width / PX_PER_CHAR)) };
+  const longest = textRows.reduce((n, r) => Math.max(n, String(r[i] ?? "").length), String(c.label ?? "").length);
+  return { wch: Math.min(50, Math.max(10, longest + 2)) };
+});
+
+/**
+ * jspdf-autotable columnStyles honouring set widths. If the set widths plus a minimum for the other columns
+ * overflow `availableMm`, every set width is scaled down to fit.
+ */
+export const pdfColumnStyles = (columns, availableMm, minAutoMm = 15) => {
+  const sized = columns.map((c) => (c.width ? c.width * MM_PER_PX : null));
+  const fixed = sized.reduce((sum, w) => sum + (w || 0), 0);
+  const autoCount = sized.filter((w) => w === null).length;
+  const room = availableMm - autoCount * minAutoMm;
+  const scale = fixed > room && fixed > 0 ? Math.max(room, 0) / fixed : 1;
+  return Object.fromEntries(sized.map((w, i) => [i, w === null ? {} : { cellWidth: Math.max(5, w * scale) }]).filter(([, s]) => s.cellWidth));
+};
+
+export const PDF_PAGE_SIZES = { a4: "A4", letter: "Letter" };
+
+/** PDF orientation and table font size for a column count: "auto" turns landscape above 6 columns, and the font shrinks as columns are added. */
+export const pdfPageLayout = (columnCount, orientation = "auto") => ({
+  orientation: orientation === "portrait" || orientation === "landscape" ? orientation : columnCount > 6 ? "landscape" : "portrait",
+  fontSize: columnCount <= 5 ? 10 : columnCount <= 8 ? 9 : columnCount <= 11 ? 8 : columnCount <= 15 ? 7 : 6,
+});
+
+/** `layout` with references to field `from` moved to `to`. */
+export const renameLayoutField = (layout, from, to) => {
+  const swapKey = (obj) => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k === from ? to : k, v]));
+  return { headers: swapKey(layout.headers), widths: swapKey(layout.widths), pinned: (layout.pinned || []).map((k) => (k === from ? to : k)) };
+};
@@ -0,0 +1,201 @@
+import { conditionalStyles } from "./conditional.js";
+import { dependentsOf, orderFields } from "./fields.js";
+import { formatValue } from "./format.js";
+import { evaluateFormula } from "./formula.js";
+import { groupRows } from "./grouping.js";
+import { layoutColumns } from "./layout.js";
+import { describeFilter, queryRows } from "./query.js";
+import { requiredUserFields } from "./reports.js";
+
+/***********************************
+ * Report pipeline: source rows + a report definition → the table the preview and exporters lay out
+ * - buildPreviewRows computes calculated fields and entered raw values into every row (createRowCalculator only the
+ *   changed ones); reportRows filters, searches and sorts them
+ * - reportTable groups and lays them out as { columns, rows, styles }; cellText is the display text of a cell
+ * - buildReport runs every step, for callers without a UI (see scripts/report-cli.js)
+ ***********************************/
+
+/************ Entered values ************/
+// Raw user fields hold a value per row when one was entered in the preview (`field.values`: row ID → value);
+// other rows get the default. Rows are identified by their order ID.
+export const ROW_ID_KEY = "orderId";
+
+/** The ID edits to `row` are stored under, or null when the row has none and cannot be edited. */
+export const rowId = (row) => {
+  const id = row?.[ROW_ID_KEY];
+  return id === undefined || id === null || id === "" ? null : String(id);
+};
+
+const rawValue = (f, source) => {
+  const id = rowId(source);
+  return id !== null && f.values && Object.hasOwn(f.values, id) ? f.values[id] : f.defaultValue ?? null;
+};
+
+/** `fields` with the entered values (field key → { row ID → value }) attached to the raw user fields they belong to. */
+export const withFieldValues = (fields, values = {}) => fields.map((f) => (
+  f.source === "user" && f.kind === "raw" && values[f.key] ? { ...f, values: values[f.key] } : f
+));
+
+/************ Calculated fields ************/
+// Values a formula flags (e.g. a to-date before its from-date) are recorded in row.__flags as { fieldKey: message }.
+export const computeValue = (row, def, calendars) => {
+  if (def.kind !== "calculated") return undefined;
+  return evaluateFormula(def.formula, row, { calendars, warn: (message) => { (row.__flags ||= {})[def.key] ??= message; } });
+};
+
+const buildRow = (r, ordered, calendars) => {
+  const out = { ...r };
+  for (const f of ordered) {
+    if (f.kind === "calculated") out[f.key] = computeValue(out, f, calendars);
+    else if (f.kind === "raw" && !(f.key in out)) out[f.key] = rawValue(f, r);
+  }
+  return out;
+};
+
+/** Rows with every calculated field filled in; fields are computed in dependency order so they can use each other. */
+export const buildPreviewRows = (rows, fieldsAll, calendars) => {
+  const { ordered } = orderFields(fieldsAll);
+  return rows.map((r) => buildRow(r, ordered, calendars));
+};
+
+// What a field's values depend on apart from the fields its formula reads; labels and formats do not count.
+const calcSignature = (f) => (f.kind === "calculated" ? `calc:${f.formula}` : `raw:${JSON.stringify([f.defaultValue ?? null, f.values ?? null])}`);
+
+/**
+ * buildPreviewRows that remembers its last result. Called again with the same source rows and calendars, it only
+ * recomputes the fields whose definition changed, those that depend on them and drops removed fields, returning the
+ * previous array untouched when nothing changed. New source rows or calendars rebuild everything.
+ */
+export const createRowCalculator = () => {
+  let last = null; // { rows, calendarsKey, signatures, result }
+  return (rows, fields, calendars) => {
+    const signatures = new Map(fields.map((f) => [f.key, calcSignature(f)]));
+    const calendarsKey = JSON.stringify(calendars ?? null);
+    if (!last || last.rows !== rows || last.calendarsKey !== calendarsKey) {
+      last = { rows, calendarsKey, signatures, result: buildPreviewRows(rows, fields, calendars) };
+      return last.result;
+    }
+    const changed = fields.filter((f) => last.signatures.get(f.key) !== signatures.get(f.key)).map((f) => f.key);
+    const removed = [...last.signatures.keys()].filter((k) => !signatures.has(k));
+    last.signatures = signatures;
+    if (!changed.length && !removed.length) return last.result;
+
+    const affected = new Set(changed);
+    for (const key of [...changed, ...removed]) for (const f of dependentsOf(key, fields)) affected.add(f.key);
+    const { ordered } = orderFields(fields);
+    const recompute = ordered.filter((f) => affected.has(f.key));
+    last.result = last.result.map((prev, i) => {
+      const source = rows[i];
+      const out = { ...prev };
+      if (out.__flags) {
+        const flags = Object.fromEntries(Object.entries(out.__flags).filter(([k]) => !affected.has(k) && !removed.includes(k)));
+        if (Object.keys(flags).length) out.__flags = flags;
+        else delete out.__flags;
+      }
+      for (const key of removed) {
+        if (key in source) out[key] = source[key];
+        else delete out[key];
+      }
+      for (const f of recompute) {
+        if (f.kind === "calculated") out[f.key] = computeValue(out, f, calendars);
+        else out[f.key] = f.key in source ? source[f.key] : rawValue(f, source);
+      }
+      return out;
+    });
+    return last.result;
+  };
+};
+
+/************ Fields ************/
+/**
+ * Every field a report can use: the source's fields (as raw) then the user fields whose key the source does not
+ * already provide, each with its display format from `formats` (field key → format).
+ */
+export const reportFields = (sourceFields, userFields = [], formats = {}) => {
+  const sourceKeys = new Set(sourceFields.map((f) => f.key));
+  return [
+    ...sourceFields.map((f) => ({ ...f, kind: "raw" })),
+    ...userFields.filter((f) => !sourceKeys.has(f.key)),
+  ].map((f) => (formats[f.key] ? { ...f, format: formats[f.key] } : f));
+};
+
+/** The report's columns as fields, in report order. */
+export const reportColumns = (report, fields) => report.columns.map((k) => fields.find((f) => f.key === k)).filter(Boolean);
+
+/************ Table ************/
+/** Rows the report shows: its filter and sort applied, plus an optional free-text search over the visible columns. */
+export const reportRows = (rows, report, fields, search = "") => (
+  queryRows(rows, { filter: report.filter, search, sort: report.sort }, fields, reportColumns(report, fields))
+);
+
+/** The report's filter plus any search as text for export headers; "" when every row is shown. */
+export const describeRowFilter = (report, fields, search = "") => (
+  [describeFilter(report.filter, fields), search && `search "${search}"`].filter(Boolean).join("; ")
+);
+
+/**
+ * What the preview and exports lay out: either the row listing or the grouped summary, with the report layout
+ * (header overrides, widths, pinning) applied to its columns. Pass `{ styles: false }` to skip conditional formatting.
+ */
+export const reportTable = (rows, report, fields, { styles = true } = {}) => {
+  let table;
+  if (!report.grouping.enabled) {
+    table = { columns: layoutColumns(reportColumns(report, fields), report.layout), rows };
+  } else {
+    const grouped = groupRows(rows, report.grouping, fields);
+    table = { ...grouped, columns: layoutColumns(grouped.columns, report.layout, { keepOrder: true }) };
+  }
+  return styles ? { ...table, styles: conditionalStyles(table.rows, table.columns, report.conditionalFormats, fields) } : table;
+};
+
+/**
+ * Sums of the number columns for a totals line (null in the other columns). Grouped tables carry their own
+ * grand total, so they get null, as do tables without a number column.
+ */
+export const columnTotals = ({ columns, rows }) => {
+  if (rows.some((r) => r.__type)) return null;
+  const totals = columns.map((c) => (c.dataType === "number" ? rows.reduce((sum, r) => sum + (Number(r[c.key]) || 0), 0) : null));
+  return totals.some((t) => t !== null) ? totals : null;
+};
+
+/** The tables of a workbook export: every row on the data sheet and, for grouped reports, the grouped table as a summary. */
+export const workbookTables = (rows, report, fields) => ({
+  data: reportTable(rows, { ...report, grouping: { ...report.grouping, enabled: false } }, fields),
+  summary: report.grouping.enabled ? reportTable(rows, report, fields) : null,
+});
+
+/**
+ * What a "Report Info" sheet lists: the report, its source, filter / sort / grouping as text, the row count and
+ * every calculated field it relies on (directly or through other formulas) with its formula.
+ */
+export const reportInfo = (report, fields, { rows, search = "", source = "", generatedAt = new Date() }) => {
+  const labelOf = (key) => fields.find((f) => f.key === key)?.label || key;
+  return {
+    name: report.name,
+    title: report.export.title,
+    source,
+    generatedAt,
+    filters: describeRowFilter(report, fields, search),
+    sort: report.sort.map((s) => `${labelOf(s.key)}${s.dir === "desc" ? " (descending)" : ""}`).join(", "),
+    grouping: report.grouping.enabled ? report.grouping.groupBy.map(labelOf).join(" › ") : "",
+    rowCount: rows.length,
+    formulas: requiredUserFields([report], fields).filter((f) => f.kind === "calculated")
+      .map((f) => ({ key: f.key, label: f.label, dataType: f.dataType, formula: f.formula })),
+  };
+};
+
+// Group labels ("Subtotal", "Grand Total") sit in typed columns, so summary rows skip formatting there.
+export const isGroupLabel = (row, col) => Boolean(row.__type) && col.kind === "group";
+
+/** Display text of one cell. */
+export const cellText = (row, col) => (isGroupLabel(row, col) ? String(row[col.key] ?? "") : formatValue(row[col.key], col));
+
+/**
+ * Runs the whole pipeline for a report over raw source rows.
+ * Returns { fields, rows (filtered + sorted), table: { columns, rows, styles } }.
+ */
+export const buildReport = (report, { rows, sourceFields, userFields = [], formats = {}, calendars, search = "" }) => {
+  const fields = reportFields(sourceFields, userFields, formats);
+  const shown = reportRows(buildPreviewRows(rows, fields, calendars), report, fields, search);
+  return { fields, rows: shown, table: reportTable(shown, report, fields) };
+};
@@ -0,0 +1,159 @@
+import { fmtDate } from "./dates.js";
+
+/***********************************
+ * Row querying: filter rules, global search and multi-column sort
+ * - Filter: { combinator: "AND" | "OR", rules: [{ id, field, op, value, value2 }] }
+ * - Sort: [{ key, dir: "asc" | "desc" }], first entry is the primary sort
+ ***********************************/
+
+export const FILTER_OPS = {
+  string: [
+    { op: "contains", label: "contains" },
+    { op: "equals", label: "equals" },
+    { op: "in", label: "in list" },
+    { op: "empty", label: "is empty", noValue: true },
+    { op: "notEmpty", label: "is not empty", noValue: true },
+  ],
+  number: [
+    { op: "between", label: "between", range: true },
+    { op: "eq", label: "=" },
+    { op: "gt", label: ">" },
+    { op: "gte", label: "≥" },
+    { op: "lt", label: "<" },
+    { op: "lte", label: "≤" },
+    { op: "empty", label: "is empty", noValue: true },
+  ],
+  date: [
+    { op: "between", label: "between", range: true },
+    { op: "on", label: "on" },
+    { op: "after", label: "on or after" },
+    { op: "before", label: "on or before" },
+    { op: "empty", label: "is empty", noValue: true },
+  ],
+};
+
+export const opsFor = (dataType) => FILTER_OPS[dataType] || FILTER_OPS.string;
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+const num = (v) => (isBlank(v) ? null : Number.isNaN(Number(v)) ? null : Number(v));
+const splitList = (v) => String(v ?? "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+// Rules with no value entered yet are ignored rather than hiding every row.
+const isActive = (rule) => {
+  const spec = FILTER_OPS.string.concat(FILTER_OPS.number, FILTER_OPS.date).find((o) => o.op === rule.op);
+  if (!rule.field || !spec) return false;
+  if (spec.noValue) return true;
+  if (spec.range) return !isBlank(rule.value) || !isBlank(rule.value2);
+  return !isBlank(rule.value);
+};
+
+const matchRule = (row, rule, dataType) => {
+  const v = row[rule.field];
+  if (rule.op === "empty") return isBlank(v);
+  if (rule.op === "notEmpty") return !isBlank(v);
+  if (dataType === "number") {
+    const n = num(v);
+    const a = num(rule.value);
+    const b = num(rule.value2);
+    if (n === null) return false;
+    if (rule.op === "eq") return a === null || n === a;
+    if (rule.op === "gt") return a === null || n > a;
+    if (rule.op === "gte") return a === null || n >= a;
+    if (rule.op === "lt") return a === null || n < a;
+    if (rule.op === "lte") return a === null || n <= a;
+    return (a === null || n >= a) && (b === null || n <= b);
+  }
+  if (dataType === "date") {
+    const d = fmtDate(v);
+    const a = fmtDate(rule.value);
+    const b = fmtDate(rule.value2);
+    if (!d) return false;
+    if (rule.op === "on") return !a || d === a;
+    if (rule.op === "after") return !a || d >= a;
+    if (rule.op === "before") return !a || d <= a;
+    return (!a || d >= a) && (!b || d <= b);
+  }
+  const s = String(v ?? "").toLowerCase();
+  if (rule.op === "equals") return s === String(rule.value).trim().toLowerCase();
+  if (rule.op === "in") return splitList(rule.value).includes(s);
+  return s.includes(String(rule.value).toLowerCase());
+};
+
+/** Whether `row` satisfies one filter-style rule; rules without a value yet never match. */
+export const ruleMatches = (row, rule, dataType) => isActive(rule) && matchRule(row, rule, dataType);
+
+// Written with ASCII operators so it also prints in the standard PDF fonts.
+const PLAIN_OPS = { gte: ">=", lte: "<=" };
+
+/** Readable text of the active filter rules, e.g. `Status equals "Open" AND Lead Time (days) between 5 and 10`. */
+export const describeFilter = (filter, fields) => {
+  const rules = (filter?.rules || []).filter(isActive);
+  const text = (r) => {
+    const field = fields.find((f) => f.key === r.field);
+    const spec = opsFor(field?.dataType).find((o) => o.op === r.op) || { label: r.op };
+    const name = field?.label || r.field;
+    const quote = (v) => (field?.dataType === "number" || field?.dataType === "date" ? String(v) : `"${v}"`);
+    if (spec.noValue) return `${name} ${spec.label}`;
+    if (r.op === "in") return `${name} ${spec.label} ${String(r.value).split(",").map((v) => v.trim()).filter(Boolean).join(", ")}`;
+    if (!spec.range) return `${name} ${PLAIN_OPS[r.op] || spec.label} ${quote(r.value)}`;
+    if (isBlank(r.value2)) return `${name} >= ${r.value}`;
+    if (isBlank(r.value)) return `${name} <= ${r.value2}`;
+    return `${name} between ${r.value} and ${r.value2}`;
+  };
+  return rules.map(text).join(filter.combinator === "OR" ? " OR " : " AND ");
+};
+
+export const applyFilter = (rows, filter, fields) => {
+  const rules = (filter?.rules || []).filter(isActive);
+  if (!rules.length) return rows;
+  const typeOf = Object.fromEntries(fields.map((f) => [f.key, f.dataType]));
+  const match = (row) => (r) => matchRule(row, r, typeOf[r.field]);
+  return rows.filter((row) => (filter.combinator === "OR" ? rules.some(match(row)) : rules.every(match(row))));
+};
+
+/** Case-insensitive match of every whitespace-separated term against the given fields. */
+export const applySearch = (rows, query, fields) => {
+  const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return rows;
+  return rows.filter((row) => {
+    const text = fields.map((f) => (f.dataType === "date" ? fmtDate(row[f.key]) : String(row[f.key] ?? ""))).join("\u0000").toLowerCase();
+    return terms.every((t) => text.includes(t));
+  });
+};
+
+const compareValues = (a, b, dataType) => {
+  if (dataType === "number") return (num(a) ?? 0) - (num(b) ?? 0);
+  if (dataType === "date") return fmtDate(a).localeCompare(fmtDate(b));
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+};
+
+// Blanks sort last in both directions; ties keep their original order.
+export const applySort = (rows, sort, fields) => {
+  if (!sort?.length) return rows;
+  const typeOf = Object.fromEntries(fields.map((f) => [f.key, f.dataType]));
+  return rows
+    .map((row, i) => ({ row, i }))
+    .sort((x, y) => {
+      for (const { key, dir } of sort) {
+        const a = x.row[key];
+        const b = y.row[key];
+        if (isBlank(a) !== isBlank(b)) return isBlank(a) ? 1 : -1;
+        const c = compareValues(a, b, typeOf[key]);
+        if (c) return dir === "desc" ? -c : c;
+      }
+      return x.i - y.i;
+    })
+    .map(({ row }) => row);
+};
+
+/** Click cycles a column asc → desc → off; with `additive` (shift-click) it is added as a secondary sort. */
+export const toggleSort = (sort, key, additive) => {
+  const current = sort.find((s) => s.key === key);
+  const nextDir = !current ? "asc" : current.dir === "asc" ? "desc" : null;
+  if (!additive) return nextDir ? [{ key, dir: nextDir }] : [];
+  if (!current) return [...sort, { key, dir: "asc" }];
+  return nextDir ? sort.map((s) => (s.key === key ? { key, dir: nextDir } : s)) : sort.filter((s) => s.key !== key);
+};
+
+export const queryRows = (rows, { filter, search, sort }, fields, searchFields = fields) =>
+  applySort(applySearch(applyFilter(rows, filter, fields), search, searchFields), sort, fields);
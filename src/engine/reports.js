@@ -0,0 +1,168 @@
+import { fieldDeps, readStoredFields } from "./fields.js";
+import { newId } from "./ids.js";
+import { DEFAULT_LAYOUT, renameLayoutField } from "./layout.js";
+
+/***********************************
+ * Report definitions
+ * - A report captures everything needed to reproduce a view of a source:
+ *   { id, name, sourceId, columns (ordered keys), layout, filter, sort, grouping, conditionalFormats, charts, export, createdAt, updatedAt }
+ * - Report files ({ type, version, reports, fields, formats }) carry the user fields the reports use and the display
+ *   formats of their fields, so they can be shared or run headless (scripts/report-cli.js)
+ ***********************************/
+
+export class ReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReportError";
+  }
+}
+
+export const REPORT_FILE_TYPE = "report-builder/reports";
+export const REPORT_FILE_VERSION = 1;
+
+// PDF: subtitle under the title, pageSize a4 | letter, orientation auto | portrait | landscape, totals line on/off.
+// Excel: templateRange is the named range an uploaded template is filled at, templateHeaders writes the header row there.
+// CSV: quote minimal | all; dateFormat is a date pattern, "" keeps each field's display format.
+export const DEFAULT_CSV_OPTIONS = { delimiter: ",", quote: "minimal", bom: false, lineEnding: "\r\n", dateFormat: "" };
+export const DEFAULT_EXPORT_SETTINGS = {
+  fileName: "orders", title: "Orders Report", subtitle: "", pageSize: "a4", orientation: "auto", totals: true,
+  templateRange: "", templateHeaders: false, csv: DEFAULT_CSV_OPTIONS,
+};
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** A report with every setting present; `patch` overrides the defaults. */
+export const newReport = (patch = {}) => {
+  const now = new Date().toISOString();
+  return normalizeReport({ id: newId(), name: "Untitled report", createdAt: now, updatedAt: now, ...patch });
+};
+
+/** Fills missing settings with defaults and rejects definitions that are not report-shaped. */
+export const normalizeReport = (raw) => {
+  if (!isObject(raw)) throw new ReportError("Report definition must be an object");
+  if (raw.columns !== undefined && !(Array.isArray(raw.columns) && raw.columns.every((k) => typeof k === "string"))) {
+    throw new ReportError(`Report "${raw.name ?? "?"}": columns must be a list of field keys`);
+  }
+  const filter = isObject(raw.filter) ? raw.filter : {};
+  const grouping = isObject(raw.grouping) ? raw.grouping : {};
+  const layout = isObject(raw.layout) ? raw.layout : {};
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : newId(),
+    name: String(raw.name ?? "").trim() || "Untitled report",
+    sourceId: typeof raw.sourceId === "string" ? raw.sourceId : "demo",
+    columns: raw.columns || [],
+    layout: {
+      headers: isObject(layout.headers) ? layout.headers : { ...DEFAULT_LAYOUT.headers },
+      widths: isObject(layout.widths) ? layout.widths : { ...DEFAULT_LAYOUT.widths },
+      pinned: Array.isArray(layout.pinned) ? layout.pinned.filter((k) => typeof k === "string") : [],
+    },
+    filter: { combinator: filter.combinator === "OR" ? "OR" : "AND", rules: Array.isArray(filter.rules) ? filter.rules.filter(isObject) : [] },
+    sort: Array.isArray(raw.sort) ? raw.sort.filter((s) => isObject(s) && s.key).map((s) => ({ key: s.key, dir: s.dir === "desc" ? "desc" : "asc" })) : [],
+    grouping: {
+      enabled: Boolean(grouping.enabled),
+      groupBy: Array.isArray(grouping.groupBy) ? grouping.groupBy.filter((k) => typeof k === "string") : [],
+      aggregates: Array.isArray(grouping.aggregates) ? grouping.aggregates.filter(isObject) : [],
+      subtotals: grouping.subtotals !== false,
+    },
+    conditionalFormats: Array.isArray(raw.conditionalFormats) ? raw.conditionalFormats.filter((r) => isObject(r) && typeof r.field === "string") : [],
+    charts: Array.isArray(raw.charts) ? raw.charts.filter(isObject) : [],
+    export: {
+      ...DEFAULT_EXPORT_SETTINGS,
+      ...(isObject(raw.export) ? raw.export : {}),
+      csv: { ...DEFAULT_CSV_OPTIONS, ...(isObject(raw.export?.csv) ? raw.export.csv : {}) },
+    },
+    createdAt: raw.createdAt || new Date().toISOString(),
+    updatedAt: raw.updatedAt || raw.createdAt || new Date().toISOString(),
+  };
+};
+
+/** Every field key a report refers to: columns, filters, sorts, grouping and charts. */
+export const reportFieldKeys = (report) => new Set([
+  ...report.columns,
+  ...report.filter.rules.map((r) => r.field),
+  ...report.sort.map((s) => s.key),
+  ...report.grouping.groupBy,
+  ...report.grouping.aggregates.map((a) => a.field),
+  ...report.conditionalFormats.map((r) => r.field),
+  ...report.charts.flatMap((c) => [c.xField, c.seriesField, c.measure?.field]),
+].filter(Boolean));
+
+/** `report` with every reference to field `from` pointed at `to`; returns the same object when it has none. */
+export const renameReportField = (report, from, to) => {
+  if (!reportFieldKeys(report).has(from)) return report;
+  const swap = (k) => (k === from ? to : k);
+  return {
+    ...report,
+    columns: report.columns.map(swap),
+    layout: renameLayoutField(report.layout, from, to),
+    filter: { ...report.filter, rules: report.filter.rules.map((r) => ({ ...r, field: swap(r.field) })) },
+    sort: report.sort.map((s) => ({ ...s, key: swap(s.key) })),
+    grouping: {
+      ...report.grouping,
+      groupBy: report.grouping.groupBy.map(swap),
+      aggregates: report.grouping.aggregates.map((a) => ({ ...a, field: swap(a.field) })),
+    },
+    conditionalFormats: report.conditionalFormats.map((r) => ({ ...r, field: swap(r.field) })),
+    charts: report.charts.map((c) => ({ ...c, xField: swap(c.xField), seriesField: swap(c.seriesField), measure: { ...c.measure, field: swap(c.measure?.field) } })),
+  };
+};
+
+/** User fields a set of reports needs, including the fields their formulas reference. */
+export const requiredUserFields = (reports, userFields) => {
+  const byKey = new Map(userFields.map((f) => [f.key, f]));
+  const needed = new Set();
+  const queue = reports.flatMap((r) => [...reportFieldKeys(r)]);
+  while (queue.length) {
+    const key = queue.shift();
+    if (needed.has(key) || !byKey.has(key)) continue;
+    needed.add(key);
+    queue.push(...fieldDeps(byKey.get(key)));
+  }
+  return userFields.filter((f) => needed.has(f.key));
+};
+
+/** JSON text for sharing `reports`, bundled with the user fields they depend on and those fields' display formats. */
+export const serializeReports = (reports, userFields = [], formats = {}) => {
+  const fields = requiredUserFields(reports, userFields);
+  const keys = new Set([...reports.flatMap((r) => [...reportFieldKeys(r)]), ...fields.map((f) => f.key)]);
+  return JSON.stringify({
+    type: REPORT_FILE_TYPE,
+    version: REPORT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    reports,
+    fields,
+    formats: Object.fromEntries(Object.entries(formats).filter(([k]) => keys.has(k))),
+  }, null, 2);
+};
+
+/**
+ * Reads a report file. Accepts the bundle written by serializeReports, a bare array of reports or a single report.
+ * Returns { reports, fields, formats } with reports normalised; throws ReportError when the text is not a report file.
+ */
+export const parseReportFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ReportError(`Not valid JSON: ${e.message}`);
+  }
+  if (isObject(data) && data.type === REPORT_FILE_TYPE) {
+    if (data.version > REPORT_FILE_VERSION) throw new ReportError(`Report file version ${data.version} is newer than this app supports`);
+    if (!Array.isArray(data.reports)) throw new ReportError("Report file has no reports list");
+    const { fields } = readStoredFields(data.fields);
+    const formats = isObject(data.formats) ? Object.fromEntries(Object.entries(data.formats).filter(([, f]) => isObject(f))) : {};
+    return { reports: data.reports.map(normalizeReport), fields, formats };
+  }
+  if (Array.isArray(data)) return { reports: data.map(normalizeReport), fields: [], formats: {} };
+  if (isObject(data) && Array.isArray(data.columns)) return { reports: [normalizeReport(data)], fields: [], formats: {} };
+  throw new ReportError("File does not contain report definitions");
+};
+
+/** `name`, or `name (2)`, `name (3)`… when it is already taken. */
+export const uniqueName = (name, taken) => {
+  const names = new Set(taken);
+  if (!names.has(name)) return name;
+  let i = 2;
+  while (names.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+};
@@ -0,0 +1,197 @@
+import { BASE_FIELDS, makeDummyOrders } from "./demo.js";
+import { inferColumn, parseCell } from "./importer.js";
+import { newId } from "./ids.js";
+
+/***********************************
+ * Data sources
+ * - A source is { id, type, name, config }; its adapter turns it into { fields, rows }
+ * - Adapters: demo (random orders), file (rows from an import), http (JSON endpoint)
+ * - Every adapter's load() is async so the UI treats all sources the same way
+ ***********************************/
+
+export class SourceError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "SourceError";
+    this.cause = cause;
+  }
+}
+
+/************ JSONPath (subset) ************/
+// Supports $, .key, ['key'], [index], [*] and .* — enough to point at the row array in an API response.
+const parsePath = (path) => {
+  const src = String(path || "$").trim();
+  if (!src.startsWith("$")) throw new SourceError(`JSONPath must start with $: ${src}`);
+  const steps = [];
+  const re = /\.([A-Za-z_$][\w$-]*|\*)|\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]/y;
+  re.lastIndex = 1;
+  while (re.lastIndex < src.length) {
+    const m = re.exec(src);
+    if (!m) throw new SourceError(`Invalid JSONPath near "${src.slice(re.lastIndex)}"`);
+    const token = m[1] ?? m[2];
+    steps.push(/^['"]/.test(token) ? token.slice(1, -1) : token);
+  }
+  return steps;
+};
+
+/** All values matched by `path` in `data`. */
+export const jsonPath = (data, path) => {
+  let nodes = [data];
+  for (const step of parsePath(path)) {
+    nodes = nodes.flatMap((n) => {
+      if (n === null || typeof n !== "object") return [];
+      if (step === "*") return Array.isArray(n) ? n : Object.values(n);
+      if (Array.isArray(n) && /^-?\d+$/.test(step)) {
+        const i = Number(step);
+        const v = n[i < 0 ? n.length + i : i];
+        return v === undefined ? [] : [v];
+      }
+      return step in n ? [n[step]] : [];
+    });
+  }
+  return nodes;
+};
+
+/** Row objects at `path`: a path that lands on one array yields its items; a wildcard path yields each match as a row. */
+export const extractRows = (data, path) => {
+  const matches = jsonPath(data, path);
+  if (matches.length === 1 && Array.isArray(matches[0])) return matches[0];
+  return matches.filter((m) => m && typeof m === "object" && !Array.isArray(m));
+};
+
+/************ Schema inference ************/
+const humanize = (key) => String(key)
+  .replace(/[_-]+/g, " ")
+  .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+  .replace(/\b\w/g, (c) => c.toUpperCase())
+  .trim();
+
+/**
+ * Builds a field schema from plain row objects and normalises values to it (numbers, yyyy-mm-dd dates).
+ * `knownFields` supplies labels/types for keys the app already knows.
+ */
+export const inferSchema = (objects, knownFields = BASE_FIELDS) => {
+  const keys = [];
+  for (const o of objects.slice(0, 500)) for (const k of Object.keys(o)) if (!keys.includes(k)) keys.push(k);
+  const flat = objects.map((o) => Object.fromEntries(keys.map((k) => {
+    const v = o[k];
+    return [k, v !== null && typeof v === "object" ? JSON.stringify(v) : v];
+  })));
+  const fields = keys.map((key) => {
+    const known = knownFields.find((f) => f.key === key);
+    const { dataType, dateOrder } = inferColumn(flat.slice(0, 500).map((r) => r[key]));
+    return { key, label: known?.label || humanize(key), dataType: known?.dataType || dataType, dateOrder, source: "system" };
+  });
+  const rows = flat.map((r) => Object.fromEntries(fields.map((f) => {
+    const { value, error } = parseCell(r[f.key], f.dataType, f.dateOrder);
+    return [f.key, error ? "" : value];
+  })));
+  return { fields: fields.map((f) => ({ key: f.key, label: f.label, dataType: f.dataType, source: f.source })), rows };
+};
+
+/************ HTTP adapter ************/
+export const DEFAULT_HTTP_CONFIG = {
+  url: "",
+  authHeader: "Authorization",
+  authValue: "",
+  rememberAuth: false, // keep authValue in localStorage across sessions (see App saveSources)
+  rowsPath: "$",
+  pagination: "none", // none | page | offset | next
+  pageParam: "page",
+  sizeParam: "pageSize",
+  pageSize: 100,
+  firstPage: 1,
+  nextPath: "$.next",
+  maxPages: 50,
+};
+
+const withParams = (url, params) => {
+  const u = new URL(url, globalThis.location?.href);
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, String(v));
+  return u.toString();
+};
+
+const fetchJson = async (url, config, fetchImpl) => {
+  const headers = { Accept: "application/json" };
+  if (config.authHeader && config.authValue) headers[config.authHeader] = config.authValue;
+  let res;
+  try {
+    res = await fetchImpl(url, { headers });
+  } catch (e) {
+    throw new SourceError(`Could not reach ${url}: ${e.message}`, e);
+  }
+  if (!res.ok) throw new SourceError(`${url} responded ${res.status} ${res.statusText || ""}`.trim());
+  try {
+    return await res.json();
+  } catch (e) {
+    throw new SourceError(`${url} did not return JSON`, e);
+  }
+};
+
+// The next pointer may be a URL (absolute or relative to the current page) or a bare cursor for the page parameter.
+const resolveNext = (next, current, c) => {
+  if (next === undefined || next === null || next === "") return null;
+  const s = String(next);
+  if (/^(https?:)?\/\//.test(s) || s.startsWith("/") || s.startsWith("?")) return new URL(s, current).toString();
+  return withParams(c.url, { [c.pageParam]: s });
+};
+
+/** Fetches every page of an HTTP JSON source and returns the concatenated row objects. */
+export const fetchHttpRows = async (config, fetchImpl = globalThis.fetch) => {
+  const c = { ...DEFAULT_HTTP_CONFIG, ...config };
+  if (!c.url) throw new SourceError("HTTP source needs a URL");
+  const size = Number(c.pageSize) || DEFAULT_HTTP_CONFIG.pageSize;
+  const maxPages = Number(c.maxPages) || 1;
+  const rows = [];
+
+  if (c.pagination === "page" || c.pagination === "offset") {
+    for (let i = 0; i < maxPages; i++) {
+      const position = c.pagination === "page" ? (Number(c.firstPage) || 0) + i : i * size;
+      const data = await fetchJson(withParams(c.url, { [c.pageParam]: position, [c.sizeParam]: size }), c, fetchImpl);
+      const page = extractRows(data, c.rowsPath);
+      rows.push(...page);
+      if (page.length < size) break;
+    }
+    return rows;
+  }
+
+  let url = c.url;
+  for (let i = 0; url && i < (c.pagination === "next" ? maxPages : 1); i++) {
+    const data = await fetchJson(url, c, fetchImpl);
+    rows.push(...extractRows(data, c.rowsPath));
+    if (c.pagination !== "next") break;
+    const [next] = jsonPath(data, c.nextPath);
+    url = resolveNext(next, url, c);
+  }
+  return rows;
+};
+
+/************ Adapters ************/
+export const SOURCE_ADAPTERS = {
+  demo: {
+    label: "Demo orders",
+    load: async () => ({ fields: BASE_FIELDS, rows: makeDummyOrders() }),
+  },
+  file: {
+    label: "Imported file",
+    // Rows live only in memory; the import step already mapped and typed them.
+    load: async (config) => {
+      if (!config.rows) throw new SourceError("This file is no longer loaded; import it again");
+      return { fields: config.fields, rows: config.rows };
+    },
+  },
+  http: {
+    label: "HTTP JSON endpoint",
+    load: async (config, { fetchImpl } = {}) => inferSchema(await fetchHttpRows(config, fetchImpl)),
+  },
+};
+
+export const loadSource = (source, options) => {
+  const adapter = SOURCE_ADAPTERS[source?.type];
+  if (!adapter) return Promise.reject(new SourceError(`Unknown source type: ${source?.type}`));
+  return adapter.load(source.config || {}, options);
+};
+
+export const DEMO_SOURCE = { id: "demo", type: "demo", name: "Orders dataset (demo)", config: {} };
+
+export const newHttpSource = () => ({ id: newId(), type: "http", name: "HTTP source", config: { ...DEFAULT_HTTP_CONFIG } });
@@ -0,0 +1,267 @@
+import * as XLSX from "xlsx";
+// The ES build, named: under Node "xlsx" resolves to the CommonJS build, which hides CFB and SSF from named imports.
+import { CFB, SSF } from "xlsx/xlsx.mjs";
+
+/***********************************
+ * Workbook helpers for features the community SheetJS build does not write
+ * - freezePanes: patches <pane> into a written .xlsx (SheetJS only round-trips sheetView attributes)
+ * - styleCells: adds fonts, fills and cell formats to styles.xml (SheetJS drops cell styles when writing)
+ * - fillTemplate: writes cells into an uploaded workbook's XML, so everything SheetJS would drop on a round trip stays
+ ***********************************/
+
+const readXml = (entry) => new TextDecoder().decode(new Uint8Array(entry.content));
+const writeXml = (entry, xml) => { entry.content = new TextEncoder().encode(xml); };
+
+const paneXml = (xSplit, ySplit) => {
+  const activePane = xSplit && ySplit ? "bottomRight" : ySplit ? "bottomLeft" : "topRight";
+  const topLeftCell = XLSX.utils.encode_cell({ c: xSplit, r: ySplit });
+  return `<pane${xSplit ? ` xSplit="${xSplit}"` : ""}${ySplit ? ` ySplit="${ySplit}"` : ""} topLeftCell="${topLeftCell}" activePane="${activePane}" state="frozen"/>`
+    + `<selection pane="${activePane}" activeCell="${topLeftCell}" sqref="${topLeftCell}"/>`;
+};
+
+/**
+ * Freezes the first `xSplit` columns and `ySplit` rows of sheets in a written workbook.
+ * `data` is the array/Uint8Array from XLSX.write(..., { type: "array" }); `panes` maps sheet index → { xSplit, ySplit }.
+ * Returns a Uint8Array of the patched file.
+ */
+export const freezePanes = (data, panes) => {
+  const zip = CFB.read(new Uint8Array(data), { type: "array" });
+  for (const [index, { xSplit = 0, ySplit = 0 }] of Object.entries(panes)) {
+    if (!xSplit && !ySplit) continue;
+    const entry = CFB.find(zip, `/xl/worksheets/sheet${Number(index) + 1}.xml`);
+    if (!entry) continue;
+    writeXml(entry, readXml(entry).replace(/<sheetView\b([^>]*?)\/>/, (_, attrs) => `<sheetView${attrs}>${paneXml(xSplit, ySplit)}</sheetView>`));
+  }
+  return new Uint8Array(CFB.write(zip, { fileType: "zip", type: "array" }));
+};
+
+/************ Cell styles ************/
+const argb = (hex) => `FF${hex.slice(1).toUpperCase()}`;
+
+// Appends `xml` to the <tag> list of styles.xml, returning the patched text and the new item's index.
+const appendStyle = (styles, tag, xml) => {
+  let index = 0;
+  const patched = styles.replace(new RegExp(`<${tag} count="(\\d+)">([\\s\\S]*?)</${tag}>`), (_, count, body) => {
+    index = Number(count);
+    return `<${tag} count="${index + 1}">${body}${xml}</${tag}>`;
+  });
+  return [patched, index];
+};
+
+/**
+ * Styles cells of a written workbook. `cellStyles` maps sheet index → { "B2": { color, fill, bold } } with #rrggbb colours;
+ * styled cells keep their number format. `data` is the output of XLSX.write(..., { type: "array" }); returns a Uint8Array.
+ */
+export const styleCells = (data, cellStyles) => {
+  const zip = CFB.read(new Uint8Array(data), { type: "array" });
+  const stylesEntry = CFB.find(zip, "/xl/styles.xml");
+  if (!stylesEntry) return new Uint8Array(data);
+  let styles = readXml(stylesEntry);
+  const baseFont = /<font>[\s\S]*?<\/font>/.exec(styles)?.[0] || "<font><sz val=\"12\"/><name val=\"Calibri\"/></font>";
+  const xfs = [...(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/.exec(styles)?.[1] || "").matchAll(/<xf\b[^>]*?\/?>/g)].map((m) => m[0]);
+  const made = new Map();
+  const add = (tag, xml) => {
+    const id = `${tag}:${xml}`;
+    if (!made.has(id)) {
+      const [patched, index] = appendStyle(styles, tag, xml);
+      styles = patched;
+      made.set(id, index);
+    }
+    return made.get(id);
+  };
+  const xfFor = (baseXf, style) => {
+    const numFmtId = /numFmtId="(\d+)"/.exec(xfs[baseXf] || "")?.[1] || "0";
+    const font = style.color || style.bold
+      ? add("fonts", baseFont.replace(/<color\b[^>]*\/>/, "").replace("<font>", `<font>${style.bold ? "<b/>" : ""}${style.color ? `<color rgb="${argb(style.color)}"/>` : ""}`))
+      : 0;
+    const fill = style.fill ? add("fills", `<fill><patternFill patternType="solid"><fgColor rgb="${argb(style.fill)}"/><bgColor indexed="64"/></patternFill></fill>`) : 0;
+    return add("cellXfs", `<xf numFmtId="${numFmtId}" fontId="${font}" fillId="${fill}" borderId="0" xfId="0" applyNumberFormat="1"${font ? " applyFont=\"1\"" : ""}${fill ? " applyFill=\"1\"" : ""}/>`);
+  };
+  for (const [index, cells] of Object.entries(cellStyles)) {
+    const entry = CFB.find(zip, `/xl/worksheets/sheet${Number(index) + 1}.xml`);
+    if (!entry) continue;
+    writeXml(entry, readXml(entry).replace(/<c r="([A-Z]+\d+)"(?: s="(\d+)")?/g, (tag, ref, s) => (
+      cells[ref] ? `<c r="${ref}" s="${xfFor(Number(s || 0), cells[ref])}"` : tag
+    )));
+  }
+  writeXml(stylesEntry, styles);
+  return new Uint8Array(CFB.write(zip, { fileType: "zip", type: "array" }));
+};
+
+/************ Templates ************/
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const escapeXml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const unescapeXml = (s) => String(s).replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+const attr = (tag, name) => {
+  const v = new RegExp(`\\s${name}="([^"]*)"`).exec(tag || "")?.[1];
+  return v === undefined ? undefined : unescapeXml(v);
+};
+
+const ROW_RE = /<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g;
+const CELL_RE = /<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g;
+const XF_RE = /<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g;
+
+const readZip = (data) => {
+  let zip;
+  try {
+    zip = CFB.read(new Uint8Array(data), { type: "array" });
+  } catch {
+    zip = null;
+  }
+  const workbook = zip && CFB.find(zip, "/xl/workbook.xml");
+  if (!workbook) throw new TemplateError("The template is not an Excel workbook (.xlsx)");
+  return { zip, workbook };
+};
+
+// "'Buyer Sheet'!$B$4:$F$20" → { sheet, s, e } (0-based cells); null for refs that are not a single block.
+const parseRef = (ref) => {
+  const m = /^(?:'((?:[^']|'')+)'|([^!'"]+))!\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/.exec(ref.trim());
+  if (!m) return null;
+  const s = XLSX.utils.decode_cell(`${m[3]}${m[4]}`);
+  return { sheet: m[1] ? m[1].replace(/''/g, "'") : m[2], s, e: m[5] ? XLSX.utils.decode_cell(`${m[5]}${m[6]}`) : s };
+};
+
+const definedNames = (workbookXml) => [...workbookXml.matchAll(/<definedName\b([^>]*)>([^<]*)<\/definedName>/g)]
+  .map(([, attrs, ref]) => ({ name: attr(attrs, "name"), ref: unescapeXml(ref) }))
+  .filter((n) => n.name && !n.name.startsWith("_xlnm.") && parseRef(n.ref));
+
+/** Named ranges of an .xlsx file that point at a cell or block, as [{ name, ref }]; a template is filled at one of them. */
+export const templateRanges = (data) => definedNames(readXml(readZip(data).workbook));
+
+const sheetEntry = (zip, workbookXml, sheetName) => {
+  const sheet = [...workbookXml.matchAll(/<sheet\b[^>]*\/>/g)].map((m) => m[0]).find((tag) => attr(tag, "name") === sheetName);
+  const rid = /\s(?:\w+:)id="([^"]*)"/.exec(sheet || "")?.[1];
+  const rels = CFB.find(zip, "/xl/_rels/workbook.xml.rels");
+  const rel = rid && rels && [...readXml(rels).matchAll(/<Relationship\b[^>]*\/>/g)].map((m) => m[0]).find((tag) => attr(tag, "Id") === rid);
+  const target = attr(rel, "Target");
+  return target ? CFB.find(zip, target.startsWith("/") ? target : `/xl/${target}`) : null;
+};
+
+// Cell formats for the filled cells: the template's own format wins, a General one takes the value's number format.
+const templateStyles = (stylesEntry) => {
+  let styles = stylesEntry ? readXml(stylesEntry) : "";
+  const xfs = [...(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/.exec(styles)?.[1] || "").matchAll(XF_RE)].map((m) => m[0]);
+  const made = new Map();
+  const numFmtId = (z) => {
+    const builtIn = Object.entries(SSF.get_table()).find(([, f]) => f === z)?.[0];
+    if (builtIn !== undefined) return Number(builtIn);
+    if (!/<numFmts\b/.test(styles)) styles = styles.replace(/(<styleSheet\b[^>]*>)/, "$1<numFmts count=\"0\"></numFmts>");
+    const ids = [...styles.matchAll(/<numFmt\b[^>]*numFmtId="(\d+)"/g)].map((m) => Number(m[1]));
+    const id = Math.max(163, ...ids) + 1;
+    styles = appendStyle(styles, "numFmts", `<numFmt numFmtId="${id}" formatCode="${escapeXml(z)}"/>`)[0];
+    return id;
+  };
+  const styleFor = (s, z) => {
+    if (!stylesEntry || !z || z === "General" || z === "@") return s;
+    const xf = xfs[Number(s || 0)] || "<xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/>";
+    if ((attr(xf, "numFmtId") || "0") !== "0") return s;
+    const id = `${s}:${z}`;
+    if (!made.has(id)) {
+      const fmt = numFmtId(z);
+      const clone = xf.replace(/^<xf\b[^>]*?(?=\/?>)/, (open) => `${open.replace(/\s(numFmtId|applyNumberFormat)="[^"]*"/g, "")} numFmtId="${fmt}" applyNumberFormat="1"`);
+      const [patched, index] = appendStyle(styles, "cellXfs", clone);
+      styles = patched;
+      made.set(id, String(index));
+    }
+    return made.get(id);
+  };
+  return { styleFor, save: () => stylesEntry && writeXml(stylesEntry, styles) };
+};
+
+const cellXml = (ref, cell, s) => {
+  const style = s !== undefined ? ` s="${s}"` : "";
+  if (cell.v === null || cell.v === undefined || cell.v === "") return `<c r="${ref}"${style}/>`;
+  if (cell.t === "n") return `<c r="${ref}"${style}><v>${cell.v}</v></c>`;
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.v)}</t></is></c>`;
+};
+
+// Overwritten formula cells would leave calcChain.xml pointing at cells that no longer hold formulas.
+const dropCalcChain = (zip) => {
+  if (!CFB.find(zip, "/xl/calcChain.xml")) return;
+  CFB.utils.cfb_del(zip, "/xl/calcChain.xml");
+  const rels = CFB.find(zip, "/xl/_rels/workbook.xml.rels");
+  if (rels) writeXml(rels, readXml(rels).replace(/<Relationship\b[^>]*Target="[^"]*calcChain\.xml"[^>]*\/>/, ""));
+  const types = CFB.find(zip, "/[Content_Types].xml");
+  if (types) writeXml(types, readXml(types).replace(/<Override\b[^>]*PartName="\/xl\/calcChain\.xml"[^>]*\/>/, ""));
+};
+
+/**
+ * Writes `cells` (rows of SheetJS cells { t, v, z }) into a template workbook from the top-left cell of its named
+ * range `rangeName`. Each cell keeps its template style, or takes the style of the range's first row in its column,
+ * so a formatted first row formats every filled row. A range taller (or wider) than one cell bounds the rows (or
+ * columns) written. The workbook recalculates on open, so template formulas pick up the data.
+ * Returns { data: Uint8Array, truncated } where truncated counts the rows that did not fit.
+ */
+export const fillTemplate = (template, rangeName, cells) => {
+  const { zip, workbook } = readZip(template);
+  let workbookXml = readXml(workbook);
+  const names = definedNames(workbookXml);
+  const named = names.find((n) => n.name.toLowerCase() === String(rangeName || "").toLowerCase());
+  if (!named) {
+    throw new TemplateError(names.length
+      ? `The template has no named range "${rangeName}"; it has ${names.map((n) => n.name).join(", ")}`
+      : "The template has no named ranges; name the cell where the data starts (Formulas → Define Name)");
+  }
+  const { sheet, s: start, e: end } = parseRef(named.ref);
+  const entry = sheetEntry(zip, workbookXml, sheet);
+  if (!entry) throw new TemplateError(`Named range ${named.name} points at sheet "${sheet}", which the template does not have`);
+
+  const maxRows = end.r > start.r ? end.r - start.r + 1 : Infinity;
+  const maxCols = end.c > start.c ? end.c - start.c + 1 : Infinity;
+  const fill = cells.slice(0, maxRows).map((row) => row.slice(0, maxCols));
+  const width = Math.max(0, ...fill.map((r) => r.length));
+
+  let xml = readXml(entry);
+  const rows = new Map();
+  const body = /<sheetData\s*\/>|<sheetData>([\s\S]*?)<\/sheetData>/.exec(xml);
+  if (!body) throw new TemplateError(`Sheet "${sheet}" of the template could not be read`);
+  for (const [tag] of (body[1] || "").matchAll(ROW_RE)) {
+    const open = /^<row\b[^>]*?(?=\/?>)/.exec(tag)[0];
+    const rowCells = new Map([...tag.matchAll(CELL_RE)].map(([c]) => [XLSX.utils.decode_cell(attr(c, "r")).c, c]));
+    rows.set(Number(attr(open, "r")), { open, cells: rowCells });
+  }
+  const firstRow = rows.get(start.r + 1)?.cells;
+  const baseStyle = new Map([...Array(width).keys()].map((i) => [i, attr(firstRow?.get(start.c + i), "s")]));
+
+  const stylesEntry = CFB.find(zip, "/xl/styles.xml");
+  const { styleFor, save } = templateStyles(stylesEntry);
+  fill.forEach((values, i) => {
+    const r = start.r + i + 1;
+    if (!rows.has(r)) rows.set(r, { open: `<row r="${r}"`, cells: new Map() });
+    const row = rows.get(r);
+    row.open = row.open.replace(/\sspans="[^"]*"/, "");
+    values.forEach((cell, j) => {
+      const c = start.c + j;
+      const ref = XLSX.utils.encode_cell({ r: r - 1, c });
+      row.cells.set(c, cellXml(ref, cell, styleFor(attr(row.cells.get(c), "s") ?? baseStyle.get(j), cell.z)));
+    });
+  });
+  const sheetData = [...rows.entries()].sort(([a], [b]) => a - b)
+    .map(([, row]) => `${row.open}>${[...row.cells.entries()].sort(([a], [b]) => a - b).map(([, c]) => c).join("")}</row>`)
+    .join("");
+  // Spliced in by index: as a replace() string, a "$&" or "$$" in cell text would be read as a pattern.
+  xml = `${xml.slice(0, body.index)}<sheetData>${sheetData}</sheetData>${xml.slice(body.index + body[0].length)}`;
+  if (fill.length && width) {
+    const filled = { s: start, e: { r: start.r + fill.length - 1, c: start.c + width - 1 } };
+    xml = xml.replace(/<dimension ref="([^"]*)"\/>/, (_, ref) => {
+      const d = XLSX.utils.decode_range(ref);
+      const range = { s: { r: Math.min(d.s.r, filled.s.r), c: Math.min(d.s.c, filled.s.c) }, e: { r: Math.max(d.e.r, filled.e.r), c: Math.max(d.e.c, filled.e.c) } };
+      return `<dimension ref="${XLSX.utils.encode_range(range)}"/>`;
+    });
+  }
+  writeXml(entry, xml);
+  save();
+
+  workbookXml = /<calcPr\b/.test(workbookXml)
+    ? workbookXml.replace(/<calcPr\b/, "<calcPr fullCalcOnLoad=\"1\"").replace(/(<calcPr fullCalcOnLoad="1"[^>]*?)\sfullCalcOnLoad="[^"]*"/, "$1")
+    : workbookXml.replace("</definedNames>", "</definedNames><calcPr fullCalcOnLoad=\"1\"/>");
+  writeXml(workbook, workbookXml);
+  dropCalcChain(zip);
+  return { data: new Uint8Array(CFB.write(zip, { fileType: "zip", type: "array" })), truncated: Math.max(0, cells.length - fill.length) };
+};
@@ -0,0 +1,37 @@
+import { TEXT_EXPORTS, tableToPDF, tableToTemplate, tableToXLSX } from "./exporters.js";
+import { createRowCalculator } from "./pipeline.js";
+
+/***********************************
+ * Web Worker entry: calculated fields and export files off the main thread (see components/reportWorker.js)
+ * - Messages are { id, type: "calculate", fields, calendars, rows? } or { id, type: "export", name, args }
+ * - Source rows are sent only when they change and kept here, so calculation stays incremental between messages
+ * - Replies are { id, result }, { id, same: true } when the rows did not change, or { id, error: { name, message } }
+ ***********************************/
+
+const EXPORTS = {
+  tableToXLSX,
+  tableToPDF,
+  tableToTemplate,
+  text: (ext, table, settings) => TEXT_EXPORTS[ext].build(table, settings),
+};
+
+const calculate = createRowCalculator();
+let sourceRows = [];
+let lastResult = null;
+
+self.onmessage = ({ data }) => {
+  const { id, type } = data;
+  try {
+    if (type === "calculate") {
+      if (data.rows) sourceRows = data.rows;
+      const result = calculate(sourceRows, data.fields, data.calendars);
+      if (result === lastResult) return self.postMessage({ id, same: true });
+      lastResult = result;
+      return self.postMessage({ id, result });
+    }
+    if (type === "export" && EXPORTS[data.name]) return self.postMessage({ id, result: EXPORTS[data.name](...data.args) });
+    throw new Error(`Unknown worker request: ${type} ${data.name || ""}`.trim());
+  } catch (err) {
+    self.postMessage({ id, error: { name: err.name, message: err.message } });
+  }
+};
@@ -2,11 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import DialogProvider from './components/Dialog.jsx'
 import './index.css';
 
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <DialogProvider>
+      <App />
+    </DialogProvider>
   </StrictMode>,
 )
@@ -0,0 +1,264 @@
+// @vitest-environment jsdom
+import { cleanup, render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import React, { useState } from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { configureAxe } from "vitest-axe";
+import * as axeMatchers from "vitest-axe/matchers";
+import App from "../src/App.jsx";
+import DialogProvider from "../src/components/Dialog.jsx";
+import PreviewTable from "../src/components/PreviewTable.jsx";
+import { useDialog } from "../src/components/dialogContext.js";
+import { useDragReorder } from "../src/components/useDragReorder.js";
+
+/***********************************
+ * Accessibility of the main flows in jsdom: axe-core checks plus the keyboard behaviour they cannot see
+ * - Field form: labelled inputs, errors tied to their input with aria-invalid / aria-describedby
+ * - Modal dialogs: focus moves in, Tab is trapped, Escape cancels, focus returns, the page behind is inert
+ * - Preview grid: arrow-key navigation and inline editing
+ * - Drag handles: keyboard reordering with focus kept on the moved item
+ ***********************************/
+
+expect.extend(axeMatchers);
+// jsdom does no layout or painting, so contrast cannot be measured here.
+const axe = configureAxe({ rules: { "color-contrast": { enabled: false } } });
+
+beforeEach(() => localStorage.clear());
+afterEach(cleanup);
+
+describe("field form", () => {
+  const renderApp = async () => {
+    render(<DialogProvider><App /></DialogProvider>);
+    await waitFor(() => screen.getByText(/28 rows/));
+    return screen.getByRole("region", { name: "Create a New Field" });
+  };
+
+  it("has labelled controls and no axe violations", async () => {
+    const form = await renderApp();
+    for (const name of ["Key", "Label", "Type", "Data Type", "Default (for Raw)"]) expect(within(form).getByLabelText(name)).toBeTruthy();
+    expect(await axe(form)).toHaveNoViolations();
+  });
+
+  it("marks invalid inputs and announces their errors", async () => {
+    const user = userEvent.setup();
+    const form = await renderApp();
+    await user.click(within(form).getByRole("button", { name: /Add Field/ }));
+    const key = within(form).getByLabelText("Key");
+    expect(key.getAttribute("aria-invalid")).toBe("true");
+    expect(document.getElementById(key.getAttribute("aria-describedby")).textContent).toBe("Key is required");
+
+    await user.type(key, "1st");
+    expect(document.getElementById(key.getAttribute("aria-describedby")).textContent).toMatch(/starting with a letter/);
+    await user.type(within(form).getByLabelText("Label"), "Order ID");
+    const label = within(form).getByLabelText("Label");
+    expect(label.getAttribute("aria-invalid")).toBe("true");
+    expect(within(form).getAllByRole("alert").map((a) => a.textContent)).toContain('Another field is labelled "Order ID"');
+    expect(await axe(form)).toHaveNoViolations();
+
+    await user.clear(key);
+    await user.type(key, "first");
+    expect(key.getAttribute("aria-invalid")).toBeNull();
+    expect(key.getAttribute("aria-describedby")).toBeNull();
+  });
+});
+
+describe("modal dialogs", () => {
+  const Opener = ({ onResult }) => {
+    const dialog = useDialog();
+    return (
+      <main>
+        <button type="button" onClick={async () => onResult(await dialog.confirm("Delete this field?", { title: "Delete field", confirmLabel: "Delete", danger: true }))}>Delete</button>
+        <button type="button" onClick={async () => onResult(await dialog.alert("Saved."))}>Save</button>
+      </main>
+    );
+  };
+
+  const open = async (name) => {
+    const user = userEvent.setup();
+    const onResult = vi.fn();
+    render(<DialogProvider><Opener onResult={onResult} /></DialogProvider>);
+    const opener = screen.getByRole("button", { name });
+    await user.click(opener);
+    return { user, onResult, opener, dialog: screen.getByRole("alertdialog") };
+  };
+
+  it("is named, described and has no axe violations", async () => {
+    const { dialog } = await open("Delete");
+    expect(dialog.getAttribute("aria-modal")).toBe("true");
+    expect(document.getElementById(dialog.getAttribute("aria-labelledby")).textContent).toBe("Delete field");
+    expect(document.getElementById(dialog.getAttribute("aria-describedby")).textContent).toBe("Delete this field?");
+    expect(await axe(document.body)).toHaveNoViolations();
+  });
+
+  it("makes the page behind inert while open", async () => {
+    const { opener, user } = await open("Delete");
+    expect(opener.closest("[inert]")).not.toBeNull();
+    await user.keyboard("{Escape}");
+    expect(opener.closest("[inert]")).toBeNull();
+  });
+
+  it("focuses Cancel for a destructive action and keeps Tab inside", async () => {
+    const { dialog, user } = await open("Delete");
+    const cancel = within(dialog).getByRole("button", { name: "Cancel" });
+    const confirm = within(dialog).getByRole("button", { name: "Delete" });
+    expect(document.activeElement).toBe(cancel);
+    await user.tab();
+    expect(document.activeElement).toBe(confirm);
+    await user.tab();
+    expect(document.activeElement).toBe(cancel);
+    await user.tab({ shift: true });
+    expect(document.activeElement).toBe(confirm);
+  });
+
+  it("cancels on Escape and returns focus to the opener", async () => {
+    const { onResult, opener, user } = await open("Delete");
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("alertdialog")).toBeNull();
+    expect(onResult).toHaveBeenCalledWith(false);
+    await waitFor(() => expect(document.activeElement).toBe(opener));
+  });
+
+  it("resolves a confirmation and an alert from their buttons", async () => {
+    const { dialog, onResult, user } = await open("Delete");
+    await user.click(within(dialog).getByRole("button", { name: "Delete" }));
+    expect(onResult).toHaveBeenLastCalledWith(true);
+    await user.click(screen.getByRole("button", { name: "Save" }));
+    const alert = screen.getByRole("alertdialog");
+    expect(document.activeElement).toBe(within(alert).getByRole("button", { name: "OK" }));
+    await user.keyboard("{Enter}");
+    expect(screen.queryByRole("alertdialog")).toBeNull();
+    expect(onResult).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("preview grid", () => {
+  const COLUMNS = [
+    { key: "orderId", label: "Order ID", dataType: "string" },
+    { key: "buyerName", label: "Buyer Name", dataType: "string" },
+    { key: "note", label: "Note", dataType: "string" },
+  ];
+  const ROWS = [
+    { orderId: "ORD-1", buyerName: "Zara", note: "" },
+    { orderId: "ORD-2", buyerName: "Gap", note: "late" },
+  ];
+
+  const renderGrid = (props = {}) => {
+    const onEdit = vi.fn(() => null);
+    const onSelect = vi.fn();
+    render(
+      <PreviewTable table={{ columns: COLUMNS, rows: ROWS }} styles={[]} sort={[]} sortable={false}
+        editableKeys={new Set(["note"])} selected={new Set()} onSelect={onSelect} onEdit={onEdit} {...props} />,
+    );
+    return { user: userEvent.setup(), onEdit, onSelect, grid: screen.getByRole("grid", { name: "Report preview" }) };
+  };
+  const cell = (grid, r, c) => grid.querySelector(`[data-cell="${r}:${c}"]`);
+
+  it("is a single tab stop with no axe violations", async () => {
+    const { grid } = renderGrid();
+    expect(grid.querySelectorAll("[tabindex='0']")).toHaveLength(1);
+    expect(await axe(grid)).toHaveNoViolations();
+  });
+
+  it("moves between cells with the arrow keys, Home and End", async () => {
+    const { grid, user } = renderGrid();
+    await user.tab();
+    expect(document.activeElement).toBe(cell(grid, 0, 0));
+    await user.keyboard("{ArrowDown}{ArrowRight}");
+    expect(document.activeElement).toBe(cell(grid, 1, 1));
+    expect(cell(grid, 1, 1).tabIndex).toBe(0);
+    expect(cell(grid, 0, 0).tabIndex).toBe(-1);
+    await user.keyboard("{End}");
+    expect(document.activeElement).toBe(cell(grid, 1, 3));
+    await user.keyboard("{Control>}{End}{/Control}");
+    expect(document.activeElement).toBe(cell(grid, 2, 3));
+    await user.keyboard("{ArrowDown}{Home}");
+    expect(document.activeElement).toBe(cell(grid, 2, 0));
+    await user.keyboard("{Control>}{Home}{/Control}");
+    expect(document.activeElement).toBe(cell(grid, 0, 0));
+  });
+
+  it("ticks a row with Space", async () => {
+    const { grid, onSelect, user } = renderGrid();
+    cell(grid, 0, 0).focus();
+    await user.keyboard("{ArrowDown}[Space]");
+    expect(onSelect).toHaveBeenCalledWith(["ORD-1"], true);
+  });
+
+  it("edits a cell in place with Enter and returns focus to it", async () => {
+    const { grid, onEdit, user } = renderGrid();
+    cell(grid, 0, 0).focus();
+    await user.keyboard("{ArrowDown}{End}{Enter}");
+    const input = within(cell(grid, 1, 3)).getByRole("textbox");
+    expect(document.activeElement).toBe(input);
+    await user.type(input, "rush{Enter}");
+    expect(onEdit).toHaveBeenCalledWith("note", "ORD-1", "rush");
+    await waitFor(() => expect(document.activeElement).toBe(cell(grid, 1, 3)));
+  });
+
+  it("keeps the editor open with a rejected value and cancels on Escape", async () => {
+    const { grid, onEdit, user } = renderGrid();
+    onEdit.mockReturnValue("Too long");
+    cell(grid, 0, 0).focus();
+    await user.keyboard("{ArrowDown}{ArrowDown}{End}{F2}");
+    const input = within(cell(grid, 2, 3)).getByRole("textbox");
+    await user.type(input, "{Enter}");
+    expect(within(cell(grid, 2, 3)).getByRole("textbox").title).toBe("Too long");
+    await user.keyboard("{Escape}");
+    expect(within(cell(grid, 2, 3)).queryByRole("textbox")).toBeNull();
+    await waitFor(() => expect(document.activeElement).toBe(cell(grid, 2, 3)));
+    expect(cell(grid, 2, 3).textContent).toBe("late");
+  });
+
+  it("keeps each order's row element when the rows are re-sorted", () => {
+    const props = { styles: [], sort: [], sortable: false, editableKeys: new Set(), selected: new Set(), onSelect: vi.fn(), onEdit: vi.fn() };
+    const { rerender } = render(<PreviewTable table={{ columns: COLUMNS, rows: ROWS }} {...props} />);
+    const rowOf = (id) => screen.getByText(id).closest("tr");
+    const first = rowOf("ORD-1");
+    rerender(<PreviewTable table={{ columns: COLUMNS, rows: [...ROWS].reverse() }} {...props} />);
+    expect(rowOf("ORD-1")).toBe(first);
+    expect(first.getAttribute("aria-rowindex")).toBe("3");
+  });
+});
+
+describe("keyboard reordering", () => {
+  const List = ({ onMove }) => {
+    const [keys, setKeys] = useState(["orderId", "buyerName", "status"]);
+    const move = (from, to) => {
+      onMove(from, to);
+      setKeys((ks) => {
+        const next = ks.filter((k) => k !== from);
+        next.splice(ks.indexOf(to), 0, from);
+        return next;
+      });
+    };
+    const { handleProps } = useDragReorder(move);
+    return (
+      <ul aria-label="Columns">
+        {keys.map((k) => <li key={k}><span {...handleProps(k, keys, k)}>⠿</span> {k}</li>)}
+      </ul>
+    );
+  };
+
+  it("moves an item with the arrow keys and keeps focus on its handle", async () => {
+    const user = userEvent.setup();
+    const onMove = vi.fn();
+    render(<List onMove={onMove} />);
+    const list = screen.getByRole("list", { name: "Columns" });
+    expect(await axe(list)).toHaveNoViolations();
+
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByRole("button", { name: "Move orderId (1 of 3), use the arrow keys" }));
+    await user.keyboard("{ArrowDown}");
+    expect(onMove).toHaveBeenLastCalledWith("orderId", "buyerName");
+    expect(within(list).getAllByRole("listitem").map((li) => li.textContent.trim())).toEqual(["⠿ buyerName", "⠿ orderId", "⠿ status"]);
+    expect(document.activeElement).toBe(screen.getByRole("button", { name: "Move orderId (2 of 3), use the arrow keys" }));
+
+    await user.keyboard("{ArrowRight}");
+    expect(document.activeElement.getAttribute("aria-label")).toBe("Move orderId (3 of 3), use the arrow keys");
+    await user.keyboard("{ArrowDown}");
+    expect(onMove).toHaveBeenCalledTimes(2);
+    await user.keyboard("{ArrowUp}");
+    expect(onMove).toHaveBeenLastCalledWith("orderId", "status");
+    expect(document.activeElement.getAttribute("aria-label")).toBe("Move orderId (2 of 3), use the arrow keys");
+  });
+});
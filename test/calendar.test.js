@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { MAX_WORKING_DAYS, addWorkingDays, workingDaysBetween } from "../src/engine/calendar.js";
+import { evaluateFormula } from "../src/engine/formula.js";
+
+const MS_PER_DAY = 86400000;
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const iso = (d) => d.toISOString().slice(0, 10);
+const WEEKDAYS_ONLY = { id: "office", name: "Office", weekend: [0, 6], holidays: [{ date: "2026-03-09", name: "" }, { date: "2026-03-14", name: "Saturday" }] };
+
+// Day-by-day reference counts to compare the week-based arithmetic with.
+const isWorking = (n, cal) => {
+  const d = new Date(n * MS_PER_DAY);
+  return !cal.weekend.includes(d.getUTCDay()) && !cal.holidays.some((h) => h.date === iso(d));
+};
+const stepBetween = (a, b, cal) => {
+  let count = 0;
+  for (let n = a + 1; n <= b; n++) if (isWorking(n, cal)) count++;
+  return count;
+};
+const stepAdd = (a, k, cal) => {
+  let n = a;
+  for (let left = Math.abs(k); left > 0;) {
+    n += Math.sign(k);
+    if (isWorking(n, cal)) left--;
+  }
+  return n;
+};
+
+describe("working days", () => {
+  it("match a day-by-day count for every start day and span", () => {
+    const start = day("2026-03-01").getTime() / MS_PER_DAY;
+    for (let a = start; a < start + 7; a++) {
+      for (let span = 0; span < 40; span++) {
+        expect(workingDaysBetween(new Date(a * MS_PER_DAY), new Date((a + span) * MS_PER_DAY), WEEKDAYS_ONLY)).toBe(stepBetween(a, a + span, WEEKDAYS_ONLY));
+      }
+      for (let k = -30; k <= 30; k++) {
+        expect(addWorkingDays(new Date(a * MS_PER_DAY), k, WEEKDAYS_ONLY).getTime() / MS_PER_DAY).toBe(stepAdd(a, k, WEEKDAYS_ONLY));
+      }
+    }
+  });
+
+  it("skip holidays on working days only", () => {
+    expect(workingDaysBetween(day("2026-03-06"), day("2026-03-16"), WEEKDAYS_ONLY)).toBe(5);
+    expect(iso(addWorkingDays(day("2026-03-06"), 1, WEEKDAYS_ONLY))).toBe("2026-03-10");
+    expect(iso(addWorkingDays(day("2026-03-10"), -1, WEEKDAYS_ONLY))).toBe("2026-03-06");
+  });
+
+  it("count spans of centuries", () => {
+    const [from, to] = [day("1900-01-01"), day("2100-01-01")].map((d) => d.getTime() / MS_PER_DAY);
+    expect(workingDaysBetween(day("1900-01-01"), day("2100-01-01"), WEEKDAYS_ONLY)).toBe(stepBetween(from, to, WEEKDAYS_ONLY));
+    expect(addWorkingDays(day("1900-01-01"), -MAX_WORKING_DAYS, WEEKDAYS_ONLY).getTime() / MS_PER_DAY).toBe(stepAdd(from, -MAX_WORKING_DAYS, WEEKDAYS_ONLY));
+  });
+
+  it("reject counts beyond the limit", () => {
+    expect(() => addWorkingDays(day("2026-03-02"), MAX_WORKING_DAYS + 1)).toThrow(RangeError);
+    expect(() => addWorkingDays(day("2026-03-02"), Infinity)).toThrow(RangeError);
+  });
+});
+
+describe("ADDWORKDAYS", () => {
+  it("flags a count beyond the limit instead of hanging", () => {
+    const warnings = [];
+    expect(evaluateFormula("ADDWORKDAYS(d, 1e9)", { d: "2026-03-02" }, { warn: (m) => warnings.push(m) })).toBeNull();
+    expect(warnings).toEqual([`ADDWORKDAYS takes at most ±${MAX_WORKING_DAYS} working days, got 1000000000`]);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { tableToJSON, tableToNDJSON } from "../src/engine/exporters.js";
+import { groupRows } from "../src/engine/grouping.js";
+
+const FIELDS = [
+  { key: "buyerName", label: "Buyer Name", dataType: "string" },
+  { key: "leadTimeDays", label: "Lead Time (days)", dataType: "number" },
+];
+const ROWS = [
+  { buyerName: "Zara", leadTimeDays: 10 },
+  { buyerName: "Zara", leadTimeDays: 4 },
+  { buyerName: "Gap", leadTimeDays: 7 },
+];
+
+describe("JSON exports", () => {
+  it("key repeated aggregates apart", () => {
+    const table = groupRows(ROWS, {
+      enabled: true,
+      groupBy: ["buyerName"],
+      aggregates: [
+        { id: "a1", fn: "count", field: "" },
+        { id: "a2", fn: "count", field: "" },
+        { id: "a3", fn: "sum", field: "leadTimeDays" },
+        { id: "a4", fn: "sum", field: "leadTimeDays" },
+      ],
+      subtotals: true,
+    }, FIELDS);
+    const [gap] = JSON.parse(tableToJSON(table));
+    expect(gap).toEqual({ buyerName: "Gap", count: 1, count_2: 1, sum_leadTimeDays: 7, sum_leadTimeDays_2: 7 });
+    const total = JSON.parse(tableToNDJSON(table).trim().split("\n").at(-1));
+    expect(Object.keys(total)).toEqual(["buyerName", "count", "count_2", "sum_leadTimeDays", "sum_leadTimeDays_2", "_summary"]);
+    expect(total).toMatchObject({ count: 3, count_2: 3, sum_leadTimeDays: 21, sum_leadTimeDays_2: 21 });
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { evaluateFormula } from "../src/engine/formula.js";
+
+describe("ROUND", () => {
+  it.each([
+    ["ROUND(1.005, 2)", 1.01],
+    ["ROUND(-1.005, 2)", -1.01],
+    ["ROUND(2.675, 2)", 2.68],
+    ["ROUND(2.5)", 3],
+    ["ROUND(-2.5)", -3],
+    ["ROUND(1234.5, -2)", 1200],
+    ["ROUND(-0.001, 2)", 0],
+    ["ROUND(1e-7, 8)", 1e-7],
+    ["ROUND(1e21, 2)", 1e21],
+  ])("%s = %d", (formula, value) => {
+    expect(evaluateFormula(formula, {})).toBe(value);
+  });
+});
+
+describe("field references", () => {
+  it("read the row's own values only", () => {
+    const row = { amount: 5 };
+    expect(evaluateFormula("constructor", row)).toBeNull();
+    expect(evaluateFormula("[__proto__]", row)).toBeNull();
+    expect(evaluateFormula("[toString] & \"\"", row)).toBe("");
+    expect(evaluateFormula("amount * 2", row)).toBe(10);
+  });
+});
@@ -0,0 +1,43 @@
+// @vitest-environment jsdom
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import ImportPanel from "../src/components/ImportPanel.jsx";
+import { BASE_FIELDS } from "../src/engine/demo.js";
+
+/***********************************
+ * Import mapping checks: keys for new fields follow the same rules as fields created in the form
+ ***********************************/
+
+afterEach(cleanup);
+
+const renderPanel = (headers, reservedKeys = []) => {
+  const table = { headers, rows: [headers.map((_, i) => `v${i}`)] };
+  render(<ImportPanel table={table} fileName="extra.csv" fields={BASE_FIELDS} reservedKeys={reservedKeys} onLoad={vi.fn()} onCancel={vi.fn()} />);
+  return { user: userEvent.setup(), load: screen.getByRole("button", { name: /^Load \d+ rows/ }) };
+};
+
+describe("ImportPanel", () => {
+  it("rejects new field keys the field form would reject", () => {
+    const { load } = renderPanel(["Order ID", "Null", "Constructor", "A very long column header that keeps on going and going"]);
+    expect(screen.getByText('New field key "null": NULL is a formula keyword')).toBeTruthy();
+    expect(screen.getByText('New field key "constructor": constructor is reserved')).toBeTruthy();
+    expect(screen.getByText('New field key "aVeryLongColumnHeaderThatKeepsOnGoingAndGoing": Use at most 40 characters')).toBeTruthy();
+    expect(load.disabled).toBe(true);
+  });
+
+  it("clears the error once the key is fixed", async () => {
+    const { user, load } = renderPanel(["Order ID", "Null"]);
+    const key = screen.getByLabelText("Key for Null");
+    await user.clear(key);
+    await user.type(key, "nullNote");
+    expect(screen.queryByText(/New field key/)).toBeNull();
+    expect(load.disabled).toBe(false);
+  });
+
+  it("rejects a key that differs from an existing one only in case", () => {
+    renderPanel(["Order ID", "Score"], ["SCORE"]);
+    expect(screen.getByText('New field key "score" already exists')).toBeTruthy();
+  });
+});
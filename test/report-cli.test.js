@@ -0,0 +1,137 @@
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { DEFAULT_CALENDAR } from "../src/engine/calendar.js";
+import { BASE_FIELDS } from "../src/engine/demo.js";
+import { TEXT_EXPORTS, tableToPDF } from "../src/engine/exporters.js";
+import { buildImport, readTable, suggestMapping } from "../src/engine/importer.js";
+import { buildReport } from "../src/engine/pipeline.js";
+import { parseReportFile } from "../src/engine/reports.js";
+
+/***********************************
+ * Report generation against fixtures (test/fixtures/cli)
+ * - orders.csv + orders.report.json hold a listing report and a grouped one
+ * - Text exports are compared byte for byte with expected/; XLSX and PDF carry timestamps, so their structure is checked
+ * - Regenerate expected/ with: npm run report -- --report test/fixtures/cli/orders.report.json
+ *   --data test/fixtures/cli/orders.csv --format csv,tsv,json,ndjson,html --out test/fixtures/cli/expected
+ ***********************************/
+
+const FIXTURES = path.join(import.meta.dirname, "fixtures/cli");
+const REPORT_FILE = path.join(FIXTURES, "orders.report.json");
+const DATA_FILE = path.join(FIXTURES, "orders.csv");
+const CLI = path.join(import.meta.dirname, "../scripts/report-cli.js");
+const TEXT_FORMATS = Object.keys(TEXT_EXPORTS);
+const BASES = { "Buyer orders": "buyer_orders", "Lead time by buyer": "lead_by_buyer" };
+
+const expected = (file) => readFile(path.join(FIXTURES, "expected", file), "utf8");
+const runCli = (args) => promisify(execFile)(process.execPath, [CLI, ...args]);
+const pdfPages = (bytes) => Buffer.from(bytes).toString("latin1").match(/\/Type \/Page\b(?!s)/g).length;
+
+// The rows the CLI reads from orders.csv: columns matched to fields by label, like the browser import.
+const loadFixture = async () => {
+  const bundle = parseReportFile(await readFile(REPORT_FILE, "utf8"));
+  const table = readTable(new Uint8Array(await readFile(DATA_FILE)), "orders.csv");
+  const { rows, fields, errors } = buildImport(table, suggestMapping(table, BASE_FIELDS), { keepFailed: true });
+  return { bundle, rows, fields, errors };
+};
+
+describe("buildReport + TEXT_EXPORTS", () => {
+  it("reads the fixture data without cell errors", async () => {
+    const { rows, errors } = await loadFixture();
+    expect(errors).toEqual([]);
+    expect(rows).toHaveLength(8);
+  });
+
+  it.each(Object.entries(BASES))("%s matches the expected text exports", async (name, base) => {
+    const { bundle, rows, fields } = await loadFixture();
+    const report = bundle.reports.find((r) => r.name === name);
+    const { table } = buildReport(report, { rows, sourceFields: fields, userFields: bundle.fields, formats: bundle.formats, calendars: [DEFAULT_CALENDAR] });
+    for (const ext of TEXT_FORMATS) {
+      expect(TEXT_EXPORTS[ext].build(table, report.export), `${base}.${ext}`).toBe(await expected(`${base}.${ext}`));
+    }
+  });
+});
+
+describe("report CLI", () => {
+  let out;
+  beforeAll(async () => {
+    out = await mkdtemp(path.join(tmpdir(), "report-cli-"));
+    await runCli(["--report", REPORT_FILE, "--data", DATA_FILE, "--format", [...TEXT_FORMATS, "xlsx", "pdf"].join(","), "--out", out]);
+  });
+  afterAll(() => rm(out, { recursive: true, force: true }));
+
+  it("writes one file per report and format", async () => {
+    const files = (await readdir(out)).sort();
+    expect(files).toEqual(Object.values(BASES).flatMap((b) => [...TEXT_FORMATS, "xlsx", "pdf"].map((f) => `${b}.${f}`)).sort());
+  });
+
+  it.each(Object.values(BASES).flatMap((b) => TEXT_FORMATS.map((f) => `${b}.${f}`)))("%s matches the fixture byte for byte", async (file) => {
+    expect(await readFile(path.join(out, file))).toEqual(Buffer.from(await expected(file)));
+  });
+
+  it("writes the listing workbook with data and report info sheets", async () => {
+    const wb = XLSX.read(await readFile(path.join(out, "buyer_orders.xlsx")), { cellNF: true });
+    expect(wb.SheetNames).toEqual(["Data", "Report Info"]);
+    const data = XLSX.utils.sheet_to_json(wb.Sheets.Data, { header: 1 });
+    expect(data[0]).toEqual(["Order ID", "Buyer Name", "Order Date", "Dispatch Date", "Lead Days", "Transit Workdays", "Lead Weeks", "Status"]);
+    expect(data).toHaveLength(8);
+    expect(wb.Sheets.Data.A2.v).toBe("ORD-1004");
+    expect(wb.Sheets.Data.C2).toMatchObject({ t: "n", z: "dd-mmm-yyyy" });
+    const info = XLSX.utils.sheet_to_json(wb.Sheets["Report Info"], { header: 1 });
+    expect(info[0]).toEqual(["Report", "Buyer orders"]);
+    expect(info).toContainEqual(["Rows", 7]);
+    expect(info).toContainEqual(["Lead Weeks", "leadWeeks", "number", "ROUND(leadTimeDays / 7, 1)"]);
+  });
+
+  it("writes the grouped workbook with every row on Data and the groups on Summary", async () => {
+    const wb = XLSX.read(await readFile(path.join(out, "lead_by_buyer.xlsx")));
+    expect(wb.SheetNames).toEqual(["Data", "Summary", "Report Info"]);
+    expect(XLSX.utils.sheet_to_json(wb.Sheets.Data, { header: 1 })).toHaveLength(9);
+    const summary = XLSX.utils.sheet_to_json(wb.Sheets.Summary, { header: 1 });
+    expect(summary[0]).toEqual(["Buyer Name", "Count", "Sum of Lead Time (days)", "Avg of Lead Time (days)"]);
+    expect(summary.at(-1)).toEqual(["Grand Total", 8, 108, 13.5]);
+  });
+
+  it("writes single-page PDFs with a page footer", async () => {
+    for (const base of Object.values(BASES)) {
+      const pdf = await readFile(path.join(out, `${base}.pdf`));
+      expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+      expect(pdfPages(pdf)).toBe(1);
+      expect(pdf.toString("latin1")).toContain("(Page 1 of 1)");
+    }
+  });
+
+  it("fails with a message for an unknown format", async () => {
+    await expect(runCli(["--report", REPORT_FILE, "--data", DATA_FILE, "--format", "docx", "--out", out]))
+      .rejects.toMatchObject({ code: 1, stderr: expect.stringContaining("Unknown format docx") });
+  });
+});
+
+describe("tableToPDF", () => {
+  it("repeats the header and numbers every page of a long table", () => {
+    const columns = [{ key: "n", label: "N", dataType: "number" }, { key: "name", label: "Name", dataType: "string" }];
+    const rows = Array.from({ length: 150 }, (_, i) => ({ n: i + 1, name: `Row ${i + 1}` }));
+    const pdf = tableToPDF({ columns, rows }, { title: "Long" });
+    const pages = pdfPages(pdf);
+    expect(pages).toBeGreaterThan(1);
+    const text = Buffer.from(pdf).toString("latin1");
+    for (let i = 1; i <= pages; i++) expect(text).toContain(`(Page ${i} of ${pages})`);
+    expect(text.match(/\(N\) Tj/g)).toHaveLength(pages);
+    expect(text).toContain("(11325) Tj");
+  });
+
+  it("labels the totals line without covering a number in the first column", () => {
+    const text = (table) => Buffer.from(tableToPDF(table)).toString("latin1");
+    const columns = [{ key: "n", label: "N", dataType: "number" }, { key: "name", label: "Name", dataType: "string" }];
+    const rows = [{ n: 4, name: "A" }, { n: 7, name: "B" }];
+    expect(text({ columns, rows })).toMatch(/\(11\) Tj[\s\S]*\(Total\) Tj/);
+    const numbers = [columns[0], { key: "m", label: "M", dataType: "number" }];
+    const all = text({ columns: numbers, rows: [{ n: 4, m: 1 }, { n: 7, m: 2 }] });
+    expect(all).toContain("(Total 11) Tj");
+    expect(all).toContain("(3) Tj");
+  });
+});
@@ -0,0 +1,104 @@
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import path from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { BASE_FIELDS } from "../src/engine/demo.js";
+import { SourceError, extractRows, fetchHttpRows, inferSchema, jsonPath, loadSource } from "../src/engine/sources.js";
+
+/***********************************
+ * HTTP source adapter against scripts/mock-orders-server.js on a free port
+ * - The mock serves 250 orders at $.data.items, 50 per page by default, behind "Bearer demo-token"
+ ***********************************/
+
+const SERVER = path.join(import.meta.dirname, "../scripts/mock-orders-server.js");
+const AUTH = { authHeader: "Authorization", authValue: "Bearer demo-token" };
+
+let server;
+let url;
+beforeAll(async () => {
+  server = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: "0" }, stdio: ["ignore", "pipe", "inherit"] });
+  let out = "";
+  while (!/localhost:\d+/.test(out)) out += (await once(server.stdout, "data"))[0];
+  url = `http://localhost:${/localhost:(\d+)/.exec(out)[1]}/api/orders`;
+});
+afterAll(() => server.kill());
+
+describe("fetchHttpRows", () => {
+  it("reads a single page without pagination", async () => {
+    const rows = await fetchHttpRows({ url, ...AUTH, rowsPath: "$.data.items" });
+    expect(rows).toHaveLength(50);
+    expect(rows[0].orderId).toBe("ORD-1000");
+  });
+
+  it.each([
+    ["page", { pageParam: "page", sizeParam: "pageSize", firstPage: 1 }],
+    ["offset", { pageParam: "offset", sizeParam: "limit" }],
+    ["next", { nextPath: "$.next" }],
+  ])("reads every row with %s pagination", async (pagination, params) => {
+    const rows = await fetchHttpRows({ url, ...AUTH, rowsPath: "$.data.items", pagination, pageSize: 40, ...params });
+    expect(rows).toHaveLength(250);
+    expect(new Set(rows.map((r) => r.orderId)).size).toBe(250);
+    expect(rows.at(-1).orderId).toBe("ORD-1249");
+  });
+
+  it("stops at maxPages", async () => {
+    const rows = await fetchHttpRows({ url, ...AUTH, rowsPath: "$.data.items", pagination: "page", pageSize: 40, maxPages: 2 });
+    expect(rows).toHaveLength(80);
+  });
+
+  it("reports a 401 when the token is missing", async () => {
+    const error = await fetchHttpRows({ url, rowsPath: "$.data.items" }).catch((e) => e);
+    expect(error).toBeInstanceOf(SourceError);
+    expect(error.message).toMatch(/responded 401/);
+  });
+
+  it("loads through the http adapter with an inferred schema", async () => {
+    const { fields, rows } = await loadSource({ type: "http", config: { url, ...AUTH, rowsPath: "$.data.items" } });
+    expect(rows).toHaveLength(50);
+    expect(fields.map((f) => f.key)).toEqual(BASE_FIELDS.map((f) => f.key));
+  });
+});
+
+describe("jsonPath", () => {
+  const data = { data: { items: [{ id: 1 }, { id: 2 }, { id: 3 }], "odd key": ["x"] }, pages: { a: { id: 4 }, b: { id: 5 } } };
+
+  it.each([
+    ["$", [data]],
+    ["$.data.items[0].id", [1]],
+    ["$.data.items[-1].id", [3]],
+    ["$.data.items[*].id", [1, 2, 3]],
+    ["$['data']['odd key'][0]", ["x"]],
+    ["$.pages.*.id", [4, 5]],
+    ["$.missing.id", []],
+  ])("%s", (p, expected) => {
+    expect(jsonPath(data, p)).toEqual(expected);
+  });
+
+  it("rejects paths outside the subset", () => {
+    expect(() => jsonPath(data, "data.items")).toThrow(SourceError);
+    expect(() => jsonPath(data, "$..id")).toThrow(/Invalid JSONPath/);
+  });
+
+  it("extracts rows from one array or from wildcard matches", () => {
+    expect(extractRows(data, "$.data.items")).toHaveLength(3);
+    expect(extractRows(data, "$.pages.*")).toEqual([{ id: 4 }, { id: 5 }]);
+  });
+});
+
+describe("inferSchema", () => {
+  it("types columns, keeps known labels and normalises values", () => {
+    const { fields, rows } = inferSchema([
+      { orderId: "A1", amount: "12.5", shipped_on: "03/04/2026", meta: { a: 1 } },
+      { orderId: "A2", amount: 7, shipped_on: "15/04/2026", extra: "x" },
+    ]);
+    expect(fields).toEqual([
+      expect.objectContaining({ key: "orderId", label: "Order ID", dataType: "string" }),
+      expect.objectContaining({ key: "amount", label: "Amount", dataType: "number" }),
+      expect.objectContaining({ key: "shipped_on", label: "Shipped On", dataType: "date" }),
+      expect.objectContaining({ key: "meta", label: "Meta", dataType: "string" }),
+      expect.objectContaining({ key: "extra", label: "Extra", dataType: "string" }),
+    ]);
+    expect(rows[0]).toEqual({ orderId: "A1", amount: 12.5, shipped_on: "2026-04-03", meta: "{\"a\":1}", extra: "" });
+    expect(rows[1].shipped_on).toBe("2026-04-15");
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { TemplateError, fillTemplate } from "../src/engine/workbook.js";
+
+// A one-sheet template with a header row and the named range Data where the rows go.
+const template = () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Item", "Note"]]), "Sheet1");
+  wb.Workbook = { Names: [{ Name: "Data", Ref: "Sheet1!$A$2" }] };
+  return new Uint8Array(XLSX.write(wb, { bookType: "xlsx", type: "array" }));
+};
+
+const sheetRows = (data) => {
+  const wb = XLSX.read(data);
+  return XLSX.utils.sheet_to_json(wb.Sheets.Sheet1, { header: 1 });
+};
+
+describe("fillTemplate", () => {
+  it("writes rows at the named range below the template's own cells", () => {
+    const { data, truncated } = fillTemplate(template(), "Data", [[{ t: "s", v: "Shirt" }, { t: "n", v: 12 }]]);
+    expect(truncated).toBe(0);
+    expect(sheetRows(data)).toEqual([["Item", "Note"], ["Shirt", 12]]);
+  });
+
+  it("keeps dollar signs in cell text literally", () => {
+    const values = ["Cost $& more", "a $$ b", "$` and $'", "$1"];
+    const { data } = fillTemplate(template(), "Data", values.map((v) => [{ t: "s", v }]));
+    expect(sheetRows(data)).toEqual([["Item", "Note"], ...values.map((v) => [v])]);
+  });
+
+  it("names the ranges a template has when the one asked for is missing", () => {
+    expect(() => fillTemplate(template(), "Orders", [])).toThrow(TemplateError);
+    expect(() => fillTemplate(template(), "Orders", [])).toThrow(/it has Data/);
+  });
+});
@@ -4,4 +4,6 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The report worker imports the exporters, whose PDF code splits into chunks.
+  worker: { format: 'es' },
 })